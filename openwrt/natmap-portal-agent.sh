@@ -20,10 +20,15 @@ REFRESH_RESTART_WAIT_SECONDS=${NATMAP_REFRESH_RESTART_WAIT_SECONDS:-10}
 CLEANUP_DISABLED=${NATMAP_CLEANUP_DISABLED:-1}
 CLEANUP_INTERVAL=${NATMAP_CLEANUP_INTERVAL:-300}
 DNS_RECONCILE_INTERVAL=${NATMAP_DNS_RECONCILE_INTERVAL:-300}
+REPORT_URL=${NATMAP_PORTAL_REPORT_URL:-}
+REPORT_TOKEN=${NATMAP_PORTAL_REPORT_TOKEN:-}
+QUEUE_SECRET=${NATMAP_REFRESH_QUEUE_SECRET:-}
+AGENT_VERSION=0.2.0
 STATE_DIR=/tmp/natmap-portal-agent
 STATUS_PATH=/var/run/natmap
 CUSTOM_DIR=/etc/natmap/health.d
 LOCK_FILE=/var/lock/natmap-portal-agent.lock
+REPORT_FILE="$STATE_DIR/report.entries"
 LOG_TAG=natmap-portal
 
 mkdir -p "$STATE_DIR" /var/lock
@@ -98,6 +103,7 @@ restart_section_once() {
 		uci -q commit natmap
 	fi
 	log "$section: restarting section only ($reason)"
+	date +%s > "$STATE_DIR/$(safe_name "$section").restart"
 	/etc/init.d/natmap stop "$section" >/dev/null 2>&1
 	sleep 2
 	/etc/init.d/natmap start "$section" >/dev/null 2>&1
@@ -105,6 +111,7 @@ restart_section_once() {
 
 restart_section() {
 	local section="$1" reason="$2" ensure_changed="${3:-0}" before after attempt limit label
+	RESTART_NEW_PORT=""
 	before="$(public_port_for_section "$section" 2>/dev/null || true)"
 	limit=1
 	[ "$ensure_changed" = 1 ] && limit="$REFRESH_RETRY_LIMIT"
@@ -119,6 +126,7 @@ restart_section() {
 		WAIT_PUBLIC_PORT=""
 		if wait_public_port "$section"; then
 			after="$WAIT_PUBLIC_PORT"
+			RESTART_NEW_PORT="$after"
 			if [ -z "$before" ] || [ "$after" != "$before" ]; then
 				log "$section: public port changed ${before:-unknown} -> $after"
 				return 0
@@ -129,12 +137,13 @@ restart_section() {
 		fi
 		attempt=$((attempt + 1))
 	done
-	return 0
+	return 1
 }
 
-fetch_refresh_request() {
-	local output line content old_ifs domain ts nonce best_domain best_ts best_nonce
+fetch_refresh_requests() {
+	local output line content old_ifs domain ts nonce version action signature
 	output="$(nslookup -type=TXT "$QUEUE_NAME" 2>/dev/null)" || return 1
+	: > "$STATE_DIR/refresh.queue"
 	while IFS= read -r line; do
 		case "$line" in
 			*"text = "*) content="${line#*text = }" ;;
@@ -142,41 +151,82 @@ fetch_refresh_request() {
 		esac
 		content="$(printf '%s' "$content" | sed 's/^"//;s/"$//;s/"[[:space:]]*"//g')"
 		old_ifs="$IFS"; IFS="|"; set -- $content; IFS="$old_ifs"
-		domain="$1"; ts="$2"; nonce="$3"
+		domain="$1"; ts="$2"; nonce="$3"; version="$4"; action="${5:-refresh}"; signature="$6"
 		[ -n "$domain" ] && [ -n "$ts" ] && [ -n "$nonce" ] || continue
 		case "$ts" in *[!0-9]*|"") continue;; esac
-		if [ -z "$best_ts" ] || [ "$ts" -gt "$best_ts" ]; then
-			best_domain="$domain"; best_ts="$ts"; best_nonce="$nonce"
+		if [ -n "$QUEUE_SECRET" ] && ! verify_refresh_signature "$domain" "$ts" "$nonce" "$version" "$action" "$signature"; then
+			log "$domain: rejected refresh request with missing or invalid signature"
+			continue
 		fi
+		[ "$action" = refresh ] || continue
+		echo "$ts|$domain|$nonce" >> "$STATE_DIR/refresh.queue"
 	done <<EOF
 $output
 EOF
-	[ -n "$best_nonce" ] || return 1
-	REQUEST_CONTENT="$best_domain|$best_ts|$best_nonce"
+	[ -s "$STATE_DIR/refresh.queue" ]
 }
 
-process_refresh_once() {
-	fetch_refresh_request || return 0
-	local old_ifs domain ts nonce last now_ms age
-	old_ifs="$IFS"; IFS="|"; set -- $REQUEST_CONTENT; IFS="$old_ifs"
-	domain="$1"; ts="$2"; nonce="$3"
-	[ -n "$domain" ] && [ -n "$ts" ] && [ -n "$nonce" ] || return 0
-	last="$(cat "$STATE_DIR/refresh.last" 2>/dev/null)"
-	[ "$nonce" = "$last" ] && return 0
-	case "$ts" in *[!0-9]*|"") echo "$nonce" > "$STATE_DIR/refresh.last"; return 0;; esac
+verify_refresh_signature() {
+	# v2 entries append |v2|<action>|<hex hmac-sha256 of "v2|domain|ts|nonce|action">; with a secret set, unsigned entries are rejected.
+	local domain="$1" ts="$2" nonce="$3" version="$4" action="$5" signature="$6" expected
+	[ "$version" = v2 ] && [ -n "$signature" ] || return 1
+	command -v openssl >/dev/null 2>&1 || { log "openssl is required to verify signed refresh requests"; return 1; }
+	expected="$(printf '%s' "v2|$domain|$ts|$nonce|$action" | openssl dgst -sha256 -hmac "$QUEUE_SECRET" | sed 's/^.* //')"
+	[ "$expected" = "$signature" ]
+}
+
+mark_refresh_done() {
+	# Keep a bounded list of processed nonces; the queue holds several pending entries at once.
+	echo "$1" >> "$STATE_DIR/refresh.done"
+	tail -n 200 "$STATE_DIR/refresh.done" > "$STATE_DIR/refresh.done.$$" && mv "$STATE_DIR/refresh.done.$$" "$STATE_DIR/refresh.done"
+}
+
+ack_refresh_job() {
+	local nonce="$1" state="$2" port="${3:-0}" detail="$4" base code
+	[ -n "$REPORT_URL" ] && [ -n "$REPORT_TOKEN" ] || return 0
+	case "$port" in *[!0-9]*|"") port=0;; esac
+	base="${REPORT_URL%/api/agent/report}"
+	code="$(curl -sS -o /dev/null -w '%{http_code}' --connect-timeout "$TIMEOUT" --max-time $((TIMEOUT * 2)) -H "Authorization: Bearer $REPORT_TOKEN" -H 'Content-Type: application/json' --data "{\"state\":\"$state\",\"port\":$port,\"detail\":\"$detail\"}" "$base/api/refresh/$nonce/ack" 2>/dev/null || true)"
+	# 404 means the job was queued by an older Worker or has expired; 409 means the Worker already closed it.
+	case "$code" in 200|404|409) ;; *) log "refresh ack $nonce $state failed http=${code:-none}";; esac
+}
+
+process_refresh_entry() {
+	local domain="$1" ts="$2" nonce="$3" now_ms age
+	grep -qxF "$nonce" "$STATE_DIR/refresh.done" 2>/dev/null && return 0
 	now_ms=$(($(date +%s) * 1000))
 	age=$((now_ms - ts))
 	if [ "$age" -gt "$MAX_AGE_MS" ]; then
-		echo "$nonce" > "$STATE_DIR/refresh.last"
+		mark_refresh_done "$nonce"
 		log "$domain: ignored stale refresh request"
+		ack_refresh_job "$nonce" failed 0 "stale refresh request ignored"
 		return 0
 	fi
 	if find_section_by_domain "$domain"; then
-		restart_section "$SECTION" "manual refresh for $domain" 1
+		ack_refresh_job "$nonce" picked_up 0 "section $SECTION"
+		if restart_section "$SECTION" "manual refresh for $domain" 1; then
+			ack_refresh_job "$nonce" restarted "$RESTART_NEW_PORT" "section $SECTION"
+		else
+			ack_refresh_job "$nonce" failed "$RESTART_NEW_PORT" "public port unchanged after $REFRESH_RETRY_LIMIT attempts"
+		fi
 	else
 		log "$domain: no natmap section matched"
+		ack_refresh_job "$nonce" failed 0 "no natmap section matched"
 	fi
-	echo "$nonce" > "$STATE_DIR/refresh.last"
+	mark_refresh_done "$nonce"
+}
+
+process_refresh_once() {
+	fetch_refresh_requests || return 0
+	local entry old_ifs ts domain nonce
+	# Agents upgraded from the single-entry queue carry their last nonce over.
+	[ -s "$STATE_DIR/refresh.last" ] && [ ! -e "$STATE_DIR/refresh.done" ] && cp "$STATE_DIR/refresh.last" "$STATE_DIR/refresh.done"
+	# Oldest first, so concurrent requests are served in the order they were queued.
+	for entry in $(sort -n "$STATE_DIR/refresh.queue"); do
+		old_ifs="$IFS"; IFS="|"; set -- $entry; IFS="$old_ifs"
+		ts="$1"; domain="$2"; nonce="$3"
+		process_refresh_entry "$domain" "$ts" "$nonce"
+	done
 }
 
 run_custom_probe() {
@@ -314,6 +364,35 @@ record_failure() {
 	rm -f "$file"
 }
 
+json_escape() {
+	printf '%s' "$1" | tr -d '\000-\037' | sed -e 's/\\/\\\\/g' -e 's/"/\\"/g'
+}
+
+report_section() {
+	local section="$1" probe="$2" failures restart target port
+	[ -n "$REPORT_URL" ] && [ -n "$REPORT_TOKEN" ] || return 0
+	failures="$(cat "$(failure_file "$section")" 2>/dev/null)"
+	case "$failures" in *[!0-9]*|"") failures=0;; esac
+	restart="$(cat "$STATE_DIR/$(safe_name "$section").restart" 2>/dev/null)"
+	case "$restart" in *[!0-9]*|"") restart=0;; esac
+	target="${ddns_srv_target:-}"
+	[ "$target" = "." ] && target=""
+	port="${public_port:-0}"
+	case "$port" in *[!0-9]*|"") port=0;; esac
+	printf '{"domain":"%s","section":"%s","target":"%s","publicIp":"%s","publicPort":%s,"probe":"%s","consecutiveFailures":%s,"lastRestartAt":%s}\n' \
+		"$(json_escape "$ddns_srv")" "$(json_escape "$section")" "$(json_escape "$target")" "$(json_escape "${public_ip:-}")" "$port" "$(json_escape "$probe")" "$failures" "$restart" >> "$REPORT_FILE"
+}
+
+send_agent_report() {
+	local entries code
+	[ -n "$REPORT_URL" ] && [ -n "$REPORT_TOKEN" ] || return 0
+	entries="$(tr '\n' ',' < "$REPORT_FILE" 2>/dev/null)"
+	entries="${entries%,}"
+	code="$(curl -sS -o /dev/null -w '%{http_code}' --connect-timeout "$TIMEOUT" --max-time $((TIMEOUT * 2)) -H "Authorization: Bearer $REPORT_TOKEN" -H 'Content-Type: application/json' --data "{\"agentVersion\":\"$AGENT_VERSION\",\"reports\":[${entries}]}" "$REPORT_URL" 2>/dev/null || true)"
+	[ "$code" = 200 ] || log "agent report to $REPORT_URL failed http=${code:-none}"
+	rm -f "$REPORT_FILE"
+}
+
 dns_srv_record_name() {
 	local service proto
 	service="${ddns_srv_serv#_}"
@@ -416,22 +495,31 @@ check_section() {
 	config_get port "$section" port
 	config_get forward_target "$section" forward_target
 	config_get forward_port "$section" forward_port
-	status_file="$(status_file_for_sid "$section")" || { record_failure "$section" missing-status; return 0; }
+	public_ip=""; public_port=""
+	status_file="$(status_file_for_sid "$section")" || { record_failure "$section" missing-status; report_section "$section" fail; return 0; }
 	public_ip="$(jsonfilter -q -i "$status_file" -e @.ip 2>/dev/null)"
 	public_port="$(jsonfilter -q -i "$status_file" -e @.port 2>/dev/null)"
 	status_proto="$(jsonfilter -q -i "$status_file" -e @.protocol 2>/dev/null)"
 	inner_ip="$(jsonfilter -q -i "$status_file" -e @.inner_ip 2>/dev/null)"
 	inner_port="$(jsonfilter -q -i "$status_file" -e @.inner_port 2>/dev/null)"
-	[ -n "$public_ip" ] && [ -n "$public_port" ] || { record_failure "$section" bad-status; return 0; }
+	[ -n "$public_ip" ] && [ -n "$public_port" ] || { record_failure "$section" bad-status; report_section "$section" fail; return 0; }
 	reconcile_dns_srv
 	access_auth_self_check_login
-	if probe_section; then record_success "$section"; else record_failure "$section" "${public_ip}:${public_port}/${status_proto}"; fi
+	if probe_section; then
+		record_success "$section"
+		report_section "$section" ok
+	else
+		record_failure "$section" "${public_ip}:${public_port}/${status_proto}"
+		report_section "$section" fail
+	fi
 }
 
 process_health_once() {
 	ACCESS_AUTH_SELF_CHECK_DONE=0
+	rm -f "$REPORT_FILE"
 	config_load natmap
 	config_foreach check_section natmap
+	send_agent_report
 }
 
 cleanup_file() { echo "$STATE_DIR/$(safe_name "$1").cleanup"; }
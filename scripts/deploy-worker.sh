@@ -4,7 +4,7 @@ set -eu
 SECRETS_FILE="${SECRETS_FILE:-.secrets}"
 WORKER_NAME="${WORKER_NAME:-dns-srv-to-redirection}"
 WRANGLER_CONFIG="${WRANGLER_CONFIG:-wrangler.toml}"
-WORKER_SECRET_NAMES="${WORKER_SECRET_NAMES:-CF_API_TOKEN CF_ZONE_ID PORTAL_PASSWD}"
+WORKER_SECRET_NAMES="${WORKER_SECRET_NAMES:-CF_API_TOKEN CF_ZONE_ID CF_ZONE_MAP PORTAL_PASSWD PORTAL_SESSION_SECRET REFRESH_QUEUE_SECRET NOTIFY_WEBHOOKS SUBSCRIPTION_TEMPLATES ANALYTICS_API_TOKEN}"
 SKIP_SECRET_UPLOAD="${SKIP_SECRET_UPLOAD:-0}"
 
 if [ -f "$SECRETS_FILE" ]; then
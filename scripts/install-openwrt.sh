@@ -10,11 +10,14 @@ OPENWRT_CUSTOM_SCRIPT_SECTION="${OPENWRT_CUSTOM_SCRIPT_SECTION:-@natmap[0]}"
 OPENWRT_QUEUE_NAME="${OPENWRT_QUEUE_NAME:-}"
 OPENWRT_ACCESS_AUTH_SELF_CHECK_TOKEN="${OPENWRT_ACCESS_AUTH_SELF_CHECK_TOKEN:-}"
 OPENWRT_ACCESS_AUTH_SELF_CHECK_TTL="${OPENWRT_ACCESS_AUTH_SELF_CHECK_TTL:-}"
+OPENWRT_REPORT_URL="${OPENWRT_REPORT_URL:-}"
+OPENWRT_REPORT_TOKEN="${OPENWRT_REPORT_TOKEN:-}"
+OPENWRT_QUEUE_SECRET="${OPENWRT_QUEUE_SECRET:-}"
 
 scp openwrt/natmap-portal-agent.sh "$OPENWRT_HOST:/tmp/natmap-portal-agent.sh"
 scp openwrt/ddns/Cloudflare "$OPENWRT_HOST:/tmp/natmap-ddns-cloudflare"
 
-if [ -n "$OPENWRT_QUEUE_NAME$OPENWRT_ACCESS_AUTH_SELF_CHECK_TOKEN$OPENWRT_ACCESS_AUTH_SELF_CHECK_TTL" ]; then
+if [ -n "$OPENWRT_QUEUE_NAME$OPENWRT_ACCESS_AUTH_SELF_CHECK_TOKEN$OPENWRT_ACCESS_AUTH_SELF_CHECK_TTL$OPENWRT_REPORT_URL$OPENWRT_REPORT_TOKEN$OPENWRT_QUEUE_SECRET" ]; then
   tmp_conf="$(mktemp)"
   if [ -n "$OPENWRT_QUEUE_NAME" ]; then
     escaped_queue="$(printf %s "$OPENWRT_QUEUE_NAME" | sed "s/'/'\\''/g")"
@@ -28,6 +31,18 @@ if [ -n "$OPENWRT_QUEUE_NAME$OPENWRT_ACCESS_AUTH_SELF_CHECK_TOKEN$OPENWRT_ACCESS
     escaped_ttl="$(printf %s "$OPENWRT_ACCESS_AUTH_SELF_CHECK_TTL" | sed "s/'/'\\''/g")"
     printf "ACCESS_AUTH_SELF_CHECK_TTL='%s'\n" "$escaped_ttl" >> "$tmp_conf"
   fi
+  if [ -n "$OPENWRT_REPORT_URL" ]; then
+    escaped_report_url="$(printf %s "$OPENWRT_REPORT_URL" | sed "s/'/'\\''/g")"
+    printf "NATMAP_PORTAL_REPORT_URL='%s'\n" "$escaped_report_url" >> "$tmp_conf"
+  fi
+  if [ -n "$OPENWRT_REPORT_TOKEN" ]; then
+    escaped_report_token="$(printf %s "$OPENWRT_REPORT_TOKEN" | sed "s/'/'\\''/g")"
+    printf "NATMAP_PORTAL_REPORT_TOKEN='%s'\n" "$escaped_report_token" >> "$tmp_conf"
+  fi
+  if [ -n "$OPENWRT_QUEUE_SECRET" ]; then
+    escaped_queue_secret="$(printf %s "$OPENWRT_QUEUE_SECRET" | sed "s/'/'\\''/g")"
+    printf "NATMAP_REFRESH_QUEUE_SECRET='%s'\n" "$escaped_queue_secret" >> "$tmp_conf"
+  fi
   scp "$tmp_conf" "$OPENWRT_HOST:/tmp/natmap-portal-agent.conf"
   rm -f "$tmp_conf"
 fi
@@ -69,3 +84,9 @@ fi
 if [ -n "$OPENWRT_ACCESS_AUTH_SELF_CHECK_TOKEN$OPENWRT_ACCESS_AUTH_SELF_CHECK_TTL" ]; then
   echo "Access auth self-check config updated on $OPENWRT_HOST"
 fi
+if [ -n "$OPENWRT_REPORT_URL$OPENWRT_REPORT_TOKEN" ]; then
+  echo "Agent report config updated on $OPENWRT_HOST"
+fi
+if [ -n "$OPENWRT_QUEUE_SECRET" ]; then
+  echo "Refresh queue signing secret updated on $OPENWRT_HOST"
+fi
@@ -6,7 +6,10 @@ mode="${1:-all}"
 worker_smoke() {
   PORTAL_URL="${PORTAL_URL:?PORTAL_URL is required, for example https://s.example.com}"
   PORTAL_PASSWD="${PORTAL_PASSWD:?PORTAL_PASSWD is required}"
-  curl -fsS "$PORTAL_URL/api/resources?pwd=$PORTAL_PASSWD&force=1" | grep '"ok":true' >/dev/null
+  cookie_jar="$(mktemp)"
+  trap 'rm -f "$cookie_jar"' EXIT
+  curl -fsS -o /dev/null -c "$cookie_jar" --data-urlencode "pwd=$PORTAL_PASSWD" "$PORTAL_URL/login"
+  curl -fsS -b "$cookie_jar" "$PORTAL_URL/api/resources?force=1" | grep '"ok":true' >/dev/null
   echo "Worker API smoke passed"
 }
 
@@ -1,8 +1,26 @@
-import worker from "../worker.js";
+import worker, { PortalMetrics, PortalRateLimiter } from "../worker.js";
 
 let port = 24467;
 let txtWrites = 0;
 let txtDeletes = 0;
+let extraSrvRecords = [];
+let srvFailure = false;
+let webhookCalls = [];
+let zoneFailures = new Set();
+let txtZones = [];
+let dohQueries = [];
+let srvFetchCount = 0;
+let srvGate = null;
+let srvFailureResponse = null;
+let proxiedRequests = [];
+let analyticsSql = [];
+const dohAnswers = {
+  "_https._tcp.web.s.example.com": ["0 0 8443 web.n.example.com."],
+  "_hy2._udp.hm-hy2.s.example.com": ["0 0 3434 hm-hy2.n.example.com."],
+  "_https._tcp.ondemand.lab.s.example.com": ["0 0 9443 od.n.example.com."],
+};
+let webhookStatuses = [];
+let txtRecords = [{ id: "old-txt-1" }, { id: "old-txt-2" }];
 const env = {
   DOMAINS: "*.s.example.com",
   PORTAL_DOMAIN: "s.example.com",
@@ -10,8 +28,75 @@ const env = {
   CF_ZONE_ID: "zone",
   PORTAL_PASSWD: "secret",
   DEFAULT_REDIRECT_STATUS: "307",
+  PORTAL_LEGACY_PWD_QUERY: "true",
 };
 
+function createMemoryKv() {
+  const values = new Map();
+  const metadata = new Map();
+  return {
+    values,
+    metadata,
+    async get(key, type) {
+      const value = values.has(key) ? values.get(key) : null;
+      return type === "json" && value !== null ? JSON.parse(value) : value;
+    },
+    async put(key, value, options = {}) {
+      if (options.metadata && JSON.stringify(options.metadata).length > 1024) throw new Error("KV metadata is limited to 1024 bytes");
+      values.set(key, value);
+      if (options.metadata) metadata.set(key, options.metadata);
+      else metadata.delete(key);
+    },
+    async delete(key) {
+      values.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix = "", limit = 1000, cursor } = {}) {
+      const names = Array.from(values.keys()).filter((key) => key.startsWith(prefix)).sort();
+      const start = Number(cursor || 0);
+      const keys = names.slice(start, start + limit).map((name) => (metadata.has(name) ? { name, metadata: metadata.get(name) } : { name }));
+      return { keys, list_complete: start + limit >= names.length, cursor: String(start + limit) };
+    },
+  };
+}
+function readHealthStates(kv) {
+  return Object.fromEntries(Array.from(kv.metadata.entries()).filter(([key]) => key.startsWith("health:")).map(([key, state]) => [key.slice("health:".length), state]));
+}
+function writeHealthState(kv, key, state) {
+  return kv.put(`health:${key}`, JSON.stringify(state), { metadata: state });
+}
+function readAuditEntries(kv) {
+  return Array.from(kv.values.keys()).filter((key) => key.startsWith("audit:")).sort().map((key) => JSON.parse(kv.values.get(key)));
+}
+
+function createDurableObjectNamespace(ObjectClass) {
+  const instances = new Map();
+  return {
+    instances,
+    idFromName(name) {
+      return name;
+    },
+    get(id) {
+      if (!instances.has(id)) {
+        const values = new Map();
+        const storage = {
+          async get(key) { return Array.isArray(key) ? new Map(key.filter((item) => values.has(item)).map((item) => [item, values.get(item)])) : values.get(key); },
+          async put(key, value) {
+            if (typeof key === "object") Object.entries(key).forEach(([item, itemValue]) => values.set(item, itemValue));
+            else values.set(key, value);
+          },
+          async list({ prefix = "" } = {}) { return new Map(Array.from(values).filter(([key]) => key.startsWith(prefix)).sort(([a], [b]) => (a < b ? -1 : 1))); },
+          async deleteAll() { values.clear(); },
+          async setAlarm() {},
+        };
+        instances.set(id, new ObjectClass({ storage }, {}));
+      }
+      const instance = instances.get(id);
+      return { fetch: (url, init) => instance.fetch(new Request(url, init)) };
+    },
+  };
+}
+
 function srvRecord() {
   return {
     id: "srv1",
@@ -92,24 +177,92 @@ function rdpSrvRecord() {
   };
 }
 
+// 只实现 redirect_events 用到的几条语句：建表/索引、插入、按时间清理和按主机名聚合。
+function createFakeD1() {
+  const rows = [];
+  const run = (sql, args) => {
+    if (sql.startsWith("CREATE")) return { success: true, results: [] };
+    if (sql.startsWith("INSERT")) {
+      const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(",").map((column) => column.trim());
+      rows.push(Object.fromEntries(columns.map((column, index) => [column, args[index]])));
+      return { success: true, results: [] };
+    }
+    if (sql.startsWith("DELETE")) {
+      rows.splice(0, rows.length, ...rows.filter((row) => row.at >= args[0]));
+      return { success: true, results: [] };
+    }
+    const groups = new Map();
+    for (const row of rows) {
+      const group = groups.get(row.hostname) || { hostname: row.hostname, day: 0, week: 0, month: 0, lastAt: 0 };
+      group.day += row.at >= args[0] ? 1 : 0;
+      group.week += row.at >= args[1] ? 1 : 0;
+      group.month += row.at >= args[2] ? 1 : 0;
+      group.lastAt = Math.max(group.lastAt, row.at);
+      groups.set(row.hostname, group);
+    }
+    return { success: true, results: Array.from(groups.values()) };
+  };
+  return {
+    rows,
+    prepare(sql) {
+      const statement = (args) => ({ bind: (...next) => statement(next), run: async () => run(sql, args), all: async () => run(sql, args) });
+      return statement([]);
+    },
+  };
+}
+
 globalThis.fetch = async (url, init = {}) => {
   const u = new URL(url);
+  if (u.pathname.endsWith("/analytics_engine/sql")) {
+    analyticsSql.push({ url: String(url), auth: init.headers.Authorization, sql: init.body });
+    if (init.headers.Authorization !== "Bearer analytics-token") return Response.json({ success: false, errors: [{ code: 10000, message: "Authentication error" }] }, { status: 403 });
+    return Response.json({ data: [{ hostname: "web.s.example.com", day: "3", week: "10", month: "42", lastAt: "1779753600" }], rows: 1 });
+  }
+  if (["hooks.example", "api.telegram.org", "sctapi.ftqq.com", "api.day.app"].includes(u.hostname)) {
+    webhookCalls.push({ url: String(url), body: JSON.parse(init.body) });
+    return new Response("{}", { status: webhookStatuses.shift() || 200 });
+  }
+  if (u.hostname === "proxy.n.example.com") {
+    proxiedRequests.push({ url: String(url), init });
+    if (u.pathname === "/down") throw new TypeError("connection refused");
+    if (u.pathname === "/ws") return new Response(null, { status: 200, headers: { "X-Upstream-Socket": "1" } });
+    const headers = new Headers({ Location: "https://proxy.n.example.com:8443/login?next=%2F", "Content-Type": "text/plain" });
+    headers.append("Set-Cookie", "sid=abc; Domain=n.example.com; Path=/; HttpOnly");
+    headers.append("Set-Cookie", "theme=dark; Path=/");
+    return new Response("upstream body", { status: 302, headers });
+  }
+  if (u.hostname === "cloudflare-dns.com") {
+    const name = u.searchParams.get("name");
+    dohQueries.push(name);
+    if (name.includes("broken")) return new Response("bad gateway", { status: 502 });
+    const answers = dohAnswers[name] || [];
+    return Response.json({ Status: answers.length ? 0 : 3, Answer: answers.map((data) => ({ name: `${name}.`, type: 33, TTL: 60, data })) });
+  }
+  const zoneId = u.pathname.split("/")[4];
   if (u.searchParams.get("type") === "SRV") {
-    return Response.json({ success: true, result: [srvRecord(), webSrvRecord(), portalSrvRecord(), vlessFallbackSrvRecord(), rdpSrvRecord()], result_info: { page: 1, total_pages: 1 } });
+    srvFetchCount += 1;
+    if (srvGate) await srvGate;
+    if (srvFailureResponse) return srvFailureResponse();
+    if (srvFailure || zoneFailures.has(zoneId)) return new Response("upstream error", { status: 500 });
+    if (zoneId === "zone-home") return Response.json({ success: true, result: [{ id: "srv-home", name: "_ssh._tcp.nas.home.example.net", type: "SRV", created_on: "2026-05-26T00:00:00Z", modified_on: "2026-05-26T00:00:00Z", data: { priority: 0, weight: 0, port: 2222, target: "h.example.net" } }], result_info: { page: 1, total_pages: 1 } });
+    return Response.json({ success: true, result: [srvRecord(), webSrvRecord(), portalSrvRecord(), vlessFallbackSrvRecord(), rdpSrvRecord(), ...extraSrvRecords], result_info: { page: 1, total_pages: 1 } });
   }
   if (u.searchParams.get("type") === "TXT") {
-    return Response.json({ success: true, result: [{ id: "old-txt-1" }, { id: "old-txt-2" }] });
+    return Response.json({ success: true, result: txtRecords });
   }
   if (init.method === "DELETE") {
     txtDeletes += 1;
+    txtRecords = txtRecords.filter((record) => record.id !== u.pathname.split("/").pop());
     return Response.json({ success: true, result: { id: u.pathname.split("/").pop() } });
   }
   if (init.method === "POST" || init.method === "PUT") {
     txtWrites += 1;
+    txtZones.push(zoneId);
     const body = JSON.parse(init.body);
     if (body.type !== "TXT") throw new Error("refresh queue write must use TXT");
-    if (!body.content.includes("hm-hy2.s.example.com")) throw new Error("refresh queue content missing domain");
-    return Response.json({ success: true, result: { id: "txt1" } });
+    if (!/^[a-z0-9.-]+\.s\.example\.com\|\d+\|[0-9a-f-]{36}(\|v2\|refresh\|[0-9a-f]{64})?$/.test(body.content)) throw new Error("refresh queue content should be <domain>|<ms>|<nonce>[|v2|<action>|<hmac>]");
+    txtRecords.push({ id: `txt${txtWrites}`, content: body.content });
+    return Response.json({ success: true, result: { id: `txt${txtWrites}` } });
   }
   throw new Error(`unexpected fetch: ${url}`);
 };
@@ -201,17 +354,30 @@ const api2 = await worker.fetch(new Request("https://s.example.com/api/resources
 const json2 = await api2.json();
 if (json2.resources[0].port !== 25555) throw new Error("forced API did not fetch new port");
 
-let limited = false;
+let limited = null;
 for (let i = 0; i < 26; i += 1) {
   const resp = await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret&force=1", {
     headers: { "CF-Connecting-IP": "9.9.9.9" },
   }), env, {});
   if (resp.status === 429) {
-    limited = true;
+    limited = resp;
     break;
   }
 }
 if (!limited) throw new Error("force API rate limit did not trigger");
+if (limited.headers.get("X-RateLimit-Limit") !== "25" || limited.headers.get("X-RateLimit-Remaining") !== "0" || !(Number(limited.headers.get("Retry-After")) > 0) || !limited.headers.get("X-RateLimit-Reset")) {
+  throw new Error("429 response missing Retry-After or X-RateLimit headers");
+}
+
+const limiterEnv = { ...env, RATE_LIMITER: createDurableObjectNamespace(PortalRateLimiter), RATE_LIMIT_FORCE_SRV: "2/60" };
+for (let i = 0; i < 2; i += 1) {
+  const resp = await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret&force=1", { headers: { "CF-Connecting-IP": "8.8.8.8" } }), limiterEnv, {});
+  if (resp.status !== 200) throw new Error("durable object limiter rejected a request under the configured limit");
+}
+globalThis.portalRateLimits = new Map();
+const globallyLimited = await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret&force=1", { headers: { "CF-Connecting-IP": "8.8.8.8" } }), limiterEnv, {});
+if (globallyLimited.status !== 429 || globallyLimited.headers.get("X-RateLimit-Limit") !== "2") throw new Error("durable object limiter should enforce limits across isolates");
+if (!limiterEnv.RATE_LIMITER.instances.has("force-srv:8.8.8.8")) throw new Error("durable object limiter should keep the force-srv:<ip> key");
 
 globalThis.portalRateLimits = new Map();
 const form = new FormData();
@@ -227,4 +393,990 @@ if (!fallback.headers.get("Location")?.includes("refreshQueued=hm-hy2.s.example.
   throw new Error("POST fallback location missing refreshQueued marker");
 }
 
+const memoryModes = await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), env, {});
+const memoryWeb = (await memoryModes.json()).resources.find((r) => r.domain === "web.s.example.com");
+if (memoryWeb.redirectStatus !== 307 || memoryWeb.redirectStatusSource !== "default") throw new Error("default redirect status source mismatch");
+
+const kvEnv = { ...env, PORTAL_KV: createMemoryKv() };
+const saveForm = new FormData();
+saveForm.set("pwd", "secret");
+saveForm.set("domain", "web.s.example.com");
+saveForm.set("redirectStatus", "308");
+const saved = await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: saveForm }), kvEnv, {});
+if (saved.status !== 303 || !saved.headers.get("Location")?.includes("saved=web.s.example.com")) throw new Error("redirect status save should use 303");
+if (!kvEnv.PORTAL_KV.values.get("redirect-modes")?.includes("308")) throw new Error("redirect status should persist to PORTAL_KV");
+saveForm.set("domain", "newapi.s.example.com");
+saveForm.set("redirectStatus", "301");
+await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: saveForm }), kvEnv, {});
+globalThis.portalMemoryStore = new Map();
+const persistedWeb = await worker.fetch(new Request("https://web.s.example.com/app"), kvEnv, {});
+if (persistedWeb.status !== 308) throw new Error("exact redirect should read persisted status");
+const persistedWildcard = await worker.fetch(new Request("https://newapi.s.example.com/"), kvEnv, {});
+if (persistedWildcard.status !== 301) throw new Error("wildcard fallback should read persisted status");
+const kvApi = await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), kvEnv, {});
+const kvWeb = (await kvApi.json()).resources.find((r) => r.domain === "web.s.example.com");
+if (kvWeb.redirectStatus !== 308 || kvWeb.redirectStatusSource !== "kv") throw new Error("resource API should report KV redirect status source");
+const unchangedMemory = await worker.fetch(new Request("https://web.s.example.com/app"), env, {});
+if (unchangedMemory.status !== 307) throw new Error("KV redirect status should not leak into memory fallback");
+const flakyModesKv = createMemoryKv();
+const flakyModesGet = flakyModesKv.get;
+flakyModesKv.get = async (key, type) => {
+  if (key === "redirect-modes") throw new Error("KV unavailable");
+  return flakyModesGet(key, type);
+};
+const flakyModesRedirect = await worker.fetch(new Request("https://web.s.example.com/app"), { ...env, PORTAL_KV: flakyModesKv, DEFAULT_REDIRECT_STATUS: "302" }, {});
+if (flakyModesRedirect.status !== 302 || !flakyModesRedirect.headers.get("Location")) throw new Error("a failed redirect-modes read should fall back to DEFAULT_REDIRECT_STATUS");
+const flakyHealthKv = createMemoryKv();
+const flakyHealthList = flakyHealthKv.list;
+flakyHealthKv.list = async (options) => {
+  if (options.prefix.startsWith("health:")) throw new Error("KV unavailable");
+  return flakyHealthList(options);
+};
+const flakyHealthRedirect = await worker.fetch(new Request("https://web.s.example.com/app"), { ...env, PORTAL_KV: flakyHealthKv }, {});
+if (flakyHealthRedirect.status !== 307 || !flakyHealthRedirect.headers.get("Location")) throw new Error("a failed health-state read should leave health unknown and keep redirecting");
+
+const foreignForm = new FormData();
+foreignForm.set("pwd", "secret");
+foreignForm.set("domain", "evil.example.net");
+foreignForm.set("redirectStatus", "301");
+await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: foreignForm }), kvEnv, {});
+if (kvEnv.PORTAL_KV.values.get("redirect-modes")?.includes("evil.example.net")) throw new Error("unmanaged domains should not be persisted");
+
+const sessionEnv = { ...env, PORTAL_LEGACY_PWD_QUERY: "false", PORTAL_SESSION_SECRET: "session-secret" };
+const queryDenied = await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), sessionEnv, {});
+if (queryDenied.status !== 401) throw new Error("?pwd= should be rejected when the legacy flag is off");
+const badLogin = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ pwd: "wrong" }) }), sessionEnv, {});
+if (badLogin.status !== 401 || badLogin.headers.get("Set-Cookie")) throw new Error("wrong password should not issue a session");
+const login = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ pwd: "secret" }) }), sessionEnv, {});
+const sessionCookie = login.headers.get("Set-Cookie") || "";
+if (login.status !== 303 || login.headers.get("Location") !== "https://s.example.com/" || !/^portal_session=[^;]+;.*HttpOnly/.test(sessionCookie)) throw new Error("login should issue an HttpOnly session cookie");
+const cookieHeader = sessionCookie.split(";")[0];
+for (const init of [{ headers: { "Content-Type": "application/json" }, body: "{bad" }, { headers: { "Content-Type": "application/json" }, body: "null" }, { body: "pwd=secret" }]) {
+  const resp = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", ...init, headers: { ...init.headers, "CF-Connecting-IP": "198.51.100.7" } }), sessionEnv, {});
+  const expected = init.body === "null" ? 401 : 400;
+  if (resp.status !== expected || resp.headers.get("Set-Cookie")) throw new Error(`malformed login bodies should be rejected with ${expected}`);
+}
+const malformedLogin = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", headers: { "Content-Type": "application/json", "CF-Connecting-IP": "198.51.100.7" }, body: "{bad" }), sessionEnv, {});
+if ((await malformedLogin.json()).error !== "invalid request body") throw new Error("malformed JSON login bodies should report invalid request body");
+const sessionPortal = await worker.fetch(new Request("https://s.example.com/", { headers: { Cookie: cookieHeader } }), sessionEnv, {});
+const sessionHtml = await sessionPortal.text();
+if (!sessionHtml.includes("resourceSearch") || sessionHtml.includes("name=\"pwd\"") || sessionHtml.includes("secret")) throw new Error("session portal should render without embedding the password");
+const sessionApi = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: cookieHeader } }), sessionEnv, {});
+if (!(await sessionApi.json()).ok) throw new Error("resource API should accept the session cookie");
+const sessionForm = new FormData();
+sessionForm.set("domain", "web.s.example.com");
+sessionForm.set("redirectStatus", "302");
+const sessionSave = await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: sessionForm, headers: { Cookie: cookieHeader } }), sessionEnv, {});
+if (sessionSave.status !== 303 || sessionSave.headers.get("Location")?.includes("pwd=")) throw new Error("form fallback should accept the session and keep pwd out of Location");
+const [sessionBody] = cookieHeader.slice("portal_session=".length).split(".");
+const forged = `portal_session=${sessionBody}.AAAA`;
+const forgedApi = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: forged } }), sessionEnv, {});
+if (forgedApi.status !== 401) throw new Error("tampered session signature should be rejected");
+const otherSecret = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: cookieHeader } }), { ...sessionEnv, PORTAL_SESSION_SECRET: "rotated" }, {});
+if (otherSecret.status !== 401) throw new Error("rotating the session secret should invalidate sessions");
+const realNow = Date.now;
+Date.now = () => realNow() + 13 * 3600 * 1000;
+const expiredApi = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: cookieHeader } }), sessionEnv, {});
+Date.now = realNow;
+if (expiredApi.status !== 401) throw new Error("expired session should be rejected");
+const logout = await worker.fetch(new Request("https://s.example.com/logout"), sessionEnv, {});
+if (logout.status !== 303 || !logout.headers.get("Set-Cookie")?.includes("Max-Age=0")) throw new Error("logout should clear the session cookie");
+
+const usersEnv = {
+  ...sessionEnv,
+  PORTAL_USERS: JSON.stringify([
+    { name: "viewer", password: "view-pass", role: "viewer" },
+    { name: "operator", password: "op-pass", role: "operator" },
+    { name: "Admin", passwordSha256: "b630f5d579dfef28c45ddf5e3c7a65f09ebca4d5b064a70c4203578c8667fdeb", role: "admin" },
+    { name: "root", password: "root-pass", role: "admin" },
+  ]),
+};
+async function loginAs(user, pwd) {
+  const resp = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ user, pwd }) }), usersEnv, {});
+  if (resp.status !== 303) throw new Error(`login for ${user} failed with ${resp.status}`);
+  return (resp.headers.get("Set-Cookie") || "").split(";")[0];
+}
+const sharedDenied = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ pwd: "secret" }) }), usersEnv, {});
+if (sharedDenied.status !== 401) throw new Error("shared password should be disabled once PORTAL_USERS is configured");
+const loginPage = await (await worker.fetch(new Request("https://s.example.com/"), usersEnv, {})).text();
+if (!loginPage.includes("name=\"user\"")) throw new Error("login form should ask for a user name when PORTAL_USERS is configured");
+const viewerCookie = await loginAs("viewer", "view-pass");
+const viewerHtml = await (await worker.fetch(new Request("https://s.example.com/", { headers: { Cookie: viewerCookie } }), usersEnv, {})).text();
+if (viewerHtml.includes("class=\"redirect-form\"") || viewerHtml.includes("class=\"refresh-form\"") || !viewerHtml.includes("viewer")) throw new Error("viewer portal should hide redirect and refresh controls");
+const viewerRefresh = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json", Cookie: viewerCookie }, body: JSON.stringify({ domain: "hm-hy2.s.example.com" }) }), usersEnv, {});
+const viewerRefreshJson = await viewerRefresh.json();
+if (viewerRefresh.status !== 403 || viewerRefreshJson.missingPermission !== "refresh") throw new Error("viewer refresh should be forbidden with the missing permission");
+const viewerList = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: viewerCookie } }), usersEnv, {});
+if (viewerList.status !== 200) throw new Error("viewer should list resources");
+const operatorCookie = await loginAs("operator", "op-pass");
+const operatorHtml = await (await worker.fetch(new Request("https://s.example.com/", { headers: { Cookie: operatorCookie } }), usersEnv, {})).text();
+if (operatorHtml.includes("class=\"redirect-form\"") || !operatorHtml.includes("class=\"refresh-form\"")) throw new Error("operator portal should show refresh but not redirect controls");
+const operatorForm = new FormData();
+operatorForm.set("domain", "web.s.example.com");
+operatorForm.set("redirectStatus", "301");
+const operatorSave = await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: operatorForm, headers: { Cookie: operatorCookie } }), usersEnv, {});
+if (operatorSave.status !== 403 || !(await operatorSave.text()).includes("redirect")) throw new Error("operator redirect change should be forbidden");
+const hashedAdminCookie = await loginAs("admin", "admin-pass");
+if (!hashedAdminCookie.startsWith("portal_session=")) throw new Error("passwordSha256 users should log in");
+const rootCookie = await loginAs("root", "root-pass");
+const rootSave = await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: operatorForm, headers: { Cookie: rootCookie } }), usersEnv, {});
+if (rootSave.status !== 303) throw new Error("admin should change redirect status");
+const removedUser = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: rootCookie } }), { ...usersEnv, PORTAL_USERS: JSON.stringify([{ name: "viewer", password: "view-pass", role: "viewer" }]) }, {});
+if (removedUser.status !== 401) throw new Error("sessions of removed users should be rejected");
+
+const scopedEnv = {
+  ...sessionEnv,
+  PORTAL_USERS: JSON.stringify([
+    { name: "family", password: "family-pass", role: "viewer", scopes: ["web.s.example.com", "z-*.s.example.com"] },
+    { name: "contractor", password: "contractor-pass", role: "operator", scopes: "hm-hy2.s.example.com" },
+  ]),
+};
+async function scopedLogin(user, pwd) {
+  const resp = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ user, pwd }) }), scopedEnv, {});
+  const cookie = resp.headers.get("Set-Cookie") || "";
+  if (!cookie.includes("Domain=s.example.com")) throw new Error("session cookie should cover portal subdomains");
+  return cookie.split(";")[0];
+}
+const familyCookie = await scopedLogin("family", "family-pass");
+const familyList = await (await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: familyCookie } }), scopedEnv, {})).json();
+if (familyList.resources.map((r) => r.domain).sort().join(",") !== "web.s.example.com,z-rdp.s.example.com") throw new Error("resource API should only list in-scope resources");
+const familyHtml = await (await worker.fetch(new Request("https://s.example.com/", { headers: { Cookie: familyCookie } }), scopedEnv, {})).text();
+if (familyHtml.includes("hm-hy2.s.example.com") || !familyHtml.includes("z-rdp.s.example.com")) throw new Error("portal page should only show in-scope resources");
+const familyInfo = await worker.fetch(new Request("https://z-rdp.s.example.com/", { headers: { Cookie: familyCookie } }), scopedEnv, {});
+if (familyInfo.status !== 200) throw new Error("in-scope non-web info page should render");
+const familyHidden = await worker.fetch(new Request("https://hm-hy2.s.example.com/", { headers: { Cookie: familyCookie } }), scopedEnv, {});
+if (familyHidden.status !== 404) throw new Error("out-of-scope non-web info page should return 404");
+const anonymousInfo = await worker.fetch(new Request("https://z-rdp.s.example.com/"), scopedEnv, {});
+if (anonymousInfo.status !== 404) throw new Error("multi-user info pages should require a session");
+globalThis.portalRateLimits = new Map();
+const contractorCookie = await scopedLogin("contractor", "contractor-pass");
+const outOfScopeRefresh = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json", Cookie: contractorCookie }, body: JSON.stringify({ domain: "web.s.example.com" }) }), scopedEnv, {});
+if (outOfScopeRefresh.status !== 404) throw new Error("out-of-scope refresh should return 404");
+const inScopeRefresh = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json", Cookie: contractorCookie }, body: JSON.stringify({ domain: "hm-hy2.s.example.com" }) }), scopedEnv, {});
+if (inScopeRefresh.status !== 200) throw new Error("in-scope refresh should be queued");
+
+const { createHash } = await import("node:crypto");
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+const tokenEnv = {
+  ...scopedEnv,
+  PORTAL_KV: createMemoryKv(),
+  PORTAL_API_TOKENS: JSON.stringify([
+    { name: "ci-read", sha256: sha256("read-token"), operations: ["read"] },
+    { name: "ci-refresh", sha256: sha256("refresh-token"), operations: ["read", "refresh"], scopes: ["hm-hy2.s.example.com"] },
+    { name: "ci-old", sha256: sha256("old-token"), operations: ["read"], expiresAt: "2020-01-01T00:00:00Z" },
+  ]),
+};
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+const tokenList = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: bearer("read-token") }), tokenEnv, {});
+if (tokenList.status !== 200 || tokenList.headers.get("X-Portal-Actor") !== "token:ci-read") throw new Error("read token should list resources and be named in X-Portal-Actor");
+const tokenRefreshDenied = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json", ...bearer("read-token") }, body: JSON.stringify({ domain: "hm-hy2.s.example.com" }) }), tokenEnv, {});
+if (tokenRefreshDenied.status !== 403 || (await tokenRefreshDenied.json()).missingPermission !== "refresh") throw new Error("read-only token should not queue refreshes");
+const tokenScopedList = await (await worker.fetch(new Request("https://s.example.com/api/resources", { headers: bearer("refresh-token") }), tokenEnv, {})).json();
+if (tokenScopedList.resources.map((r) => r.domain).join(",") !== "hm-hy2.s.example.com") throw new Error("scoped token should only list in-scope resources");
+globalThis.portalRateLimits = new Map();
+const tokenOutOfScope = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json", ...bearer("refresh-token") }, body: JSON.stringify({ domain: "web.s.example.com" }) }), tokenEnv, {});
+if (tokenOutOfScope.status !== 404) throw new Error("scoped token refresh outside its scopes should return 404");
+const tokenExpired = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: bearer("old-token") }), tokenEnv, {});
+if (tokenExpired.status !== 401) throw new Error("expired tokens should be rejected");
+const tokenBogus = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { ...bearer("nope"), Cookie: familyCookie } }), tokenEnv, {});
+if (tokenBogus.status !== 401) throw new Error("an invalid bearer token should not fall back to the session cookie");
+const cookieActor = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: { Cookie: familyCookie } }), tokenEnv, {});
+if (cookieActor.headers.get("X-Portal-Actor") !== "user:family") throw new Error("session requests should be named in X-Portal-Actor");
+const adminTokenEnv = { ...tokenEnv, PORTAL_USERS: JSON.stringify([{ name: "root", password: "root-pass", role: "admin" }, { name: "viewer", password: "view-pass", role: "viewer" }]) };
+async function adminTokenLogin(user, pwd) {
+  const resp = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ user, pwd }) }), adminTokenEnv, {});
+  return (resp.headers.get("Set-Cookie") || "").split(";")[0];
+}
+const tokenAdminCookie = await adminTokenLogin("root", "root-pass");
+const viewerTokenPage = await worker.fetch(new Request("https://s.example.com/admin/tokens", { headers: { Cookie: await adminTokenLogin("viewer", "view-pass") } }), adminTokenEnv, {});
+if (viewerTokenPage.status !== 403) throw new Error("token admin page should require the admin role");
+const createTokenForm = new URLSearchParams({ action: "create", name: "deploy", scopes: "web.s.example.com", expiresDays: "7" });
+createTokenForm.append("operations", "read");
+const createdTokenHtml = await (await worker.fetch(new Request("https://s.example.com/admin/tokens", { method: "POST", body: createTokenForm, headers: { Cookie: tokenAdminCookie } }), adminTokenEnv, {})).text();
+const createdToken = createdTokenHtml.match(/srvp_[A-Za-z0-9_-]+/)?.[0];
+if (!createdToken || adminTokenEnv.PORTAL_KV.values.get("api-tokens").includes(createdToken)) throw new Error("created tokens should be shown once and stored only as a hash");
+const createdTokenList = await (await worker.fetch(new Request("https://s.example.com/api/resources", { headers: bearer(createdToken) }), adminTokenEnv, {})).json();
+if (createdTokenList.resources.map((r) => r.domain).join(",") !== "web.s.example.com") throw new Error("admin-created tokens should authenticate with their scopes");
+const createdTokenId = JSON.parse(adminTokenEnv.PORTAL_KV.values.get("api-tokens"))[0].id;
+const revokeToken = await worker.fetch(new Request("https://s.example.com/admin/tokens", { method: "POST", body: new URLSearchParams({ action: "revoke", id: createdTokenId }), headers: { Cookie: tokenAdminCookie } }), adminTokenEnv, {});
+if (revokeToken.status !== 303) throw new Error("token revocation should redirect back to the admin page");
+const revokedTokenList = await worker.fetch(new Request("https://s.example.com/api/resources", { headers: bearer(createdToken) }), adminTokenEnv, {});
+if (revokedTokenList.status !== 401) throw new Error("revoked tokens should be rejected");
+
+function weightedSrvRecord(id, target, port, weight, modifiedOn = "2026-05-26T00:05:00Z") {
+  return { id, name: "_https._tcp.lb.s.example.com", type: "SRV", created_on: "2026-05-26T00:00:00Z", modified_on: modifiedOn, data: { priority: 10, weight, port, target } };
+}
+extraSrvRecords = [
+  weightedSrvRecord("lb-a", "a.n.example.com", 4001, 1),
+  weightedSrvRecord("lb-b", "b.n.example.com", 4002, 3),
+  weightedSrvRecord("lb-b-dup", "b.n.example.com", 4002, 3, "2026-05-26T00:04:00Z"),
+  { ...weightedSrvRecord("lb-backup", "c.n.example.com", 4003, 100), data: { priority: 20, weight: 100, port: 4003, target: "c.n.example.com" } },
+];
+globalThis.srvRecordsCache = null;
+const lbList = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret&force=1"), env, {})).json();
+if (lbList.resources.filter((r) => r.domain === "lb.s.example.com").length !== 3 || lbList.cache.duplicateCount !== 1) throw new Error("normalize should keep distinct SRV targets and only fold same target+port duplicates");
+const lbHits = new Map();
+for (let i = 0; i < 200; i++) {
+  const resp = await worker.fetch(new Request("https://lb.s.example.com/", { headers: { "CF-Connecting-IP": `198.51.100.${i}` } }), env, {});
+  const host = new URL(resp.headers.get("Location")).host;
+  lbHits.set(host, (lbHits.get(host) || 0) + 1);
+}
+if (lbHits.has("c.n.example.com:4003")) throw new Error("higher-priority-number SRV should not be selected while the lowest priority group exists");
+if (!(lbHits.get("a.n.example.com:4001") > 10) || !(lbHits.get("b.n.example.com:4002") > lbHits.get("a.n.example.com:4001"))) throw new Error("equal-priority SRV targets should be picked in proportion to weight");
+const stickyEnv = { ...env, SRV_STICKY_SELECTION: "true" };
+const stickyHosts = new Set();
+for (let i = 0; i < 10; i++) {
+  const resp = await worker.fetch(new Request("https://lb.s.example.com/", { headers: { "CF-Connecting-IP": "203.0.113.9" } }), stickyEnv, {});
+  stickyHosts.add(new URL(resp.headers.get("Location")).host);
+}
+if (stickyHosts.size !== 1) throw new Error("sticky selection should keep one client IP on one SRV target");
+extraSrvRecords = [];
+globalThis.srvRecordsCache = null;
+
+const healthEnv = { ...env, PORTAL_KV: createMemoryKv() };
+extraSrvRecords = [weightedSrvRecord("lb-a", "a.n.example.com", 4001, 1), weightedSrvRecord("lb-b", "b.n.example.com", 4002, 3)];
+globalThis.srvRecordsCache = null;
+const postHealth = (body, targetEnv = healthEnv) => worker.fetch(new Request("https://s.example.com/api/health", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", ...body }) }), targetEnv, {});
+const healthSaved = await postHealth({ reports: [{ hostname: "lb.s.example.com", target: "b.n.example.com", healthy: false, reason: "probe timeout" }, { hostname: "web.s.example.com", healthy: true }] });
+if (healthSaved.status !== 200 || (await healthSaved.json()).saved.length !== 2) throw new Error("health reports should be accepted in batches");
+for (let i = 0; i < 20; i++) {
+  const resp = await worker.fetch(new Request("https://lb.s.example.com/", { headers: { "CF-Connecting-IP": `198.51.100.${i}` } }), healthEnv, {});
+  if (resp.headers.get("Location") !== "https://a.n.example.com:4001/") throw new Error("unhealthy SRV targets should be skipped");
+}
+await postHealth({ hostname: "lb.s.example.com", healthy: false, reason: "all lines down" });
+const unavailable = await worker.fetch(new Request("https://lb.s.example.com/"), healthEnv, {});
+const unavailableHtml = await unavailable.text();
+if (unavailable.status !== 503 || !unavailable.headers.get("Retry-After") || !unavailableHtml.includes("Service Temporarily Unavailable") || unavailableHtml.includes("4001")) throw new Error("fully unhealthy hostnames should render the unavailable page without targets");
+const healthPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), healthEnv, {})).text();
+if (!healthPortal.includes("all lines down") || !healthPortal.includes(">健康</span>")) throw new Error("portal should show health badges");
+const healthStates = readHealthStates(healthEnv.PORTAL_KV);
+if (!healthStates["lb.s.example.com|b.n.example.com"] || !healthStates["web.s.example.com|*"] || healthStates["lb.s.example.com|*"]?.reason !== "all lines down") throw new Error("each health report should be stored under its own key");
+for (const [key, state] of Object.entries(healthStates)) await writeHealthState(healthEnv.PORTAL_KV, key, { ...state, expiresAt: Date.now() - 1 });
+const expiredHealth = await worker.fetch(new Request("https://lb.s.example.com/"), healthEnv, {});
+if (expiredHealth.status !== 307) throw new Error("expired health reports should stop affecting redirects");
+const healthDenied = await worker.fetch(new Request("https://s.example.com/api/health", { method: "POST", headers: { "Content-Type": "application/json", ...bearer("read-token") }, body: JSON.stringify({ hostname: "lb.s.example.com", healthy: false }) }), tokenEnv, {});
+if (healthDenied.status !== 403) throw new Error("health reports should need the health permission");
+extraSrvRecords = [];
+globalThis.srvRecordsCache = null;
+
+const agentEnv = { ...env, PORTAL_KV: createMemoryKv(), AGENT_SILENT_THRESHOLD_SECONDS: "600" };
+const postAgentReport = (body) => worker.fetch(new Request("https://s.example.com/api/agent/report", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", ...body }) }), agentEnv, {});
+const agentReport = await postAgentReport({
+  agentVersion: "0.2.0",
+  reports: [
+    { domain: "web.s.example.com", section: "web", target: "web.n.example.com", publicIp: "203.0.113.7", publicPort: 2424, probe: "ok", consecutiveFailures: 0, lastRestartAt: 1760000000 },
+    { domain: "hm-hy2.s.example.com", section: "hy2", publicIp: "203.0.113.7", publicPort: 40000, probe: "fail", consecutiveFailures: 2, lastRestartAt: 0 },
+  ],
+});
+if (agentReport.status !== 200 || (await agentReport.json()).received !== 2) throw new Error("agent report batch should be accepted");
+const agentList = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), agentEnv, {})).json();
+const agentWeb = agentList.resources.find((r) => r.domain === "web.s.example.com");
+const agentHy2 = agentList.resources.find((r) => r.domain === "hm-hy2.s.example.com");
+if (agentWeb.agent?.portMismatch !== false || agentWeb.agent.lastRestartAt !== 1760000000000 || agentHy2.agent?.portMismatch !== true) throw new Error("resources should carry the latest agent report and flag port disagreement");
+if (agentHy2.health !== "unhealthy" || agentWeb.health !== "healthy") throw new Error("agent probe results should feed health state");
+const agentPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), agentEnv, {})).text();
+if (!agentPortal.includes("与 DNS 不一致") || !agentPortal.includes("203.0.113.7") || agentPortal.includes("未上报")) throw new Error("portal should show agent reports and port mismatches");
+const agentMeta = JSON.parse(agentEnv.PORTAL_KV.values.get("agent-meta"));
+agentMeta.lastSeenAt = Date.now() - 3600000;
+agentEnv.PORTAL_KV.values.set("agent-meta", JSON.stringify(agentMeta));
+const silentPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), agentEnv, {})).text();
+if (!silentPortal.includes("OpenWrt agent 已 60 分钟未上报")) throw new Error("portal should warn when the agent goes silent");
+const flakyEnv = { ...env, PORTAL_KV: createMemoryKv() };
+const postFlakyReport = (reports) => worker.fetch(new Request("https://s.example.com/api/agent/report", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", reports }) }), flakyEnv, {});
+const flakyPut = flakyEnv.PORTAL_KV.put;
+const flakyTtls = new Map();
+flakyEnv.PORTAL_KV.put = (key, value, options = {}) => {
+  flakyTtls.set(key, options.expirationTtl || 0);
+  return flakyPut(key, value, options);
+};
+const flakyFail = { domain: "web.s.example.com", section: "web-a", target: "web.n.example.com", publicPort: 2424, probe: "fail", consecutiveFailures: 1 };
+await postFlakyReport([flakyFail, { domain: "web.s.example.com", section: "web-b", target: "web.n.example.com", publicPort: 2525, probe: "ok" }]);
+if (!flakyEnv.PORTAL_KV.metadata.get("agent-report:web.s.example.com|web-a") || !flakyEnv.PORTAL_KV.metadata.get("agent-report:web.s.example.com|web-b") || flakyEnv.PORTAL_KV.values.has("agent-state")) throw new Error("agent reports should be kept under one key per domain and section");
+if (!flakyTtls.get("agent-report:web.s.example.com|web-a") || !flakyTtls.get("health:web.s.example.com|web.n.example.com|2525") || flakyTtls.get("agent-meta")) throw new Error("agent reports and health states should expire on their own");
+if (Object.values(readHealthStates(flakyEnv.PORTAL_KV)).some((state) => !state.healthy)) throw new Error("a single probe failure should not mark the target unhealthy");
+await postFlakyReport([{ ...flakyFail, consecutiveFailures: 0 }]);
+const flakyHealth = readHealthStates(flakyEnv.PORTAL_KV);
+if (flakyHealth["web.s.example.com|web.n.example.com|2424"]?.healthy !== false || flakyHealth["web.s.example.com|web.n.example.com|2525"]?.healthy !== true) throw new Error("repeated probe failures should mark only that port unhealthy even after the agent resets its counter");
+for (const body of ["{not json", "null", "[1]"]) {
+  const invalidPayload = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body }), env, {});
+  if (invalidPayload.status !== 400 || (await invalidPayload.json()).error !== "invalid payload") throw new Error(`malformed API payload ${body} should return 400`);
+}
+const agentDenied = await worker.fetch(new Request("https://s.example.com/api/agent/report", { method: "POST", headers: { "Content-Type": "application/json", ...bearer("read-token") }, body: JSON.stringify({ reports: [] }) }), tokenEnv, {});
+if (agentDenied.status !== 403) throw new Error("agent reports should need the health permission");
+
+const jobEnv = { ...env, PORTAL_KV: createMemoryKv() };
+globalThis.portalRateLimits = new Map();
+const jobQueued = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domain: "hm-hy2.s.example.com" }) }), jobEnv, {});
+const jobQueuedJson = await jobQueued.json();
+if (!jobQueuedJson.id || jobQueuedJson.job.state !== "queued" || jobQueuedJson.job.oldPort !== port) throw new Error("refresh should create a queued job keyed by the queue nonce");
+const getJob = async (id) => (await worker.fetch(new Request(`https://s.example.com/api/refresh/${id}?pwd=secret`), jobEnv, {})).json();
+const ackJob = (id, body) => worker.fetch(new Request(`https://s.example.com/api/refresh/${id}/ack`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", ...body }) }), jobEnv, {});
+if ((await getJob(jobQueuedJson.id)).job.state !== "queued") throw new Error("job should stay queued until the agent acknowledges it");
+if ((await ackJob(jobQueuedJson.id, { state: "picked_up", detail: "section hy2" })).status !== 200) throw new Error("agent should acknowledge pickup");
+if ((await ackJob(jobQueuedJson.id, { state: "bogus" })).status !== 400) throw new Error("unknown ack states should be rejected");
+await ackJob(jobQueuedJson.id, { state: "restarted", port: port + 1 });
+const restartedJob = (await getJob(jobQueuedJson.id)).job;
+if (restartedJob.state !== "restarted" || restartedJob.newPort !== port + 1) throw new Error("job should report the restart until DNS shows the new port");
+port += 1;
+const changedJob = (await getJob(jobQueuedJson.id)).job;
+if (changedJob.state !== "port_changed" || changedJob.history.map((h) => h.state).join(",") !== "queued,picked_up,restarted,port_changed") throw new Error("job should finish once the SRV port changes");
+if ((await ackJob(jobQueuedJson.id, { state: "failed" })).status !== 409) throw new Error("finished jobs should reject further acks");
+globalThis.portalRateLimits = new Map();
+const staleJobJson = await (await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domain: "hm-hy2.s.example.com" }) }), jobEnv, {})).json();
+const staleJob = JSON.parse(jobEnv.PORTAL_KV.values.get(`refresh-job:${staleJobJson.id}`));
+staleJob.queuedAt -= 600000;
+jobEnv.PORTAL_KV.values.set(`refresh-job:${staleJobJson.id}`, JSON.stringify(staleJob));
+if ((await getJob(staleJobJson.id)).job.state !== "timed_out") throw new Error("jobs without a port change should time out");
+const missingJob = await worker.fetch(new Request("https://s.example.com/api/refresh/does-not-exist?pwd=secret"), jobEnv, {});
+if (missingJob.status !== 404) throw new Error("unknown refresh jobs should return 404");
+globalThis.portalRateLimits = new Map();
+const jobForm = new FormData();
+jobForm.set("refreshDomain", "hm-hy2.s.example.com");
+jobForm.set("pwd", "secret");
+const jobFallback = await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: jobForm }), jobEnv, {});
+if (!/refreshJob=[0-9a-f-]{36}/.test(jobFallback.headers.get("Location") || "")) throw new Error("form refresh should redirect with the job id");
+globalThis.portalRateLimits = new Map();
+
+const queueEnv = { ...env, PORTAL_KV: createMemoryKv() };
+globalThis.portalRateLimits = new Map();
+queueEnv.PORTAL_KV.values.set("refresh-job:acked-nonce", JSON.stringify({ id: "acked-nonce", domain: "web.s.example.com", state: "picked_up", history: [] }));
+txtRecords = [
+  { id: "pending", content: `web.s.example.com|${Date.now() - 5000}|pending-nonce` },
+  { id: "expired", content: `web.s.example.com|${Date.now() - 3600000}|expired-nonce` },
+  { id: "acked", content: `web.s.example.com|${Date.now() - 5000}|acked-nonce` },
+];
+const bulkResp = await worker.fetch(new Request("https://s.example.com/api/refresh/bulk", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domains: ["hm-hy2.s.example.com", "z-rdp.s.example.com", "missing.s.example.com"] }) }), queueEnv, {});
+const bulkJson = await bulkResp.json();
+if (!bulkJson.ok || bulkJson.results.map((result) => result.ok).join(",") !== "true,true,false" || !bulkJson.results[0].job.id) throw new Error("bulk refresh should queue each visible domain and report the rest");
+if (txtRecords.map((record) => record.id).slice(0, 1).join(",") !== "pending" || txtRecords.some((record) => ["expired", "acked"].includes(record.id)) || txtRecords.length !== 3) throw new Error("queue writes should keep pending entries and prune only expired or acknowledged ones");
+const bulkTooMany = await worker.fetch(new Request("https://s.example.com/api/refresh/bulk", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domains: [] }) }), queueEnv, {});
+if (bulkTooMany.status !== 400) throw new Error("bulk refresh without domains should be rejected");
+const bulkPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), queueEnv, {})).text();
+if (!bulkPortal.includes("class=\"bulk-refresh") || !bulkPortal.includes("class=\"refresh-select")) throw new Error("portal should offer multi-select bulk refresh");
+if (viewerHtml.includes("class=\"refresh-select")) throw new Error("viewers should not get refresh checkboxes");
+globalThis.portalRateLimits = new Map();
+
+const { createHmac } = await import("node:crypto");
+const signQueueEntry = (domain, ts, nonce, action, secret = "queue-secret") => createHmac("sha256", secret).update(`v2|${domain}|${ts}|${nonce}|${action}`).digest("hex");
+const signedEnv = { ...env, PORTAL_KV: createMemoryKv(), REFRESH_QUEUE_SECRET: "queue-secret" };
+const queueSignedRefresh = async (targetEnv = signedEnv) => {
+  globalThis.portalRateLimits = new Map();
+  return (await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domain: "hm-hy2.s.example.com" }) }), targetEnv, {})).json();
+};
+txtRecords = [];
+if (!(await queueSignedRefresh()).ok) throw new Error("signed refresh should be queued");
+const signedContent = txtRecords[txtRecords.length - 1].content;
+const [signedDomain, signedTs, signedNonce, signedVersion, signedAction, signedMac] = signedContent.split("|");
+if (signedVersion !== "v2" || signedAction !== "refresh" || signedMac !== signQueueEntry(signedDomain, signedTs, signedNonce, "refresh")) throw new Error("queue entries should carry a v2 HMAC signature after the v1 fields");
+// 写队列前会用同一套校验清理条目：验签失败、过期或超前的条目被删掉，有效的保留。
+const expiredTs = Date.now() - 901000;
+const futureTs = Date.now() + 3600000;
+txtRecords = [
+  { id: "valid", content: signedContent },
+  { id: "tampered-domain", content: signedContent.replace("hm-hy2", "z-rdp") },
+  { id: "tampered-action", content: signedContent.replace("|refresh|", "|restart|") },
+  { id: "unsigned", content: `${signedDomain}|${signedTs}|${signedNonce}` },
+  { id: "other-secret", content: `x.s.example.com|${signedTs}|n0|v2|refresh|${signQueueEntry("x.s.example.com", signedTs, "n0", "refresh", "other-secret")}` },
+  { id: "expired", content: `x.s.example.com|${expiredTs}|n1|v2|refresh|${signQueueEntry("x.s.example.com", expiredTs, "n1", "refresh")}` },
+  { id: "future", content: `x.s.example.com|${futureTs}|n2|v2|refresh|${signQueueEntry("x.s.example.com", futureTs, "n2", "refresh")}` },
+];
+await queueSignedRefresh();
+if (txtRecords[0]?.id !== "valid" || txtRecords.length !== 2) throw new Error(`queue writes should keep only fresh entries with a valid signature, kept ${txtRecords.map((record) => record.id).join(",")}`);
+await worker.fetch(new Request(`https://s.example.com/api/refresh/${signedNonce}/ack`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", state: "picked_up" }) }), signedEnv, {});
+txtRecords = [{ id: "replayed", content: signedContent }];
+await queueSignedRefresh();
+if (txtRecords.some((record) => record.id === "replayed")) throw new Error("acknowledged nonces should be treated as replays");
+txtRecords = [{ id: "legacy", content: `${signedDomain}|${Date.now()}|legacy-nonce` }];
+await queueSignedRefresh({ ...signedEnv, REFRESH_QUEUE_SECRET: "" });
+if (txtRecords[0]?.id !== "legacy" || txtRecords.length !== 2) throw new Error("v1 entries should still verify without a secret");
+globalThis.portalRateLimits = new Map();
+
+const cronEnv = { ...env, PORTAL_KV: createMemoryKv() };
+const cronPort = port;
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, cronEnv, {});
+const baseline = JSON.parse(cronEnv.PORTAL_KV.values.get("srv-snapshot"));
+if (!baseline.syncedAt || baseline.groups["hm-hy2.s.example.com|_hy2|_udp"]?.[0]?.port !== cronPort) throw new Error("scheduled sync should store a grouped SRV snapshot");
+if (cronEnv.PORTAL_KV.values.has("srv-changes")) throw new Error("the first scheduled sync should only record a baseline");
+port = cronPort + 1;
+extraSrvRecords = [weightedSrvRecord("cron-new", "a.n.example.com", 4100, 1)];
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, cronEnv, {});
+const cronChanges = JSON.parse(cronEnv.PORTAL_KV.values.get("srv-changes"));
+const portChange = cronChanges.find((change) => change.key === "hm-hy2.s.example.com|_hy2|_udp");
+if (portChange?.type !== "port_changed" || portChange.before[0].port !== cronPort || portChange.after[0].port !== cronPort + 1) throw new Error("scheduled sync should record port changes");
+if (!cronChanges.some((change) => change.type === "added" && change.hostname === "lb.s.example.com")) throw new Error("scheduled sync should record added SRV entries");
+extraSrvRecords = [weightedSrvRecord("cron-moved", "b.n.example.com", 4100, 1)];
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, cronEnv, {});
+const movedChanges = JSON.parse(cronEnv.PORTAL_KV.values.get("srv-changes"));
+if (movedChanges[0].type !== "target_changed" || movedChanges[0].after[0].target !== "b.n.example.com") throw new Error("scheduled sync should record target changes");
+extraSrvRecords = [];
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, cronEnv, {});
+if (JSON.parse(cronEnv.PORTAL_KV.values.get("srv-changes"))[0].type !== "removed") throw new Error("scheduled sync should record removed SRV entries");
+const cronApi = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), cronEnv, {})).json();
+if (!cronApi.sync?.syncedAt || cronApi.sync.changes.length !== 4) throw new Error("/api/resources should expose the scheduled sync time and changes");
+const cronPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), cronEnv, {})).text();
+if (!cronPortal.includes("srv-changes") || !cronPortal.includes("端口变化")) throw new Error("portal should list recent SRV changes from the scheduled sync");
+port = cronPort;
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const notifyEnv = {
+  ...env,
+  PORTAL_KV: createMemoryKv(),
+  NOTIFY_RETRY_BASE_MS: "1",
+  NOTIFY_WEBHOOKS: JSON.stringify([
+    { name: "generic", type: "json", url: "https://hooks.example/generic", events: ["port_changed"] },
+    { name: "tg", type: "telegram", botToken: "123:abc", chatId: "-100", events: ["port_changed", "resource_removed"] },
+    { name: "slack", type: "slack", url: "https://hooks.example/slack", events: ["resource_removed"] },
+    { name: "sc", type: "serverchan", sendKey: "SCT1", events: ["cf_api_error"] },
+    { name: "bark", type: "bark", url: "https://api.day.app/key", events: ["refresh_timed_out"] },
+  ]),
+};
+const waitUntilPromises = [];
+const notifyCtx = { waitUntil: (promise) => waitUntilPromises.push(promise) };
+const notifyPort = port;
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, notifyEnv, notifyCtx);
+port = notifyPort + 7;
+webhookCalls = [];
+webhookStatuses = [503];
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, notifyEnv, notifyCtx);
+if (!waitUntilPromises.length) throw new Error("webhook delivery should be handed to ctx.waitUntil");
+const deliveries = (await Promise.all(waitUntilPromises)).flat();
+const genericCalls = webhookCalls.filter((call) => call.url === "https://hooks.example/generic");
+if (genericCalls.length !== 2 || genericCalls[1].body.event !== "port_changed" || genericCalls[1].body.data.after[0].port !== notifyPort + 7) throw new Error("generic webhook should retry a 5xx and then deliver the JSON event");
+if (deliveries.find((result) => result.name === "generic")?.attempts !== 2) throw new Error("webhook delivery should report retry attempts");
+const telegramCall = webhookCalls.find((call) => call.url === "https://api.telegram.org/bot123:abc/sendMessage");
+if (telegramCall?.body.chat_id !== "-100" || !telegramCall.body.text.includes("SRV 端口变化")) throw new Error("telegram webhook should use the Bot API payload");
+if (webhookCalls.some((call) => call.url === "https://hooks.example/slack" || call.url.includes("sctapi"))) throw new Error("targets should only receive events they subscribe to");
+port = notifyPort;
+webhookCalls = [];
+webhookStatuses = [400];
+extraSrvRecords = [];
+notifyEnv.PORTAL_KV.values.set("srv-snapshot", JSON.stringify({ syncedAt: 1, groups: { "gone.s.example.com|_https|_tcp": [{ target: "gone.n.example.com", port: 443 }] } }));
+waitUntilPromises.length = 0;
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, notifyEnv, notifyCtx);
+await Promise.all(waitUntilPromises);
+const slackCalls = webhookCalls.filter((call) => call.url === "https://hooks.example/slack");
+if (slackCalls.length !== 1 || !slackCalls[0].body.text.includes("gone.s.example.com")) throw new Error("slack webhook should announce removed resources");
+const tgRemoved = webhookCalls.filter((call) => call.url.includes("api.telegram.org") && call.body.text.includes("gone.s.example.com"));
+if (tgRemoved.length !== 1) throw new Error("4xx webhook responses should not be retried");
+webhookCalls = [];
+srvFailure = true;
+globalThis.srvRecordsCache = null;
+await worker.fetch(new Request("https://s.example.com/?pwd=secret"), { ...notifyEnv, SRV_SHARED_CACHE: "off" }, {});
+globalThis.srvRecordsCache = null;
+await worker.fetch(new Request("https://s.example.com/?pwd=secret"), { ...notifyEnv, SRV_SHARED_CACHE: "off" }, {});
+srvFailure = false;
+globalThis.cloudflareApiBreakers = null;
+const serverChanCalls = webhookCalls.filter((call) => call.url === "https://sctapi.ftqq.com/SCT1.send");
+if (serverChanCalls.length !== 1 || serverChanCalls[0].body.title !== "Cloudflare API 异常") throw new Error("Cloudflare API failures should notify once per suppression window");
+webhookCalls = [];
+globalThis.srvRecordsCache = null;
+notifyEnv.PORTAL_KV.values.set("refresh-job:stale-job", JSON.stringify({ id: "stale-job", domain: "web.s.example.com", oldPort: 2424, newPort: 0, state: "queued", detail: "", queuedAt: Date.now() - 3600000, updatedAt: 0, history: [] }));
+const timedOutJob = await (await worker.fetch(new Request("https://s.example.com/api/refresh/stale-job?pwd=secret"), notifyEnv, {})).json();
+const barkCall = webhookCalls.find((call) => call.url === "https://api.day.app/key");
+if (timedOutJob.job.state !== "timed_out" || barkCall?.body.title !== "端口刷新超时" || barkCall.body.group !== "natmap") throw new Error("timed out refresh jobs should notify bark targets");
+webhookCalls = [];
+await worker.fetch(new Request("https://s.example.com/api/refresh/stale-job?pwd=secret"), notifyEnv, {});
+if (webhookCalls.some((call) => call.url === "https://api.day.app/key")) throw new Error("polling a timed out job again should not notify twice");
+notifyEnv.PORTAL_KV.values.set("refresh-job:unpolled-job", JSON.stringify({ id: "unpolled-job", domain: "web.s.example.com", oldPort: 2424, newPort: 0, state: "restarted", detail: "", queuedAt: Date.now() - 3600000, updatedAt: 0, history: [] }));
+notifyEnv.PORTAL_KV.values.set("refresh-open", JSON.stringify(["stale-job", "unpolled-job", "missing-job"]));
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, notifyEnv, {});
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, notifyEnv, {});
+const sweptBarkCalls = webhookCalls.filter((call) => call.url === "https://api.day.app/key");
+if (sweptBarkCalls.length !== 1 || !sweptBarkCalls[0].body.body.includes("unpolled-job")) throw new Error("cron should time out unpolled refresh jobs and notify once");
+if (JSON.parse(notifyEnv.PORTAL_KV.values.get("refresh-job:unpolled-job")).state !== "timed_out" || JSON.parse(notifyEnv.PORTAL_KV.values.get("refresh-open")).length) throw new Error("swept refresh jobs should leave the open job index");
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const historyEnv = { ...env, PORTAL_KV: createMemoryKv() };
+const historyPort = port;
+globalThis.portalRateLimits = new Map();
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, historyEnv, {});
+txtRecords = [];
+const historyRefresh = await (await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domain: "hm-hy2.s.example.com" }) }), historyEnv, {})).json();
+port = historyPort + 3;
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, historyEnv, {});
+const historyJson = await (await worker.fetch(new Request("https://s.example.com/api/resources/hm-hy2.s.example.com/history?pwd=secret"), historyEnv, {})).json();
+const historyEntry = historyJson.history?.[0];
+if (!historyJson.ok || historyJson.history.length !== 1 || historyEntry.type !== "port_changed" || historyEntry.before[0].port !== historyPort || historyEntry.after[0].port !== historyPort + 3) throw new Error("port history should record the old and new SRV values");
+if (historyEntry.trigger !== "refresh" || !historyEntry.triggerDetail.includes(historyRefresh.id) || !historyEntry.modifiedOn) throw new Error("port history should attribute changes to a recent portal refresh and keep Cloudflare modified_on");
+const emptyHistory = await (await worker.fetch(new Request("https://s.example.com/api/resources/web.s.example.com/history?pwd=secret"), historyEnv, {})).json();
+if (!emptyHistory.ok || emptyHistory.history.length !== 0) throw new Error("resources without changes should return an empty history");
+const unmanagedHistory = await worker.fetch(new Request("https://s.example.com/api/resources/other.example.org/history?pwd=secret"), historyEnv, {});
+if (unmanagedHistory.status !== 404) throw new Error("history for unmanaged hostnames should be 404");
+const historyPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), historyEnv, {})).text();
+if (!historyPortal.includes("details class=\"port-history") || !historyPortal.includes("端口历史")) throw new Error("resource cards should offer an expandable port history");
+historyEnv.PORTAL_KV.values.set("port-history:z-rdp.s.example.com", JSON.stringify([{ at: Date.now(), type: "port_changed", service: "_rdp", protocol: "_tcp", before: [{ target: "n.example.com", port: 3390 }], after: [{ target: "n.example.com", port: 3389 }], modifiedOn: 0, trigger: "agent_restart", triggerDetail: "rdp" }, { at: Date.now() - 1000, type: "port_changed", service: "_rdp", protocol: "_tcp", before: [{ target: "n.example.com", port: 3391 }], after: [{ target: "n.example.com", port: 3390 }], modifiedOn: 0, trigger: "refresh", triggerDetail: "user:alice · 任务 job-secret" }]));
+const historyInfo = await (await worker.fetch(new Request("https://z-rdp.s.example.com/"), historyEnv, {})).text();
+if (!historyInfo.includes("端口历史（2）") || !historyInfo.includes("n.example.com:3390 → n.example.com:3389") || !historyInfo.includes("agent 重启") || !historyInfo.includes("门户刷新")) throw new Error("non-web info page should show the port history timeline");
+if (historyInfo.includes("（rdp）") || historyInfo.includes("user:alice") || historyInfo.includes("job-secret")) throw new Error("the public info page should only show the trigger type");
+const historyDetail = await (await worker.fetch(new Request("https://s.example.com/api/resources/z-rdp.s.example.com/history?pwd=secret"), historyEnv, {})).json();
+if (!historyDetail.history[1].triggerLabel.includes("user:alice · 任务 job-secret")) throw new Error("the authenticated history API should keep the trigger detail");
+port = historyPort;
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const auditEnv = { ...usersEnv, PORTAL_KV: createMemoryKv() };
+globalThis.portalRateLimits = new Map();
+const auditForm = new FormData();
+auditForm.set("user", "root");
+auditForm.set("pwd", "root-pass");
+auditForm.set("domain", "web.s.example.com");
+auditForm.set("redirectStatus", "301");
+await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: auditForm, headers: { "CF-Connecting-IP": "198.51.100.7" } }), auditEnv, {});
+const viewerForm = new FormData();
+viewerForm.set("user", "viewer");
+viewerForm.set("pwd", "view-pass");
+viewerForm.set("domain", "web.s.example.com");
+viewerForm.set("redirectStatus", "308");
+await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: viewerForm }), auditEnv, {});
+txtRecords = [];
+const auditRefresh = await (await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ user: "operator", pwd: "op-pass", domain: "hm-hy2.s.example.com" }) }), auditEnv, {})).json();
+await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ user: "operator", pwd: "op-pass" }) }), auditEnv, {});
+await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ user: "operator", pwd: "wrong" }) }), auditEnv, {});
+await worker.fetch(new Request("https://s.example.com/api/resources?user=operator&pwd=op-pass"), auditEnv, {});
+const auditLog = readAuditEntries(auditEnv.PORTAL_KV);
+if (auditLog.length !== 4) throw new Error("audit log should record authenticated mutating actions only");
+const [missingAudit, refreshAudit, deniedAudit, redirectAudit] = auditLog;
+if (redirectAudit.action !== "redirect.update" || redirectAudit.oldValue !== "307" || redirectAudit.newValue !== "301" || redirectAudit.identity !== "user:root" || redirectAudit.clientKey !== "198.51.100.7" || redirectAudit.outcome !== "ok") throw new Error("redirect changes should be audited with old/new values and identity");
+if (deniedAudit.identity !== "user:viewer" || deniedAudit.outcome !== "denied") throw new Error("denied redirect changes should be audited");
+if (refreshAudit.action !== "refresh.queue" || refreshAudit.newValue !== auditRefresh.id || refreshAudit.oldValue !== String(auditRefresh.oldPort) || refreshAudit.identity !== "user:operator") throw new Error("API refreshes should be audited with the job id");
+if (missingAudit.outcome !== "error" || missingAudit.error !== "missing domain") throw new Error("failed API mutations should be audited with the error text");
+const auditRootCookie = (await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ user: "root", pwd: "root-pass" }) }), auditEnv, {})).headers.get("Set-Cookie").split(";")[0];
+const auditPage = await (await worker.fetch(new Request("https://s.example.com/admin/audit?outcome=denied", { headers: { Cookie: auditRootCookie } }), auditEnv, {})).text();
+if (!auditPage.includes("审计日志") || !auditPage.includes("user:viewer") || auditPage.includes("user:operator")) throw new Error("audit admin page should filter entries");
+const auditExport = await worker.fetch(new Request("https://s.example.com/admin/audit?action=refresh.queue&format=jsonl", { headers: { Cookie: auditRootCookie } }), auditEnv, {});
+const exportedLines = (await auditExport.text()).trim().split("\n").map((line) => JSON.parse(line));
+if (!auditExport.headers.get("Content-Type").includes("ndjson") || exportedLines.length !== 2 || exportedLines.some((line) => line.action !== "refresh.queue")) throw new Error("audit export should return filtered JSON Lines");
+const auditOperatorCookie = (await worker.fetch(new Request("https://s.example.com/login", { method: "POST", body: new URLSearchParams({ user: "operator", pwd: "op-pass" }) }), auditEnv, {})).headers.get("Set-Cookie").split(";")[0];
+if ((await worker.fetch(new Request("https://s.example.com/admin/audit", { headers: { Cookie: auditOperatorCookie } }), auditEnv, {})).status !== 403) throw new Error("audit log should be admin-only");
+await worker.fetch(new Request("https://s.example.com/api/health", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ user: "operator", pwd: "op-pass", hostname: "web.s.example.com", healthy: true }) }), auditEnv, {});
+await worker.fetch(new Request("https://s.example.com/api/agent/report", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ user: "operator", pwd: "op-pass", reports: [] }) }), auditEnv, {});
+if (readAuditEntries(auditEnv.PORTAL_KV).length !== 4) throw new Error("routine health and agent reports should stay out of the audit log");
+await worker.fetch(new Request("https://s.example.com/api/health", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ user: "viewer", pwd: "view-pass", hostname: "web.s.example.com", healthy: true }) }), auditEnv, {});
+if (readAuditEntries(auditEnv.PORTAL_KV)[0]?.action !== "health.report" || readAuditEntries(auditEnv.PORTAL_KV)[0].outcome !== "denied") throw new Error("denied health reports should still be audited");
+await worker.fetch(new Request("https://s.example.com/api/refresh/bulk", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ user: "viewer", pwd: "view-pass", domains: Array.from({ length: 80 }, (_, index) => `long-${index}.s.example.com`) }) }), auditEnv, {});
+const auditGet = auditEnv.PORTAL_KV.get;
+const auditReads = [];
+auditEnv.PORTAL_KV.get = (key, type) => {
+  auditReads.push(key);
+  return auditGet(key, type);
+};
+const metadataAuditPage = await (await worker.fetch(new Request("https://s.example.com/admin/audit", { headers: { Cookie: auditRootCookie } }), auditEnv, {})).text();
+auditEnv.PORTAL_KV.get = auditGet;
+if (auditReads.some((key) => key.startsWith("audit")) || !metadataAuditPage.includes("long-0.s.example.com") || !metadataAuditPage.includes("user:viewer")) throw new Error("the audit page should render from list metadata without reading each entry");
+if (!readAuditEntries(auditEnv.PORTAL_KV)[0].domain.includes("long-79.s.example.com")) throw new Error("the stored audit value should keep the untruncated entry");
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, { ...auditEnv, AUDIT_LOG_MAX_ENTRIES: "2" }, {});
+if (readAuditEntries(auditEnv.PORTAL_KV).length !== 2 || readAuditEntries(auditEnv.PORTAL_KV)[0].outcome !== "denied") throw new Error("the cron run should prune audit entries beyond the cap, oldest first");
+const unmanagedRedirect = await worker.fetch(new Request("https://s.example.com/", { method: "POST", headers: { Cookie: auditRootCookie }, body: new URLSearchParams({ domain: "nope.other.example", redirectStatus: "301" }) }), auditEnv, {});
+const unmanagedLocation = new URL(unmanagedRedirect.headers.get("Location") || "https://s.example.com/");
+if (unmanagedRedirect.status < 300 || unmanagedRedirect.status > 399 || !unmanagedLocation.searchParams.get("redirectError")?.includes("nope.other.example") || readAuditEntries(auditEnv.PORTAL_KV)[0].outcome !== "not_found") throw new Error("redirect changes for unmanaged domains should redirect back with an error");
+if (JSON.parse(auditEnv.PORTAL_KV.values.get("redirect-modes"))["nope.other.example"]) throw new Error("redirect changes for unmanaged domains should not be saved");
+const badStatusRedirect = await worker.fetch(new Request("https://s.example.com/", { method: "POST", headers: { Cookie: auditRootCookie }, body: new URLSearchParams({ domain: "web.s.example.com", redirectStatus: "299" }) }), auditEnv, {});
+const badStatusPage = await (await worker.fetch(new Request(new URL(badStatusRedirect.headers.get("Location"), "https://s.example.com/"), { headers: { Cookie: auditRootCookie } }), auditEnv, {})).text();
+if (!badStatusPage.includes("不支持的跳转方式：299")) throw new Error("invalid redirect statuses should come back as a portal notice");
+globalThis.portalRateLimits = new Map();
+
+const zoneEnv = { ...env, DOMAINS: "*.s.example.com,*.home.example.net", CF_ZONE_MAP: JSON.stringify([{ name: "main", pattern: "*.s.example.com", zoneId: "zone" }, { name: "home", pattern: "*.home.example.net", zoneId: "zone-home", apiToken: "home-token" }]) };
+globalThis.srvRecordsCache = null;
+const zoneResources = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), zoneEnv, {})).json();
+const homeResource = zoneResources.resources.find((r) => r.domain === "nas.home.example.net");
+if (!homeResource || homeResource.zone !== "home" || zoneResources.resources.find((r) => r.domain === "hm-hy2.s.example.com").zone !== "main") throw new Error("multi-zone SRV records should merge into one cache tagged with their zone");
+zoneFailures.add("zone-home");
+globalThis.srvRecordsCache.fetchedAt = 0;
+const partialResources = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), zoneEnv, {})).json();
+if (!partialResources.resources.some((r) => r.domain === "nas.home.example.net") || !partialResources.cache.zoneErrors.home || partialResources.cache.zoneErrors.main) throw new Error("a failing zone should keep its last records and report a per-zone error");
+if (!partialResources.cache.lastError.includes("home：Cloudflare API 服务异常（HTTP 500）")) throw new Error("lastError should name the failing zone");
+zoneFailures.clear();
+globalThis.cloudflareApiBreakers = null;
+const zoneCronEnv = { ...zoneEnv, PORTAL_KV: createMemoryKv() };
+const zoneCronPort = port;
+globalThis.srvRecordsCache = null;
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, zoneCronEnv, {});
+zoneFailures.add("zone-home");
+globalThis.srvRecordsCache = null;
+port = zoneCronPort + 3;
+await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, zoneCronEnv, {});
+port = zoneCronPort;
+zoneFailures.clear();
+globalThis.cloudflareApiBreakers = null;
+const zoneCronChanges = JSON.parse(zoneCronEnv.PORTAL_KV.values.get("srv-changes") || "[]");
+const zoneCronSnapshot = JSON.parse(zoneCronEnv.PORTAL_KV.values.get("srv-snapshot"));
+if (!zoneCronChanges.some((change) => change.type === "port_changed" && change.hostname.endsWith(".s.example.com")) || zoneCronChanges.some((change) => change.hostname === "nas.home.example.net")) throw new Error("a failing zone should not stop change detection for the other zones or be reported as removed");
+if (!Object.keys(zoneCronSnapshot.groups).some((key) => key.startsWith("nas.home.example.net|"))) throw new Error("the snapshot should carry over groups of a failing zone");
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+const orphanQueue = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domain: "hm-hy2.s.example.com" }) }), { ...zoneEnv, NATMAP_REFRESH_QUEUE_NAME: "_natmap-refresh.other.example.org" }, {});
+const orphanQueueJson = await orphanQueue.json();
+if (orphanQueue.ok || !String(orphanQueueJson.error).includes("没有 zone 负责 _natmap-refresh.other.example.org")) throw new Error("a refresh queue name outside every CF_ZONE_MAP pattern should not fall back to the first zone");
+globalThis.portalRateLimits = new Map();
+const badZoneMap = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), { ...env, CF_ZONE_MAP: "[{" }, {})).json();
+const badZonePage = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), { ...env, CF_ZONE_MAP: JSON.stringify([{ name: "broken" }]) }, {})).text();
+if (!badZoneMap.cache.zoneMapError.includes("CF_ZONE_MAP") || !badZonePage.includes("CF_ZONE_MAP 中有 1 项缺少 zoneId")) throw new Error("a malformed CF_ZONE_MAP should surface as a configuration warning");
+globalThis.srvRecordsCache = null;
+txtZones = [];
+txtRecords = [];
+await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domain: "hm-hy2.s.example.com" }) }), { ...zoneEnv, NATMAP_REFRESH_QUEUE_NAME: "_natmap-refresh.home.example.net" }, {});
+if (txtZones.length !== 1 || txtZones[0] !== "zone-home") throw new Error("refresh queue TXT should be written into the zone owning the queue name");
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const dohEnv = { DOMAINS: "*.s.example.com", PORTAL_DOMAIN: "s.example.com", PORTAL_PASSWD: "secret", DOH_SRV_NAMES: "web.s.example.com,_hy2._udp.hm-hy2.s.example.com" };
+globalThis.srvRecordsCache = null;
+const dohRedirect = await worker.fetch(new Request("https://web.s.example.com/x"), dohEnv, {});
+if (dohRedirect.headers.get("Location") !== "https://web.n.example.com:8443/x") throw new Error("DoH backend should serve redirects without Cloudflare API credentials");
+if (!dohQueries.includes("_http._tcp.web.s.example.com") || !dohQueries.includes("_hy2._udp.hm-hy2.s.example.com") || dohQueries.includes("_https._tcp._hy2._udp.hm-hy2.s.example.com")) throw new Error("DoH should expand bare hostnames by service and query full SRV names as-is");
+const onDemand = await worker.fetch(new Request("https://ondemand.lab.s.example.com/"), dohEnv, {});
+if (onDemand.headers.get("Location") !== "https://od.n.example.com:9443/") throw new Error("unlisted hostnames should be looked up on demand");
+dohQueries = [];
+await worker.fetch(new Request("https://x.missing.s.example.com/"), dohEnv, {});
+const missCount = dohQueries.length;
+if (!missCount || (await worker.fetch(new Request("https://x.missing.s.example.com/"), dohEnv, {})).status !== 404 || dohQueries.length !== missCount) throw new Error("DoH misses should be cached for the cache TTL");
+dohQueries = [];
+const dohFallback = await worker.fetch(new Request("https://rand0m.s.example.com/"), dohEnv, {});
+if (dohFallback.headers.get("Location") !== "https://rand0m.n.example.com:8443/" || dohQueries.length) throw new Error("names the wildcard fallback can answer should skip on-demand DoH lookups");
+for (let i = 0; i < 520; i += 1) await worker.fetch(new Request(`https://m${i}.miss.s.example.com/`), dohEnv, {});
+const dohMissKeys = Object.keys(globalThis.srvRecordsCache.dohMisses);
+if (dohMissKeys.length !== 500 || dohMissKeys.includes("m0.miss.s.example.com") || !dohMissKeys.includes("m519.miss.s.example.com")) throw new Error("the DoH miss cache should be capped and drop the oldest names first");
+const dohResources = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), { ...dohEnv, PORTAL_LEGACY_PWD_QUERY: "true" }, {})).json();
+if (dohResources.cache.backend !== "doh" || !dohResources.resources.some((r) => r.domain === "hm-hy2.s.example.com" && r.zone === "doh" && r.port === 3434)) throw new Error("DoH records should share the normalized resource shape");
+const dohPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), { ...dohEnv, PORTAL_LEGACY_PWD_QUERY: "true" }, {})).text();
+if (!dohPortal.includes("DoH 模式") || !dohPortal.includes("跳转状态、健康和 agent 上报照常保存") || dohPortal.includes("class=\"refresh-select")) throw new Error("DoH portal should disable refresh and say what still works");
+const dohRefresh = await worker.fetch(new Request("https://s.example.com/api/refresh", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret", domain: "hm-hy2.s.example.com" }) }), dohEnv, {});
+if (dohRefresh.status !== 403) throw new Error("DoH mode should reject refresh requests");
+globalThis.srvRecordsCache.fetchedAt = 0;
+await worker.fetch(new Request("https://web.s.example.com/"), { ...dohEnv, DOH_SRV_NAMES: `${dohEnv.DOH_SRV_NAMES},_https._tcp.broken.s.example.com` }, {});
+if (!globalThis.srvRecordsCache.lastError.includes("broken.s.example.com") || !globalThis.srvRecordsCache.data.some((r) => r.hostname === "web.s.example.com")) throw new Error("a failing DoH name should be reported without dropping other names");
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const swrEnv = { ...env, PORTAL_KV: createMemoryKv() };
+const swrPort = (resources) => resources.resources.find((r) => r.domain === "hm-hy2.s.example.com").port;
+globalThis.srvRecordsCache = null;
+const swrFirst = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), swrEnv, {})).json();
+if (swrFirst.cache.tier !== "memory" || !swrEnv.PORTAL_KV.values.has("srv-cache")) throw new Error("fresh SRV fetches should populate the shared KV tier");
+globalThis.srvRecordsCache = null;
+srvFetchCount = 0;
+srvFailure = true;
+const swrShared = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), swrEnv, {})).json();
+srvFailure = false;
+if (srvFetchCount !== 0 || swrShared.cache.tier !== "kv" || swrPort(swrShared) !== swrPort(swrFirst)) throw new Error("a cold isolate should serve the shared KV snapshot without calling Cloudflare");
+const swrOldPort = port;
+port += 11;
+globalThis.srvRecordsCache.fetchedAt -= 1000;
+const swrPromises = [];
+let releaseSrvGate;
+srvGate = new Promise((resolve) => { releaseSrvGate = resolve; });
+const swrMemoryEnv = { ...env, SRV_SHARED_CACHE: "off" };
+const swrStale = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), swrMemoryEnv, { waitUntil: (promise) => swrPromises.push(promise) })).json();
+if (swrPort(swrStale) !== swrOldPort || !swrStale.cache.stale || swrPromises.length !== 1) throw new Error("stale SRV data should be served while refreshing through waitUntil");
+srvGate = null;
+releaseSrvGate();
+await Promise.all(swrPromises);
+if (globalThis.srvRecordsCache.data.find((r) => r.hostname === "hm-hy2.s.example.com").port !== port) throw new Error("background refresh should update the memory tier");
+srvFailure = true;
+globalThis.srvRecordsCache.fetchedAt -= 1000;
+const swrLastGood = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), swrMemoryEnv, {})).json();
+srvFailure = false;
+globalThis.cloudflareApiBreakers = null;
+if (swrPort(swrLastGood) !== port || !swrLastGood.cache.lastError) throw new Error("failed refreshes should keep the last-known-good snapshot");
+const cacheApiEntries = new Map();
+globalThis.caches = { default: { async match(request) { return cacheApiEntries.has(request.url) ? new Response(cacheApiEntries.get(request.url)) : undefined; }, async put(request, response) { cacheApiEntries.set(request.url, await response.text()); } } };
+globalThis.srvRecordsCache = null;
+await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), env, {});
+globalThis.srvRecordsCache = null;
+const cacheApiPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), env, {})).text();
+delete globalThis.caches;
+if (!cacheApiEntries.has("https://s.example.com/__portal/srv-cache") || !cacheApiPortal.includes("更新 · Cache API")) throw new Error("without KV the shared tier should use the Cache API and the portal should show the tier");
+port = swrOldPort;
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const breakerEnv = { ...env, SRV_SHARED_CACHE: "off" };
+const breakerRead = async () => {
+  globalThis.srvRecordsCache.fetchedAt = 0;
+  return (await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), breakerEnv, {})).json()).cache;
+};
+globalThis.srvRecordsCache = null;
+globalThis.cloudflareApiBreakers = null;
+await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), breakerEnv, {});
+srvFailureResponse = () => Response.json({ success: false, errors: [{ code: 971, message: "Please wait and consider throttling your request speed" }] }, { status: 429, headers: { "Retry-After": "120" } });
+srvFetchCount = 0;
+const limitedCache = await breakerRead();
+if (limitedCache.lastErrorKind !== "rate_limit" || !limitedCache.lastError.includes("限流") || !limitedCache.lastError.includes("120 秒")) throw new Error("429 responses should be classified as rate limits with the Retry-After delay");
+const limitedBreaker = globalThis.cloudflareApiBreakers.get("zone");
+if (Math.abs(limitedBreaker.openUntil - Date.now() - 120000) > 5000) throw new Error("the breaker should stay open for the Retry-After period");
+const openCache = await breakerRead();
+if (srvFetchCount !== 1 || !openCache.lastError.includes("已暂停请求")) throw new Error("an open breaker should not call the Cloudflare API");
+srvFailureResponse = () => new Response("upstream error", { status: 503 });
+limitedBreaker.openUntil = 0;
+const probeCache = await breakerRead();
+const probeBreaker = globalThis.cloudflareApiBreakers.get("zone");
+if (srvFetchCount !== 2 || probeCache.lastErrorKind !== "server" || probeBreaker.failures !== 2 || Math.abs(probeBreaker.openUntil - Date.now() - 60000) > 5000) throw new Error("a failed half-open probe should double the backoff");
+for (const [status, code, kind, text] of [[401, 9109, "auth", "认证失败"], [403, 10000, "permission", "权限不足"]]) {
+  globalThis.cloudflareApiBreakers = null;
+  srvFailureResponse = () => Response.json({ success: false, errors: [{ code, message: "Authentication error" }] }, { status });
+  const classified = await breakerRead();
+  if (classified.lastErrorKind !== kind || !classified.lastError.includes(text)) throw new Error(`HTTP ${status} should be classified as ${kind}`);
+}
+globalThis.cloudflareApiBreakers = null;
+srvFailureResponse = () => { throw new TypeError("fetch failed"); };
+const networkCache = await breakerRead();
+if (networkCache.lastErrorKind !== "network" || !networkCache.lastError.includes("网络错误")) throw new Error("network failures should be classified");
+srvFailureResponse = null;
+globalThis.cloudflareApiBreakers.get("zone").openUntil = 0;
+const recoveredCache = await breakerRead();
+if (recoveredCache.lastError || globalThis.cloudflareApiBreakers.has("zone")) throw new Error("a successful probe should close the breaker");
+globalThis.cloudflareApiBreakers.set("zone", { failures: 1, openUntil: 0, kind: "network", message: "无法连接 Cloudflare API（网络错误）", probing: true, probeStartedAt: Date.now() - 5000 });
+srvFetchCount = 0;
+const probingCache = await breakerRead();
+if (srvFetchCount !== 0 || !probingCache.lastError.includes("正在重试")) throw new Error("a probe in flight should hold back other requests");
+globalThis.cloudflareApiBreakers.get("zone").probeStartedAt = Date.now() - 120000;
+const stuckProbeCache = await breakerRead();
+if (srvFetchCount !== 1 || stuckProbeCache.lastError || globalThis.cloudflareApiBreakers.has("zone")) throw new Error("a probe that never settled should expire and let a new probe through");
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const proxyEnv = { ...env, SRV_SHARED_CACHE: "off", PORTAL_KV: createMemoryKv() };
+extraSrvRecords = [
+  { id: "srv-proxy", name: "_https._tcp.proxy.s.example.com", type: "SRV", created_on: "2026-05-26T00:00:00Z", modified_on: "2026-05-26T00:00:00Z", data: { priority: 0, weight: 0, port: 8443, target: "proxy.n.example.com" } },
+  { id: "srv-proxy-odd", name: "_https._tcp.proxy-odd.s.example.com", type: "SRV", created_on: "2026-05-26T00:00:00Z", modified_on: "2026-05-26T00:00:00Z", data: { priority: 0, weight: 0, port: 24443, target: "proxy.n.example.com" } },
+];
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+for (const domain of ["proxy.s.example.com", "proxy-odd.s.example.com"]) {
+  const proxyForm = new FormData();
+  proxyForm.set("pwd", "secret");
+  proxyForm.set("domain", domain);
+  proxyForm.set("redirectStatus", "proxy");
+  await worker.fetch(new Request("https://s.example.com/", { method: "POST", body: proxyForm }), proxyEnv, {});
+}
+const proxyPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), proxyEnv, {})).text();
+if (!proxyPortal.includes('<option value="proxy" selected>反向代理</option>')) throw new Error("portal should offer and select the proxy delivery mode");
+const proxyResources = await (await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), proxyEnv, {})).json();
+if (proxyResources.resources.find((r) => r.domain === "proxy.s.example.com").deliveryMode !== "proxy") throw new Error("/api/resources should report the delivery mode");
+const proxied = await worker.fetch(new Request("https://proxy.s.example.com/app?x=1", { headers: { "CF-Connecting-IP": "198.51.100.9", Cookie: "theme=dark; portal_session=abc.def; sid=1", Authorization: "Basic dXNlcjpwYXNz" } }), proxyEnv, {});
+const proxiedCall = proxiedRequests.at(-1);
+if (proxiedCall.url !== "https://proxy.n.example.com:8443/app?x=1" || proxiedCall.init.redirect !== "manual" || proxiedCall.init.headers.get("X-Forwarded-Host") !== "proxy.s.example.com" || proxiedCall.init.headers.get("X-Forwarded-For") !== "198.51.100.9") throw new Error("proxy mode should fetch the SRV target with forwarding headers");
+if (proxiedCall.init.headers.get("Cookie") !== "theme=dark; sid=1") throw new Error("proxy mode must not forward the portal session cookie");
+if (proxiedCall.init.headers.get("Authorization") !== "Basic dXNlcjpwYXNz") throw new Error("proxy mode should forward the upstream app's own Authorization header");
+const sessionOnlyProxy = await worker.fetch(new Request("https://proxy.s.example.com/app", { headers: { Cookie: "portal_session=abc.def" } }), proxyEnv, {});
+if (sessionOnlyProxy.headers.get("X-Portal-Delivery") !== "proxy" || proxiedRequests.at(-1).init.headers.has("Cookie")) throw new Error("a request carrying only the portal session should reach the upstream without cookies");
+if (await proxied.text() !== "upstream body" || proxied.headers.get("X-Portal-Delivery") !== "proxy") throw new Error("proxy mode should stream the upstream response");
+if (proxied.headers.get("Location") !== "https://proxy.s.example.com/login?next=%2F") throw new Error("proxied Location headers should point at the clean hostname");
+const proxiedCookies = proxied.headers.getSetCookie();
+if (proxiedCookies.length !== 2 || proxiedCookies.some((cookie) => /domain=/i.test(cookie)) || !proxiedCookies[0].startsWith("sid=abc")) throw new Error("proxied Set-Cookie should drop the upstream Domain attribute");
+const proxiedSocket = await worker.fetch(new Request("https://proxy.s.example.com/ws", { headers: { Upgrade: "websocket" } }), proxyEnv, {});
+if (proxiedSocket.headers.get("X-Upstream-Socket") !== "1" || proxiedSocket.headers.get("X-Portal-Delivery")) throw new Error("WebSocket upgrades should pass the upstream response through");
+const proxyDown = await worker.fetch(new Request("https://proxy.s.example.com/down"), proxyEnv, {});
+if (proxyDown.status !== 307 || proxyDown.headers.get("Location") !== "https://proxy.n.example.com:8443/down") throw new Error("unreachable proxy targets should fall back to a redirect");
+const proxyCallCount = proxiedRequests.length;
+const proxyOdd = await worker.fetch(new Request("https://proxy-odd.s.example.com/"), proxyEnv, {});
+if (proxyOdd.status !== 307 || proxyOdd.headers.get("Location") !== "https://proxy.n.example.com:24443/" || proxiedRequests.length !== proxyCallCount) throw new Error("ports Workers cannot reach should redirect without proxying");
+const proxyOddAllowed = await worker.fetch(new Request("https://proxy-odd.s.example.com/"), { ...proxyEnv, PROXY_ALLOWED_PORTS: "24443" }, {});
+if (proxyOddAllowed.headers.get("X-Portal-Delivery") !== "proxy") throw new Error("PROXY_ALLOWED_PORTS should extend the proxyable ports");
+extraSrvRecords = [];
+proxiedRequests = [];
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const subEnv = {
+  ...env,
+  SRV_SHARED_CACHE: "off",
+  PORTAL_API_TOKENS: JSON.stringify([{ name: "sub", sha256: sha256("sub-token"), operations: ["subscription"] }, { name: "reader", sha256: sha256("reader-token"), operations: ["read"] }]),
+  SUBSCRIPTION_TEMPLATES: JSON.stringify({
+    _vless_fb: { uuid: "11111111-2222-3333-4444-555555555555", flow: "xtls-rprx-vision", fingerprint: "chrome" },
+    _hy2: { password: "hy2-pass", obfs: "salamander", obfsPassword: "obfs-pass", name: "HY2 {host}" },
+    "reality.s.example.com": { uuid: "66666666-7777-8888-9999-000000000000", security: "reality", sni: "www.example.org", publicKey: "pubkey", shortId: "ab12" },
+  }),
+};
+extraSrvRecords = [{ id: "srv-reality", name: "_vless._tcp.reality.s.example.com", type: "SRV", created_on: "2026-05-26T00:00:00Z", modified_on: "2026-05-26T00:00:00Z", data: { priority: 0, weight: 0, port: 20443, target: "n.example.com" } }];
+globalThis.srvRecordsCache = null;
+const clashSub = await worker.fetch(new Request("https://s.example.com/api/subscription?format=clash&token=sub-token"), subEnv, {});
+const clashYaml = await clashSub.text();
+if (clashSub.status !== 200 || !clashSub.headers.get("Content-Type").includes("yaml") || clashSub.headers.get("X-Portal-Actor") !== "token:sub") throw new Error("subscription should accept the API token in the query string");
+for (const needle of ['name: "HY2 hm-hy2.s.example.com"', "type: hysteria2", 'server: "hm-hy2.n.example.com"', `port: ${port}`, 'obfs-password: "obfs-pass"', 'server: "vless-fb.n.example.com"', 'flow: "xtls-rprx-vision"', 'servername: "vless-fb.n.example.com"', "reality-opts:", 'public-key: "pubkey"', 'servername: "www.example.org"', "  - MATCH,PROXY"]) {
+  if (!clashYaml.includes(needle)) throw new Error(`clash subscription missing ${needle}`);
+}
+if (clashYaml.includes("web.s.example.com") || clashYaml.includes("z-rdp")) throw new Error("subscriptions should only include VLESS and HY2 resources");
+const singBox = await (await worker.fetch(new Request("https://s.example.com/api/subscription?format=singbox", { headers: { Authorization: "Bearer sub-token" } }), subEnv, {})).json();
+const singHy2 = singBox.outbounds.find((o) => o.type === "hysteria2");
+const singReality = singBox.outbounds.find((o) => o.tag === "reality.s.example.com");
+if (singHy2.server_port !== port || singHy2.obfs.password !== "obfs-pass" || singReality.tls.reality.public_key !== "pubkey" || singReality.server !== "reality.n.example.com" || !singBox.outbounds[0].outbounds.includes("vless-fb.s.example.com")) throw new Error("sing-box subscription should carry ports, templates, and a selector");
+const v2raySub = await (await worker.fetch(new Request("https://s.example.com/api/subscription?format=v2ray&token=sub-token"), subEnv, {})).text();
+const shareLinks = Buffer.from(v2raySub, "base64").toString("utf8").split("\n");
+if (shareLinks.length !== 3 || !shareLinks.some((link) => link.startsWith(`hysteria2://hy2-pass@hm-hy2.n.example.com:${port}?`) && link.includes("obfs=salamander")) || !shareLinks.some((link) => link.startsWith("vless://66666666-7777-8888-9999-000000000000@reality.n.example.com:20443?") && link.includes("security=reality") && link.includes("pbk=pubkey"))) throw new Error("v2ray subscription should be base64 share links");
+if ((await worker.fetch(new Request("https://s.example.com/api/subscription?token=wrong"), subEnv, {})).status !== 401) throw new Error("subscriptions should reject unknown tokens");
+if ((await worker.fetch(new Request("https://s.example.com/api/subscription?format=surge&token=sub-token"), subEnv, {})).status !== 400) throw new Error("unknown subscription formats should be rejected");
+if ((await worker.fetch(new Request("https://s.example.com/api/resources?token=sub-token"), subEnv, {})).status !== 401) throw new Error("query-string tokens should only work for subscriptions");
+const readerSub = await worker.fetch(new Request("https://s.example.com/api/subscription?token=reader-token"), subEnv, {});
+if (readerSub.status !== 403 || (await readerSub.json()).missingPermission !== "subscription") throw new Error("subscriptions should need their own token operation");
+const brokenTemplates = await worker.fetch(new Request("https://s.example.com/api/subscription?token=sub-token"), { ...subEnv, SUBSCRIPTION_TEMPLATES: "{broken" }, {});
+if (brokenTemplates.status !== 503 || !(await brokenTemplates.json()).detail.includes("SUBSCRIPTION_TEMPLATES")) throw new Error("a malformed SUBSCRIPTION_TEMPLATES should be reported instead of exporting nothing");
+extraSrvRecords = [];
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+const exportEnv = { ...env, SRV_SHARED_CACHE: "off" };
+const exportRecord = (id, name, port, target = "n.example.com") => ({ id, name, type: "SRV", created_on: "2026-05-26T00:00:00Z", modified_on: "2026-05-26T00:00:00Z", data: { priority: 5, weight: 2, port, target } });
+extraSrvRecords = [exportRecord("srv-ssh", "_ssh._tcp.box.s.example.com", 2222), exportRecord("srv-sftp", "_sftp._tcp.files.s.example.com", 2223), exportRecord("srv-ftp", "_ftp._tcp.ftp.s.example.com", 2121)];
+globalThis.srvRecordsCache = null;
+const sshExport = await worker.fetch(new Request("https://s.example.com/api/export?format=ssh_config&pwd=secret"), exportEnv, {});
+const sshConfig = await sshExport.text();
+if (sshExport.headers.get("Content-Disposition") !== 'attachment; filename="natmap-ssh_config"' || !sshConfig.includes("Host box.s.example.com\n  HostName box.n.example.com\n  Port 2222") || sshConfig.includes("files.s.example.com")) throw new Error("ssh_config export should list SSH resources only");
+const winscpExport = await (await worker.fetch(new Request("https://s.example.com/api/export?format=winscp&pwd=secret"), exportEnv, {})).text();
+if (!winscpExport.includes("[Sessions\\files.s.example.com]\r\nHostName=files.n.example.com\r\nPortNumber=2223\r\nFSProtocol=2") || !winscpExport.includes("PortNumber=2121\r\nFSProtocol=5")) throw new Error("WinSCP export should carry SFTP and FTP sessions");
+const filezillaExport = await (await worker.fetch(new Request("https://s.example.com/api/export?format=filezilla&pwd=secret"), exportEnv, {})).text();
+if (!filezillaExport.includes("<Host>files.n.example.com</Host>\n      <Port>2223</Port>\n      <Protocol>1</Protocol>") || !filezillaExport.includes("<Name>ftp.s.example.com</Name>")) throw new Error("FileZilla export should be a site manager document");
+const csvExport = await (await worker.fetch(new Request("https://s.example.com/api/export?pwd=secret"), exportEnv, {})).text();
+const csvLines = csvExport.trim().split("\r\n");
+if (!csvLines[0].startsWith("domain,zone,service,protocol,target,port,") || csvLines.length < 8 || csvExport.includes("data:application/x-rdp")) throw new Error("CSV export should hold every visible resource");
+const jsonlExport = (await (await worker.fetch(new Request("https://s.example.com/api/export?format=jsonl&q=files&pwd=secret"), exportEnv, {})).text()).trim().split("\n").map((line) => JSON.parse(line));
+if (jsonlExport.length !== 1 || jsonlExport[0].domain !== "files.s.example.com" || "raw" in jsonlExport[0]) throw new Error("JSONL export should honour the search filter");
+const dnsmasqExport = await (await worker.fetch(new Request("https://s.example.com/api/export?format=dnsmasq&q=box.s&pwd=secret"), exportEnv, {})).text();
+if (dnsmasqExport !== "srv-host=_ssh._tcp.box.s.example.com,n.example.com,2222,5,2\n") throw new Error("dnsmasq export should emit srv-host lines for the filtered records");
+if ((await worker.fetch(new Request("https://s.example.com/api/export?format=xlsx&pwd=secret"), exportEnv, {})).status !== 400) throw new Error("unknown export formats should be rejected");
+const exportPortal = await (await worker.fetch(new Request("https://s.example.com/?pwd=secret"), exportEnv, {})).text();
+if (!exportPortal.includes('class="export-menu') || !exportPortal.includes('href="/api/export?format=dnsmasq" data-export="dnsmasq"')) throw new Error("portal should offer the export menu");
+extraSrvRecords = [];
+globalThis.srvRecordsCache = null;
+
+globalThis.portalMetrics = new Map();
+const metricsEnv = {
+  ...env,
+  SRV_SHARED_CACHE: "off",
+  RATE_LIMIT_FORCE_SRV: "1/60",
+  METRICS: createDurableObjectNamespace(PortalMetrics),
+  PORTAL_API_TOKENS: JSON.stringify([{ name: "prom", sha256: sha256("prom-token"), operations: ["metrics"] }, { name: "reader", sha256: sha256("reader-token"), operations: ["read"] }]),
+};
+globalThis.srvRecordsCache = null;
+const metricsWebStatus = (await worker.fetch(new Request("https://web.s.example.com/app"), metricsEnv, {})).status;
+await worker.fetch(new Request("https://web.s.example.com/app"), metricsEnv, {});
+await worker.fetch(new Request("https://x.missing.s.example.com/"), metricsEnv, {});
+await worker.fetch(new Request("https://scan-1.s.example.com/"), metricsEnv, {});
+await worker.fetch(new Request("https://scan-2.s.example.com/"), metricsEnv, {});
+for (let i = 0; i < 2; i++) await worker.fetch(new Request("https://s.example.com/api/resources?force=1", { headers: { Authorization: "Bearer reader-token", "CF-Connecting-IP": "203.0.113.77" } }), metricsEnv, {});
+// 模拟 isolate 回收：内存计数清零后，Durable Object 里的汇总仍在。
+globalThis.portalMetrics = new Map();
+if ((await worker.fetch(new Request("https://s.example.com/metrics"), metricsEnv, {})).status !== 401) throw new Error("/metrics should require authentication");
+if ((await worker.fetch(new Request("https://s.example.com/metrics", { headers: { Authorization: "Bearer reader-token" } }), metricsEnv, {})).status !== 403) throw new Error("/metrics should require the metrics operation");
+const metricsResp = await worker.fetch(new Request("https://s.example.com/metrics", { headers: { Authorization: "Bearer prom-token" } }), metricsEnv, {});
+const metricsText = await metricsResp.text();
+if (metricsResp.status !== 200 || !metricsResp.headers.get("Content-Type").startsWith("text/plain; version=0.0.4")) throw new Error("/metrics should serve the Prometheus text format");
+for (const needle of [`natmap_redirects_total{hostname="web.s.example.com",status="${metricsWebStatus}"} 2`, 'natmap_redirects_total{hostname="unknown",status="404"} 1', 'natmap_redirects_total{hostname="fallback",status="307"} 2', 'natmap_rate_limit_rejections_total{operation="force-srv"} 1', "# TYPE natmap_srv_cache_age_seconds gauge", "natmap_srv_source_records ", "natmap_srv_duplicate_records ", "natmap_srv_stale_records 0", "natmap_refresh_queue_writes_total 0", 'natmap_metrics_info{scope="global",backend="cloudflare",tier="memory"} 1']) {
+  if (!metricsText.includes(needle)) throw new Error(`/metrics missing ${needle}`);
+}
+const metricsPosts = [];
+const metricsGet = metricsEnv.METRICS.get;
+metricsEnv.METRICS.get = (id) => {
+  const stub = metricsGet(id);
+  return { fetch: (url, init) => (init?.method === "POST" && metricsPosts.push(url), stub.fetch(url, init)) };
+};
+globalThis.portalMetricsFlushedAt = 0;
+const metricsWaits = [];
+for (let i = 0; i < 5; i++) await worker.fetch(new Request("https://web.s.example.com/app"), metricsEnv, { waitUntil: (promise) => metricsWaits.push(promise) });
+await Promise.all(metricsWaits);
+if (metricsPosts.length !== 1) throw new Error("metric flushes should be throttled per isolate instead of running on every request");
+const forcedMetrics = await (await worker.fetch(new Request("https://s.example.com/metrics", { headers: { Authorization: "Bearer prom-token" } }), metricsEnv, {})).text();
+if (metricsPosts.length !== 2 || !forcedMetrics.includes(`natmap_redirects_total{hostname="web.s.example.com",status="${metricsWebStatus}"} 7`)) throw new Error("a scrape should flush pending increments immediately");
+metricsEnv.METRICS.get = metricsGet;
+globalThis.portalMetrics = new Map();
+const isolateMetrics = await (await worker.fetch(new Request("https://s.example.com/metrics?pwd=secret"), { ...metricsEnv, METRICS: undefined }, {})).text();
+if (metricsText.includes("scan-1")) throw new Error("template redirects should not create a series per hostname");
+if (!isolateMetrics.includes('scope="isolate"') || isolateMetrics.includes("natmap_redirects_total{")) throw new Error("without METRICS the counters should only cover the current isolate");
+globalThis.srvRecordsCache = null;
+globalThis.portalRateLimits = new Map();
+
+globalThis.redirectEventsTableReady = false;
+const usageDb = createFakeD1();
+const usageEnv = { ...env, SRV_SHARED_CACHE: "off", ANALYTICS_DB: usageDb };
+// Node 的 Request 不保留 cf，这里手动挂上，模拟 Workers 运行时的 request.cf。
+const withCountry = (request, country) => Object.defineProperty(request, "cf", { value: { country } });
+globalThis.srvRecordsCache = null;
+await worker.fetch(withCountry(new Request("https://web.s.example.com/app", { headers: { "User-Agent": "Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) Mobile/15E148" } }), "JP"), usageEnv, {});
+await worker.fetch(new Request("https://hm-hy2.s.example.com/", { headers: { "User-Agent": "curl/8.7.1" } }), usageEnv, {});
+await worker.fetch(new Request("https://newapi.s.example.com/"), usageEnv, {});
+await worker.fetch(new Request("https://x.missing.s.example.com/"), usageEnv, {});
+const webEvent = usageDb.rows.find((row) => row.hostname === "web.s.example.com");
+if (usageDb.rows.length !== 3 || webEvent.kind === "info" || webEvent.target !== "web.n.example.com" || webEvent.port !== 2424 || webEvent.country !== "JP" || webEvent.ua_class !== "mobile" || !webEvent.status) throw new Error("redirects should record hostname, target, port, status, country, and UA class");
+const infoEvent = usageDb.rows.find((row) => row.hostname === "hm-hy2.s.example.com");
+const fallbackEvent = usageDb.rows.find((row) => row.hostname === "*.s.example.com");
+if (infoEvent.kind !== "info" || infoEvent.status !== 200 || infoEvent.ua_class !== "bot" || fallbackEvent?.kind !== "fallback" || fallbackEvent.target !== "web.n.example.com" || fallbackEvent.ua_class !== "none") throw new Error("info pages and wildcard fallbacks should be recorded with their kind");
+usageDb.rows.push({ at: Date.now() - 3 * 86400000, hostname: "web.s.example.com", kind: "redirect" }, { at: Date.now() - 20 * 86400000, hostname: "web.s.example.com", kind: "redirect" });
+const usageJson = await (await worker.fetch(new Request("https://s.example.com/admin/usage?format=json&pwd=secret"), usageEnv, {})).json();
+const webUsage = usageJson.resources.find((row) => row.domain === "web.s.example.com");
+const rdpUsage = usageJson.resources.find((row) => row.domain === "z-rdp.s.example.com");
+if (usageJson.source !== "d1" || webUsage.day !== 1 || webUsage.week !== 2 || webUsage.month !== 3 || webUsage.lastAt !== webEvent.at || rdpUsage.month !== 0 || rdpUsage.lastAt !== 0) throw new Error("usage view should count 24h/7d/30d windows per resource");
+if (!usageJson.resources.find((row) => row.domain === "*.s.example.com").templated || usageJson.resources[0].domain !== "web.s.example.com") throw new Error("usage view should list template hits and sort by 30-day count");
+const usageHtml = await (await worker.fetch(new Request("https://s.example.com/admin/usage?pwd=secret"), usageEnv, {})).text();
+if (!usageHtml.includes("访问统计") || !usageHtml.includes("30 天内无访问") || !usageHtml.includes("数据来源：D1")) throw new Error("usage page should render counts and idle resources");
+usageDb.rows.push({ at: Date.now() - 120 * 86400000, hostname: "old.s.example.com", kind: "redirect" });
+await worker.scheduled({}, usageEnv, {});
+if (usageDb.rows.some((row) => row.hostname === "old.s.example.com")) throw new Error("scheduled runs should prune D1 events older than 90 days");
+const aePoints = [];
+const aeEnv = { ...env, SRV_SHARED_CACHE: "off", REDIRECT_ANALYTICS: { writeDataPoint: (point) => aePoints.push(point) }, ANALYTICS_ACCOUNT_ID: "acct", ANALYTICS_API_TOKEN: "analytics-token" };
+await worker.fetch(withCountry(new Request("https://web.s.example.com/app"), "DE"), aeEnv, {});
+if (aePoints.length !== 1 || aePoints[0].indexes[0] !== "web.s.example.com" || aePoints[0].blobs[3] !== "DE" || aePoints[0].doubles[0] !== 2424) throw new Error("Analytics Engine should receive one data point per redirect");
+const aeUsage = await (await worker.fetch(new Request("https://s.example.com/admin/usage?format=json&pwd=secret"), aeEnv, {})).json();
+if (aeUsage.source !== "analytics_engine" || aeUsage.resources[0].month !== 42 || aeUsage.resources[0].lastAt !== 1779753600000 || !analyticsSql.at(-1).url.includes("/accounts/acct/") || !analyticsSql.at(-1).sql.includes("FROM natmap_redirects") || analyticsSql.at(-1).auth !== "Bearer analytics-token") throw new Error("usage view should query the Analytics Engine SQL API");
+const aeNoRead = await (await worker.fetch(new Request("https://s.example.com/admin/usage?format=json&pwd=secret"), { ...aeEnv, ANALYTICS_ACCOUNT_ID: "" }, {})).json();
+if (aeNoRead.ok || !aeNoRead.error.includes("ANALYTICS_ACCOUNT_ID")) throw new Error("usage view should explain missing Analytics Engine read credentials");
+const aeNoToken = await (await worker.fetch(new Request("https://s.example.com/admin/usage?format=json&pwd=secret"), { ...aeEnv, ANALYTICS_API_TOKEN: "" }, {})).json();
+if (aeNoToken.ok || !aeNoToken.error.includes("ANALYTICS_API_TOKEN")) throw new Error("usage view should not fall back to CF_API_TOKEN for Analytics Engine");
+const aeDenied = await (await worker.fetch(new Request("https://s.example.com/admin/usage?format=json&pwd=secret"), { ...aeEnv, ANALYTICS_API_TOKEN: "wrong" }, {})).json();
+if (!aeDenied.error.includes("HTTP 403") || !aeDenied.error.includes("Authentication error")) throw new Error("usage view should show why the Analytics Engine query failed");
+const unavailableDb = createFakeD1();
+const unavailableEnv = { ...usageEnv, ANALYTICS_DB: unavailableDb, PORTAL_KV: createMemoryKv() };
+await writeHealthState(unavailableEnv.PORTAL_KV, "web.s.example.com|*", { healthy: false, reason: "down", updatedAt: Date.now(), expiresAt: Date.now() + 60000 });
+await worker.fetch(new Request("https://web.s.example.com/"), unavailableEnv, {});
+await worker.fetch(new Request("https://hm-hy2.s.example.com/"), { ...unavailableEnv, PORTAL_USERS: JSON.stringify([{ name: "root", password: "root-pass", role: "admin" }]) }, {});
+const unavailableRow = unavailableDb.rows.find((row) => row.hostname === "web.s.example.com");
+const hiddenRow = unavailableDb.rows.find((row) => row.hostname === "hm-hy2.s.example.com");
+if (unavailableRow?.kind !== "unavailable" || unavailableRow.status !== 503 || hiddenRow?.status !== 404) throw new Error("unavailable pages and out-of-scope info pages should be recorded too");
+globalThis.srvRecordsCache = null;
+
+const brokenUsersEnv = { ...env, PORTAL_USERS: '[{"name":"root","password":"x"' };
+const brokenUsersPage = await worker.fetch(new Request("https://s.example.com/?pwd=secret"), brokenUsersEnv, {});
+if (brokenUsersPage.status !== 503 || !(await brokenUsersPage.text()).includes("配置错误：PORTAL_USERS")) throw new Error("a malformed PORTAL_USERS should deny the shared password and show a configuration error");
+const brokenUsersLogin = await worker.fetch(new Request("https://s.example.com/login", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pwd: "secret" }) }), brokenUsersEnv, {});
+if (brokenUsersLogin.status !== 503 || brokenUsersLogin.headers.get("Set-Cookie")) throw new Error("login should fail closed when PORTAL_USERS is malformed");
+if ((await worker.fetch(new Request("https://s.example.com/api/resources?pwd=secret"), brokenUsersEnv, {})).status !== 401) throw new Error("APIs should reject the shared password when PORTAL_USERS is malformed");
+if ((await worker.fetch(new Request("https://s.example.com/?pwd=secret"), { ...env, PORTAL_USERS: JSON.stringify([{ name: "nopass" }]) }, {})).status !== 503) throw new Error("PORTAL_USERS without a valid user should fail closed");
+if ((await worker.fetch(new Request("https://s.example.com/?pwd=secret"), { ...env, PORTAL_USERS: "[]" }, {})).status !== 200) throw new Error("an empty PORTAL_USERS list should keep shared-password mode");
+
+const alarmValues = new Map();
+let alarmAt = 0;
+const alarmLimiter = new PortalRateLimiter({ storage: { async get(key) { return alarmValues.get(key); }, async put(key, value) { alarmValues.set(key, value); }, async deleteAll() { alarmValues.clear(); }, async setAlarm(at) { alarmAt = at; } } });
+const realDateNow = Date.now;
+const alarmStart = realDateNow();
+const consumeAt = async (offset) => { Date.now = () => alarmStart + offset; return (await alarmLimiter.fetch(new Request("https://rate-limiter/consume", { method: "POST", body: JSON.stringify({ limit: 2, windowMs: 60000 }) }))).json(); };
+try {
+  await consumeAt(0);
+  await consumeAt(30000);
+  if (alarmAt !== alarmStart + 60000) throw new Error("limiter alarm should fire when the oldest hit expires");
+  Date.now = () => alarmStart + 60001;
+  await alarmLimiter.alarm();
+  if (alarmValues.get("hits")?.length !== 1 || alarmAt !== alarmStart + 90000) throw new Error("limiter alarm should keep hits still inside the window and re-arm");
+  if (!(await consumeAt(60002)).allowed || (await consumeAt(60003)).allowed) throw new Error("an alarm mid-window should not reset the sliding window");
+  Date.now = () => alarmStart + 200000;
+  await alarmLimiter.alarm();
+  if (alarmValues.size) throw new Error("limiter alarm should clear storage once every hit has expired");
+} finally {
+  Date.now = realDateNow;
+}
+
+const portHealthEnv = { ...env, PORTAL_KV: createMemoryKv(), SRV_SHARED_CACHE: "off" };
+extraSrvRecords = [weightedSrvRecord("lb-p1", "same.n.example.com", 4101, 1), weightedSrvRecord("lb-p2", "same.n.example.com", 4102, 1)];
+globalThis.srvRecordsCache = null;
+const portHealthSaved = await (await postHealth({ hostname: "lb.s.example.com", target: "same.n.example.com", port: 4102, healthy: false }, portHealthEnv)).json();
+if (portHealthSaved.saved[0].port !== 4102) throw new Error("health reports should accept an optional port");
+for (let i = 0; i < 10; i++) {
+  const resp = await worker.fetch(new Request("https://lb.s.example.com/", { headers: { "CF-Connecting-IP": `198.51.100.${40 + i}` } }), portHealthEnv, {});
+  if (resp.headers.get("Location") !== "https://same.n.example.com:4101/") throw new Error("a port-specific report should only skip that port of a shared target");
+}
+await postHealth({ hostname: "newapi.s.example.com", healthy: false, reason: "template down" }, portHealthEnv);
+if ((await worker.fetch(new Request("https://newapi.s.example.com/"), portHealthEnv, {})).status !== 503) throw new Error("wildcard template redirects should honour health reports");
+extraSrvRecords = [];
+globalThis.srvRecordsCache = null;
+
 console.log("worker smoke ok");
@@ -12,22 +12,62 @@
  *
  * 环境变量说明：
  * - DOMAINS：受管域名匹配列表，逗号分隔，支持通配符；例：*.s.example.com
+ * - CF_ZONE_MAP：可选多 zone/多账号映射 JSON，例：[{"pattern":"*.s.example.com","zoneId":"...","apiToken":"..."},{"pattern":"*.home.example.net","zoneId":"...","apiToken":"..."}]；apiToken 省略时用 CF_API_TOKEN，未配置时退回单个 CF_ZONE_ID
  * - PORTAL_DOMAIN：门户域名；例：s.example.com
- * - PORTAL_PASSWD：门户/API 密码；建议显式配置，不依赖代码默认值
- * - DEFAULT_REDIRECT_STATUS：默认跳转状态码，仅允许 301/302/307/308；默认 302
- * - CACHE_TTL_SECONDS：Cloudflare SRV 记录缓存秒数；默认 300
+ * - PORTAL_PASSWD：门户/API 密码；建议显式配置，不依赖代码默认值；配置了 PORTAL_USERS 后共享密码停用
+ * - PORTAL_USERS：可选多用户 JSON，例：[{"name":"alice","password":"...","role":"admin","scopes":["*.s.example.com"]}]；角色 viewer/operator/admin，scopes 为空表示全部资源
+ * - PORTAL_API_TOKENS：可选自动化令牌 JSON，只存哈希，例：[{"name":"ci","sha256":"<hex>","operations":["read","refresh"],"scopes":["*.s.example.com"],"expiresAt":"2027-01-01T00:00:00Z"}]
+ * - PORTAL_SESSION_SECRET：门户会话 Cookie 的 HMAC 密钥；未配置时由 PORTAL_PASSWD 派生，修改密码会使全部会话失效
+ * - PORTAL_SESSION_TTL_SECONDS：门户会话有效期；默认 43200（12 小时）
+ * - PORTAL_LEGACY_PWD_QUERY：true 时继续接受 URL 中的 ?pwd= 密码参数；默认关闭
+ * - DEFAULT_REDIRECT_STATUS：默认跳转状态码，仅允许 301/302/307/308；默认 302；门户可把单个 Web 资源改为 proxy（反向代理）
+ * - PROXY_ALLOWED_PORTS：可选，proxy 模式允许代理的目标端口，逗号分隔；默认 Workers 可直接访问的端口（HTTP 80/8080/8880/2052/2082/2086/2095，HTTPS 443/2053/2083/2087/2096/8443），其他端口退回跳转
+ * - CACHE_TTL_SECONDS：Cloudflare SRV 记录缓存秒数；默认 300；过期后先返回旧数据，再通过 waitUntil 后台刷新
+ * - CF_API_BACKOFF_BASE_SECONDS：Cloudflare API 失败后的熔断退避基数秒，按 1x/2x/4x 递增，默认 30；429 时以 Retry-After 为准
+ * - CF_API_BACKOFF_MAX_SECONDS：熔断退避上限秒数，默认 900
+ * - SRV_SHARED_CACHE：SRV 共享缓存层，auto/kv/cache/off；auto 时绑定 PORTAL_KV 用 KV，否则用 Cache API
+ * - SRV_BACKEND：SRV 记录来源，cloudflare 或 doh；未配置 Cloudflare API 时自动使用 doh 模式（不能刷新端口）
+ * - DOH_RESOLVER_URL：DoH JSON 解析地址；默认 https://cloudflare-dns.com/dns-query
+ * - DOH_SRV_NAMES：DoH 模式下预先查询的名字，逗号分隔；完整 SRV 名（_http._tcp.web.s.example.com）直接查询，裸主机名按 DOH_SRV_SERVICES 展开
+ * - DOH_SRV_SERVICES：裸主机名和按需查询使用的服务前缀；默认 _https._tcp,_http._tcp,_http._tls,_vless_fb._tcp
  * - SRV_MAX_AGE_SECONDS：可选，过滤过旧 SRV 记录；0 表示不过滤
+ * - HEALTH_STATE_TTL_SECONDS：可选，健康上报的有效期，默认 900；过期后目标恢复为未知并重新参与跳转
+ * - AGENT_SILENT_THRESHOLD_SECONDS：可选，OpenWrt agent 超过该秒数未上报时门户告警，默认 900
+ * - AGENT_UNHEALTHY_THRESHOLD：可选，agent 连续多少次探测失败后才把目标标记为不健康，默认 2；单次偶发失败不影响跳转
+ * - REFRESH_QUEUE_ENTRY_TTL_SECONDS：可选，TXT 队列条目保留秒数，默认 900，与 agent 的 NATMAP_REFRESH_MAX_AGE_MS 对齐
+ * - REFRESH_QUEUE_SECRET：可选，刷新队列 HMAC 签名密钥；配置后 TXT 条目带 v2 签名，需与 agent 的 NATMAP_REFRESH_QUEUE_SECRET 一致
+ * - AUDIT_LOG_MAX_ENTRIES：可选，审计日志保留的最近条数，默认 1000
+ * - SUBSCRIPTION_TEMPLATES：可选，订阅导出的客户端参数 JSON，按服务名（_vless_fb/_vless/_hy2）或主机名给出 uuid/password/sni 等；未配置时读取 PORTAL_KV 的 subscription-templates 键
+ * - ANALYTICS_ACCOUNT_ID / ANALYTICS_API_TOKEN：可选，读取 Analytics Engine 访问统计用的账号 ID 和令牌（需 Account Analytics Read）；不会借用 CF_API_TOKEN
+ * - ANALYTICS_DATASET：Analytics Engine 数据集名，与 REDIRECT_ANALYTICS 绑定的 dataset 一致；默认 natmap_redirects
+ * - NOTIFY_WEBHOOKS：可选，Webhook 通知目标 JSON 数组（json/telegram/slack/serverchan/bark），每个目标可带 events 过滤
+ * - NOTIFY_RETRY_LIMIT：可选，Webhook 每次投递的最多尝试次数，默认 3
+ * - NOTIFY_RETRY_BASE_MS：可选，Webhook 重试退避基数毫秒，按 1x/2x/4x 递增，默认 2000
+ * - REFRESH_JOB_TIMEOUT_SECONDS：可选，刷新任务从排队到端口变化的最长等待秒数，默认 300
+ * - SRV_STICKY_SELECTION：true 时同一客户端 IP 在同优先级多目标间固定命中同一条 SRV
  * - NATMAP_REFRESH_QUEUE_NAME：端口刷新 TXT 队列名；默认 _natmap-refresh.<PORTAL_DOMAIN>
  * - WILDCARD_TEMPLATE_HOSTNAME：泛域名跳转模板 SRV 主机名；默认 web.<PORTAL_DOMAIN>
  * - WILDCARD_TEMPLATE_TARGET_PREFIXES：允许替换的模板目标前缀；默认 web,portal
  * - TAILWIND_CDN_URLS：门户 UI 使用的 Tailwind CDN 地址列表，逗号分隔；按顺序加载，默认 fastly.jsdelivr + jsDelivr + unpkg
  * - TAILWIND_CDN_URL：兼容旧配置，单个 Tailwind CDN 地址
  * - DEBUG_MODE：true 时在页面展示脱敏调试信息
+ * - RATE_LIMIT_FORCE_SRV：强制拉取 SRV 限速，格式 <次数>/<窗口秒数>；默认 25/60，按客户端 IP
+ * - RATE_LIMIT_REFRESH_IP：端口刷新限速，按客户端 IP；默认 10/300
+ * - RATE_LIMIT_REFRESH_DOMAIN：端口刷新限速，按资源域名；默认 1/60
+ * - RATE_LIMIT_LOGIN：登录尝试限速，按客户端 IP；默认 10/300
+ *
+ * 绑定说明：
+ * - PORTAL_KV：可选 Workers KV 命名空间，持久化每个域名的跳转状态，并作为 SRV 共享缓存层；未绑定时退回当前 isolate 内存
+ * - RATE_LIMITER：可选 Durable Object（类 PortalRateLimiter），提供跨 isolate 的全局限速；未绑定时退回当前 isolate 内存
+ * - METRICS：可选 Durable Object（类 PortalMetrics），汇总各 isolate 的 /metrics 计数器；未绑定时计数器只反映当前 isolate，回收后清零
+ * - REDIRECT_ANALYTICS：可选 Workers Analytics Engine 数据集，记录每次跳转/代理/信息页访问，供 /admin/usage 统计
+ * - ANALYTICS_DB：可选 D1 数据库，未绑定 Analytics Engine 时作为访问事件的替代存储（本地测试用），表 redirect_events 自动创建
  *
  * Secret 示例：
  * - wrangler secret put CF_API_TOKEN
  * - wrangler secret put CF_ZONE_ID
  * - wrangler secret put PORTAL_PASSWD
+ * - wrangler secret put PORTAL_SESSION_SECRET
  *
  * wrangler.toml 示例：
  * [vars]
@@ -39,25 +79,62 @@
  * WILDCARD_TEMPLATE_HOSTNAME = "web.s.example.com"
  * WILDCARD_TEMPLATE_TARGET_PREFIXES = "web,portal"
  * TAILWIND_CDN_URLS = "https://fastly.jsdelivr.net/npm/@tailwindcss/browser@4.1.13/dist/index.global.min.js,https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4.1.13/dist/index.global.min.js,https://unpkg.com/@tailwindcss/browser@4.1.13/dist/index.global.js"
+ *
+ * [[kv_namespaces]]
+ * binding = "PORTAL_KV"
+ * id = "<kv-namespace-id>"
+ *
+ * [[durable_objects.bindings]]
+ * name = "RATE_LIMITER"
+ * class_name = "PortalRateLimiter"
+ *
+ * [[migrations]]
+ * tag = "v1"
+ * new_classes = ["PortalRateLimiter"]
+ *
+ * [[durable_objects.bindings]]
+ * name = "METRICS"
+ * class_name = "PortalMetrics"
+ *
+ * [[migrations]]
+ * tag = "v2"
+ * new_classes = ["PortalMetrics"]
+ *
+ * [[analytics_engine_datasets]]
+ * binding = "REDIRECT_ANALYTICS"
+ * dataset = "natmap_redirects"
  */
 
 export default {
   async fetch(request, env, ctx) {
-    const config = initConfig(env);
+    const config = initConfig(env, ctx);
     if (!config.domainList.length || !config.portalDomain) {
       return textResponse("Configuration error: DOMAINS and PORTAL_DOMAIN are required.", 500);
     }
-    if (config.cfApiToken && config.cfZoneId) await ensureSrvRecordsCache(config);
-    else initSrvCacheIfEmpty();
-
+    await ensureSrvRecordsCache(config);
     const url = new URL(request.url);
-    return url.hostname === config.portalDomain
-      ? handlePortalPageWithAuth(request, config)
-      : handleSrvRedirect(request, config);
+    const onPortal = url.hostname === config.portalDomain;
+    await Promise.all([loadRedirectModes(config), loadHealthStates(config, onPortal ? "" : url.hostname)]);
+
+    if (!onPortal) return recordRedirectMetric(url, await handleSrvRedirect(request, config), config);
+    await Promise.all([loadAgentState(config), loadSrvSync(config)]);
+    return handlePortalPageWithAuth(request, config);
+  },
+  async scheduled(controller, env, ctx) {
+    // Cron Trigger：后台拉取 SRV 并与上次快照对比，不再依赖用户请求来发现端口变化。
+    const config = initConfig(env, ctx);
+    if (!config.domainList.length || (config.srvBackend === "doh" && !config.dohSrvNames.length)) return;
+    await loadAgentState(config);
+    const sync = await syncSrvSnapshot(config);
+    await sweepRefreshJobs(config);
+    await pruneAuditLog(config);
+    await pruneRedirectEvents(config);
+    const events = { added: "resource_added", removed: "resource_removed", port_changed: "port_changed", target_changed: "port_changed" };
+    for (const change of sync.changes) await notifyEvent(events[change.type], change, config);
   },
 };
 
-function initConfig(env) {
+function initConfig(env, ctx = null) {
   // 统一解析 Worker 环境变量；这里不做远程 IO，便于每个请求快速构造配置。
   const domainList = (env.DOMAINS || "").split(",").map((d) => d.trim().toLowerCase()).filter(Boolean);
   let portalDomain = (env.PORTAL_DOMAIN || "").trim().toLowerCase();
@@ -65,24 +142,118 @@ function initConfig(env) {
     const wildcard = domainList.find((d) => d.includes("*."));
     portalDomain = wildcard ? wildcard.replace("*.", "") : domainList[0] || "";
   }
-  if (!globalThis.customRedirectModes) globalThis.customRedirectModes = {};
+  const { zones: cfZones, error: cfZoneMapError } = parseCloudflareZones(env, domainList);
   return {
     domainList,
     portalDomain,
     cfApiToken: env.CF_API_TOKEN || "",
     cfZoneId: env.CF_ZONE_ID || "",
+    cfZones,
+    cfZoneMapError,
+    srvBackend: env.SRV_BACKEND === "doh" || !cfZones.length ? "doh" : "cloudflare",
+    dohResolverUrl: env.DOH_RESOLVER_URL || "https://cloudflare-dns.com/dns-query",
+    dohSrvNames: parseCsv(env.DOH_SRV_NAMES),
+    dohServices: parseCsv(env.DOH_SRV_SERVICES || "_https._tcp,_http._tcp,_http._tls,_vless_fb._tcp"),
     portalPasswd: (env.PORTAL_PASSWD || "ABCCBA").trim(),
+    sessionSecret: env.PORTAL_SESSION_SECRET || `portal-session:${(env.PORTAL_PASSWD || "ABCCBA").trim()}`,
+    sessionTtl: parsePositiveInt(env.PORTAL_SESSION_TTL_SECONDS, 43200) || 43200,
+    legacyPwdQuery: env.PORTAL_LEGACY_PWD_QUERY === "true",
+    portalUsersJson: env.PORTAL_USERS || "",
+    portalUsers: null,
+    portalUsersError: "",
+    apiTokensJson: env.PORTAL_API_TOKENS || "",
     debugMode: env.DEBUG_MODE === "true",
     defaultRedirectStatus: parseRedirectStatus(env.DEFAULT_REDIRECT_STATUS, 302),
+    proxyAllowedPorts: parseCsv(env.PROXY_ALLOWED_PORTS).map(Number).filter((port) => port > 0 && port < 65536),
     cacheTtl: parsePositiveInt(env.CACHE_TTL_SECONDS, 300),
+    cfBackoffBase: parsePositiveInt(env.CF_API_BACKOFF_BASE_SECONDS, 30) || 30,
+    cfBackoffMax: parsePositiveInt(env.CF_API_BACKOFF_MAX_SECONDS, 900) || 900,
+    srvSharedCache: parseSrvSharedCache(env.SRV_SHARED_CACHE, Boolean(env.PORTAL_KV)),
     srvMaxAgeSeconds: parsePositiveInt(env.SRV_MAX_AGE_SECONDS, 0),
+    srvStickySelection: env.SRV_STICKY_SELECTION === "true",
+    healthTtl: parsePositiveInt(env.HEALTH_STATE_TTL_SECONDS, 900),
+    healthStates: {},
+    agentSilentThreshold: parsePositiveInt(env.AGENT_SILENT_THRESHOLD_SECONDS, 900),
+    agentUnhealthyThreshold: parsePositiveInt(env.AGENT_UNHEALTHY_THRESHOLD, 2) || 1,
+    agentState: null,
+    refreshJobTimeout: parsePositiveInt(env.REFRESH_JOB_TIMEOUT_SECONDS, 300),
+    refreshQueueEntryTtl: parsePositiveInt(env.REFRESH_QUEUE_ENTRY_TTL_SECONDS, 900),
+    refreshQueueSecret: env.REFRESH_QUEUE_SECRET || "",
     refreshQueueName: (env.NATMAP_REFRESH_QUEUE_NAME || `_natmap-refresh.${portalDomain}`).trim().toLowerCase(),
     wildcardTemplateHostname: normalizeHostname(env.WILDCARD_TEMPLATE_HOSTNAME || `web.${portalDomain}`),
     wildcardTemplateTargetPrefixes: parseCsv(env.WILDCARD_TEMPLATE_TARGET_PREFIXES || "web,portal"),
     tailwindCdnUrls: normalizeTailwindCdnUrls(env.TAILWIND_CDN_URLS || env.TAILWIND_CDN_URL),
+    kv: env.PORTAL_KV || null,
+    rateLimiter: env.RATE_LIMITER || null,
+    metricsStore: env.METRICS || null,
+    analyticsDataset: env.REDIRECT_ANALYTICS || null,
+    analyticsDb: env.ANALYTICS_DB || null,
+    analyticsDatasetName: /^\w+$/.test(env.ANALYTICS_DATASET || "") ? env.ANALYTICS_DATASET : "natmap_redirects",
+    analyticsAccountId: env.ANALYTICS_ACCOUNT_ID || "",
+    analyticsApiToken: env.ANALYTICS_API_TOKEN || "",
+    rateLimits: {
+      forceSrv: parseRateLimitRule(env.RATE_LIMIT_FORCE_SRV, 25, 60),
+      refreshIp: parseRateLimitRule(env.RATE_LIMIT_REFRESH_IP, 10, 300),
+      refreshDomain: parseRateLimitRule(env.RATE_LIMIT_REFRESH_DOMAIN, 1, 60),
+      login: parseRateLimitRule(env.RATE_LIMIT_LOGIN, 10, 300),
+    },
+    redirectModes: {},
+    auditLogLimit: parsePositiveInt(env.AUDIT_LOG_MAX_ENTRIES, 1000) || 1000,
+    subscriptionTemplatesJson: env.SUBSCRIPTION_TEMPLATES || "",
+    notifyWebhooksJson: env.NOTIFY_WEBHOOKS || "",
+    notifyTargets: null,
+    notifyRetryLimit: parsePositiveInt(env.NOTIFY_RETRY_LIMIT, 3) || 1,
+    notifyRetryBaseMs: parsePositiveInt(env.NOTIFY_RETRY_BASE_MS, 2000),
+    waitUntil: typeof ctx?.waitUntil === "function" ? ctx.waitUntil.bind(ctx) : null,
   };
 }
 
+function parseCloudflareZones(env, domainList) {
+  // 每个 DOMAINS 模式对应一个 zone 和令牌；同一 zoneId 的多个模式合并成一个 zone，只拉取一次。
+  // 返回 { zones, error }：CF_ZONE_MAP 写坏时退回 CF_ZONE_ID，但 error 会作为配置警告显示在门户上，不再静默忽略。
+  let raw = null;
+  if (env.CF_ZONE_MAP) {
+    try { raw = JSON.parse(env.CF_ZONE_MAP); } catch (_) { raw = null; }
+  }
+  if (!Array.isArray(raw)) {
+    const error = env.CF_ZONE_MAP ? "CF_ZONE_MAP 不是有效的 JSON 数组，已忽略并退回 CF_ZONE_ID / CF_API_TOKEN。" : "";
+    return { zones: env.CF_ZONE_ID && env.CF_API_TOKEN ? [{ name: "default", zoneId: env.CF_ZONE_ID, apiToken: env.CF_API_TOKEN, patterns: domainList, single: true }] : [], error };
+  }
+  const zones = new Map();
+  let skipped = 0;
+  for (const entry of raw) {
+    const zoneId = String(entry?.zoneId || "").trim();
+    const apiToken = String(entry?.apiToken || env.CF_API_TOKEN || "").trim();
+    if (!zoneId || !apiToken) { skipped += 1; continue; }
+    if (!zones.has(zoneId)) zones.set(zoneId, { name: String(entry?.name || zoneId), zoneId, apiToken, patterns: [] });
+    zones.get(zoneId).patterns.push(...(Array.isArray(entry?.patterns) ? entry.patterns : parseCsv(entry?.pattern)).map((pattern) => String(pattern).trim().toLowerCase()).filter(Boolean));
+  }
+  return { zones: Array.from(zones.values()), error: skipped ? `CF_ZONE_MAP 中有 ${skipped} 项缺少 zoneId 或 apiToken，已忽略。` : "" };
+}
+function findZoneForHostname(hostname, config) {
+  // 按模式去掉 "*." 后的后缀长度选最具体的 zone，兼容 _natmap-refresh.<zone> 这种带下划线的名字。
+  // 只有单 zone 的 CF_ZONE_ID 配置才兜底到唯一的 zone；CF_ZONE_MAP 下没有模式覆盖就返回 null，不把记录写进无关的 zone。
+  let best = null;
+  let bestLength = -1;
+  for (const zone of config.cfZones) {
+    for (const pattern of zone.patterns) {
+      const base = pattern.replace(/^\*\./, "");
+      if ((hostname === base || hostname.endsWith(`.${base}`) || wildcardToRegex(pattern).test(hostname)) && base.length > bestLength) {
+        best = zone;
+        bestLength = base.length;
+      }
+    }
+  }
+  if (best) return best;
+  return config.cfZones.length === 1 && config.cfZones[0].single ? config.cfZones[0] : null;
+}
+function parseSrvSharedCache(value, hasKv) {
+  const mode = String(value || "auto").trim().toLowerCase();
+  if (mode === "off") return "";
+  if (mode === "kv") return hasKv ? "kv" : "";
+  if (mode === "cache") return "cache-api";
+  return hasKv ? "kv" : "cache-api";
+}
 function parseRedirectStatus(value, fallback) {
   const status = parseInt(value, 10);
   return [301, 302, 307, 308].includes(status) ? status : fallback;
@@ -102,6 +273,12 @@ function normalizeTailwindCdnUrls(value) {
   for (const url of fallback) if (!normalized.includes(url)) normalized.push(url);
   return normalized;
 }
+function parseRateLimitRule(value, limit, windowSeconds) {
+  // 限速规则写作 <次数>/<窗口秒数>，例如 25/60；格式不对时使用内置默认值。
+  const match = String(value || "").trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || !Number(match[1]) || !Number(match[2])) return { limit, windowMs: windowSeconds * 1000 };
+  return { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
 function parsePositiveInt(value, fallback) {
   const parsed = parseInt(value, 10);
   return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
@@ -115,70 +292,711 @@ function parseCsv(value) {
 function initSrvCacheIfEmpty() {
   // Cloudflare Worker isolate 可复用 globalThis，因此缓存放这里减少 API 调用。
   if (!globalThis.srvRecordsCache) {
-    globalThis.srvRecordsCache = { data: [], fetchedAt: 0, sourceCount: 0, duplicateCount: 0, staleCount: 0, lastError: "" };
+    globalThis.srvRecordsCache = { data: [], fetchedAt: 0, sourceCount: 0, duplicateCount: 0, staleCount: 0, lastError: "", tier: "memory" };
   }
 }
 
-function isRateLimited(key, limit, windowMs) {
-  // 轻量内存限速：保护强制拉取和端口刷新 API，避免门户被刷爆 Cloudflare API。
-  if (!globalThis.portalRateLimits) globalThis.portalRateLimits = new Map();
+function getMemoryStore() {
+  // 未绑定 PORTAL_KV 时的兜底存储；只在当前 isolate 内有效，重新部署或回收后丢失。
+  if (!globalThis.portalMemoryStore) globalThis.portalMemoryStore = new Map();
+  return globalThis.portalMemoryStore;
+}
+async function readStoreJson(config, key, fallback = null) {
+  if (config.kv) {
+    const value = await config.kv.get(key, "json");
+    return value ?? fallback;
+  }
+  const entry = getMemoryStore().get(key);
+  if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) return fallback;
+  return JSON.parse(entry.value);
+}
+async function writeStoreJson(config, key, value, ttlSeconds = 0, metadata = null) {
+  // metadata 随键一起由 list 返回（KV 限制 1024 字节），列表页可以不再逐键读取。
+  const text = JSON.stringify(value);
+  if (config.kv) {
+    await config.kv.put(key, text, { ...(ttlSeconds ? { expirationTtl: Math.max(60, ttlSeconds) } : {}), ...(metadata ? { metadata } : {}) });
+    return;
+  }
+  getMemoryStore().set(key, { value: text, metadata, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 });
+}
+async function listStoreEntries(config, prefix, limit) {
+  // 按键名升序列出前 limit 个键及其 metadata；每 1000 个键只算一次 KV 操作。KV 的 list 有最终一致性，刚写入的键可能稍后才出现。
+  if (config.kv) {
+    const entries = [];
+    let cursor;
+    do {
+      const page = await config.kv.list({ prefix, cursor, limit: Math.min(1000, limit - entries.length) });
+      entries.push(...page.keys.map((key) => ({ name: key.name, metadata: key.metadata ?? null })));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor && entries.length < limit);
+    return entries;
+  }
+  const now = Date.now();
+  return Array.from(getMemoryStore().entries())
+    .filter(([key, entry]) => key.startsWith(prefix) && !(entry.expiresAt && entry.expiresAt <= now))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .slice(0, limit)
+    .map(([name, entry]) => ({ name, metadata: entry.metadata ?? null }));
+}
+async function deleteStoreKey(config, key) {
+  if (config.kv) await config.kv.delete(key);
+  else getMemoryStore().delete(key);
+}
+function getStoreKind(config) {
+  return config.kv ? "kv" : "memory";
+}
+
+async function loadRedirectModes(config) {
+  // 跳转状态集中存在一个键里：每个请求只读一次，门户、精确跳转和泛域名跳转看到同一份数据。
+  // KV 读取失败时按空表处理，所有域名退回 DEFAULT_REDIRECT_STATUS，跳转本身不受影响。
+  let modes = {};
+  try {
+    modes = await readStoreJson(config, "redirect-modes", {});
+  } catch (_) {
+    modes = {};
+  }
+  config.redirectModes = modes && typeof modes === "object" ? modes : {};
+  return config.redirectModes;
+}
+async function saveRedirectMode(domain, status, config) {
+  const modes = await loadRedirectModes(config);
+  modes[domain] = status;
+  await writeStoreJson(config, "redirect-modes", modes);
+}
+function resolveRedirectStatus(hostname, config) {
+  // proxy 是交付方式而不是状态码；代理不可用时按默认状态码跳转，因此 status 始终是合法的 30x。
+  if (config.redirectModes?.[hostname] === "proxy") return { status: config.defaultRedirectStatus, source: getStoreKind(config), proxy: true };
+  const stored = parseRedirectStatus(config.redirectModes?.[hostname], 0);
+  if (stored) return { status: stored, source: getStoreKind(config), proxy: false };
+  return { status: config.defaultRedirectStatus, source: "default", proxy: false };
+}
+function formatRedirectMode(resolved) {
+  return resolved.proxy ? "proxy" : String(resolved.status);
+}
+
+async function loadHealthStates(config, hostname = "") {
+  // 健康状态每个目标一个 health:<hostname>|<target>[|<port>] 键，target 为 * 表示整条 hostname；内容放在 metadata 里，一次 list 即可读全。
+  // 公网跳转只列出本 hostname 的前缀；条目靠 expirationTtl 自动过期，KV 删除有延迟，读取时仍按 expiresAt 过滤。
+  // 与跳转状态一样，KV 读取失败时按空表处理：健康状态全部视为未知，跳转照常进行。
+  let keys = [];
+  try {
+    keys = await listStoreEntries(config, hostname ? `health:${hostname}|` : "health:", 1000);
+  } catch (_) {
+    keys = [];
+  }
+  const now = Date.now();
+  config.healthStates = Object.fromEntries(keys.filter((key) => key.metadata?.expiresAt > now).map((key) => [key.name.slice("health:".length), key.metadata]));
+  return config.healthStates;
+}
+async function saveHealthReports(reports, actor, config) {
+  // 每条上报只写自己的键，不读也不覆盖其他目标，并发的 agent 和外部探测不会互相丢数据。
+  const now = Date.now();
+  const saved = [];
+  for (const report of reports) {
+    const hostname = normalizeHostname(report?.hostname || report?.domain);
+    if (!hostname || typeof report?.healthy !== "boolean") continue;
+    const target = normalizeHostname(report.target) || "*";
+    // 同一目标的不同端口各自是一条 SRV，带 port 的上报只影响这一条，避免一个坏端口把同目标的其他端口一起摘掉。
+    const port = target !== "*" ? parsePositiveInt(report.port, 0) : 0;
+    const ttlSeconds = parsePositiveInt(report.ttlSeconds, config.healthTtl);
+    const state = { healthy: report.healthy, reason: String(report.reason || "").slice(0, 80), updatedAt: now, expiresAt: now + ttlSeconds * 1000, reportedBy: String(actor).slice(0, 80) };
+    await writeStoreJson(config, `health:${port ? `${hostname}|${target}|${port}` : `${hostname}|${target}`}`, state, ttlSeconds, state);
+    saved.push(port ? { hostname, target, port, healthy: report.healthy } : { hostname, target, healthy: report.healthy });
+  }
+  return saved;
+}
+function resolveHealthState(hostname, target, config, port = 0) {
+  const state = (port && config.healthStates?.[`${hostname}|${target}|${port}`]) || config.healthStates?.[`${hostname}|${target}`] || config.healthStates?.[`${hostname}|*`];
+  if (!state) return { state: "unknown", reason: "", updatedAt: 0 };
+  return { state: state.healthy ? "healthy" : "unhealthy", reason: state.reason || "", updatedAt: state.updatedAt || 0 };
+}
+
+async function loadAgentState(config) {
+  // 每个 域名|段 一个 agent-report:<域名>|<段> 键，内容放在 metadata 里，一次 list 即可读全；lastSeenAt 和版本单独存在 agent-meta，用于判断 agent 是否已经静默。
+  const [meta, keys] = await Promise.all([readStoreJson(config, "agent-meta", null), listStoreEntries(config, "agent-report:", 1000)]);
+  const reports = {};
+  for (const key of keys) {
+    if (!key.metadata || typeof key.metadata !== "object") continue;
+    const name = key.name.slice("agent-report:".length);
+    const split = name.indexOf("|");
+    reports[name] = { domain: name.slice(0, split), section: name.slice(split + 1), ...key.metadata };
+  }
+  config.agentState = { lastSeenAt: 0, agentVersion: "", ...(meta && typeof meta === "object" ? meta : {}), reports };
+  return config.agentState;
+}
+async function saveAgentReports(payload, actor, config) {
   const now = Date.now();
-  const hits = (globalThis.portalRateLimits.get(key) || []).filter((ts) => now - ts < windowMs);
-  if (hits.length >= limit) {
-    globalThis.portalRateLimits.set(key, hits);
-    return true;
+  const agentVersion = String(payload.agentVersion || "").slice(0, 40);
+  const saved = [];
+  for (const report of Array.isArray(payload.reports) ? payload.reports : []) {
+    const domain = normalizeHostname(report?.domain);
+    if (!domain) continue;
+    const lastRestartAt = Number(report.lastRestartAt) || 0;
+    const section = String(report.section || "").slice(0, 64);
+    // 同一域名可能由多个 natmap 段发布（不同目标或端口），按 域名|段 分别保存；每段只读写自己的键，一天没有新上报（段被删除或改名）的条目由 KV 自动过期。
+    const key = `agent-report:${domain}|${section}`;
+    const previous = await readStoreJson(config, key, null);
+    const probe = ["ok", "fail", "skip"].includes(report.probe) ? report.probe : "skip";
+    const entry = {
+      target: normalizeHostname(report.target).slice(0, 253),
+      publicIp: String(report.publicIp || "").slice(0, 64),
+      publicPort: Number(report.publicPort) || 0,
+      probe,
+      consecutiveFailures: parsePositiveInt(report.consecutiveFailures, 0),
+      // agent 重启映射后会把自己的失败计数清零，Worker 另外按上报次数累计连续失败，避免计数被重启打断。
+      failStreak: probe === "fail" ? (previous?.failStreak || 0) + 1 : probe === "ok" ? 0 : previous?.failStreak || 0,
+      // agent 用 shell 的 date +%s 上报秒级时间，这里统一换成毫秒。
+      lastRestartAt: lastRestartAt && lastRestartAt < 1e12 ? lastRestartAt * 1000 : lastRestartAt,
+      agentVersion,
+      receivedAt: now,
+    };
+    // 域名和段已在键名里，metadata 不再重复，留出 1024 字节上限的余量。
+    await writeStoreJson(config, key, entry, 86400, entry);
+    saved.push({ domain, section, ...entry });
   }
-  hits.push(now);
-  globalThis.portalRateLimits.set(key, hits);
+  await writeStoreJson(config, "agent-meta", { lastSeenAt: now, agentVersion, reportedBy: actor });
+  // 探测成功立即恢复；失败要连续达到 AGENT_UNHEALTHY_THRESHOLD 次才摘除，单次偶发失败不让访客落到不可用页。
+  const failures = (report) => Math.max(report.consecutiveFailures, report.failStreak);
+  const probed = saved.filter((report) => report.probe === "ok" || (report.probe === "fail" && failures(report) >= config.agentUnhealthyThreshold));
+  if (probed.length) await saveHealthReports(probed.map((report) => ({ hostname: report.domain, target: report.target, port: report.publicPort, healthy: report.probe === "ok", reason: report.probe === "ok" ? "" : `agent 探测失败，连续 ${failures(report)} 次` })), actor, config);
+  return saved;
+}
+function findAgentReports(hostname, config) {
+  return Object.values(config.agentState?.reports || {}).filter((report) => report?.domain === hostname);
+}
+function resolveAgentReport(record, config) {
+  // 多个段发布同一域名时，优先取目标和公网端口都对得上的那一份。
+  const candidates = findAgentReports(record.hostname, config).filter((report) => !report.target || report.target === record.target);
+  const report = candidates.find((item) => item.publicPort === record.port) || candidates[0];
+  if (!report) return null;
+  return { ...report, portMismatch: Boolean(report.publicPort) && report.publicPort !== record.port };
+}
+function getAgentSilentWarning(config) {
+  const lastSeenAt = config.agentState?.lastSeenAt || 0;
+  if (!lastSeenAt || Date.now() - lastSeenAt <= config.agentSilentThreshold * 1000) return "";
+  return `OpenWrt agent 已 ${Math.floor((Date.now() - lastSeenAt) / 60000)} 分钟未上报，端口与健康状态可能已过期。`;
+}
+
+function consumeMemoryRateLimit(key, limit, windowMs) {
+  // 轻量内存限速：未绑定 RATE_LIMITER 时使用，只在当前 isolate 内计数。
+  if (!globalThis.portalRateLimits) globalThis.portalRateLimits = new Map();
+  const now = Date.now();
+  const result = consumeRateLimitHits(globalThis.portalRateLimits.get(key) || [], limit, windowMs, now);
+  globalThis.portalRateLimits.set(key, result.hits);
   if (globalThis.portalRateLimits.size > 2000) {
     for (const [storedKey, storedHits] of globalThis.portalRateLimits) {
       if (!storedHits.some((ts) => now - ts < 300000)) globalThis.portalRateLimits.delete(storedKey);
       if (globalThis.portalRateLimits.size <= 1500) break;
     }
   }
-  return false;
+  return result.decision;
+}
+function consumeRateLimitHits(storedHits, limit, windowMs, now) {
+  // 滑动窗口计数；内存限速和 Durable Object 限速共用这一份判定，保证两种模式行为一致。
+  const hits = storedHits.filter((ts) => now - ts < windowMs);
+  const allowed = hits.length < limit;
+  if (allowed) hits.push(now);
+  const resetAt = (hits[0] || now) + windowMs;
+  return {
+    hits,
+    decision: { allowed, limit, remaining: Math.max(0, limit - hits.length), resetAt, retryAfter: allowed ? 0 : Math.max(1, Math.ceil((resetAt - now) / 1000)) },
+  };
+}
+async function consumeRateLimit(key, rule, config) {
+  const decision = await consumeRateLimitDecision(key, rule, config);
+  // 键的前缀（force-srv/refresh-ip/refresh-domain/login）即操作名，直接作为指标标签，不带 IP 或域名以控制基数。
+  if (!decision.allowed) recordMetric("natmap_rate_limit_rejections_total", { operation: key.split(":")[0] }, config);
+  return decision;
+}
+async function consumeRateLimitDecision(key, rule, config) {
+  if (!config.rateLimiter) return consumeMemoryRateLimit(key, rule.limit, rule.windowMs);
+  try {
+    const stub = config.rateLimiter.get(config.rateLimiter.idFromName(key));
+    const resp = await stub.fetch("https://rate-limiter/consume", { method: "POST", body: JSON.stringify({ limit: rule.limit, windowMs: rule.windowMs }) });
+    if (resp.ok) return await resp.json();
+  } catch (_) {}
+  // Durable Object 不可用时退回内存限速，避免限速组件故障把门户整体拖垮。
+  return consumeMemoryRateLimit(key, rule.limit, rule.windowMs);
 }
 function clientKey(request) {
   return (request.headers.get("CF-Connecting-IP") || request.headers.get("X-Forwarded-For") || "unknown").split(",")[0].trim() || "unknown";
 }
-function canForceFetchSrv(request) {
-  return !isRateLimited(`force-srv:${clientKey(request)}`, 25, 60000);
+function canForceFetchSrv(request, config) {
+  return consumeRateLimit(`force-srv:${clientKey(request)}`, config.rateLimits.forceSrv, config);
 }
-function canQueueRefresh(request, domain) {
-  const client = clientKey(request);
-  return !isRateLimited(`refresh-ip:${client}`, 10, 300000) && !isRateLimited(`refresh-domain:${domain}`, 1, 60000);
+async function canQueueRefresh(request, domain, config) {
+  const byClient = await consumeRateLimit(`refresh-ip:${clientKey(request)}`, config.rateLimits.refreshIp, config);
+  if (!byClient.allowed) return byClient;
+  return consumeRateLimit(`refresh-domain:${domain}`, config.rateLimits.refreshDomain, config);
+}
+function rateLimitedResponse(decision) {
+  const response = jsonResponse({ ok: false, error: "rate limited", retryAfter: decision.retryAfter }, 429);
+  response.headers.set("Retry-After", String(decision.retryAfter));
+  response.headers.set("X-RateLimit-Limit", String(decision.limit));
+  response.headers.set("X-RateLimit-Remaining", String(decision.remaining));
+  response.headers.set("X-RateLimit-Reset", String(Math.ceil(decision.resetAt / 1000)));
+  return response;
+}
+
+export class PortalRateLimiter {
+  // 每个限速键对应一个 Durable Object 实例（idFromName(key)），计数天然全局一致。
+  constructor(state) {
+    this.state = state;
+  }
+  async fetch(request) {
+    const { limit, windowMs } = await request.json();
+    const now = Date.now();
+    const windowLength = Number(windowMs) || 60000;
+    const result = consumeRateLimitHits((await this.state.storage.get("hits")) || [], Number(limit) || 1, windowLength, now);
+    await this.state.storage.put("hits", result.hits);
+    await this.state.storage.put("windowMs", windowLength);
+    await this.state.storage.setAlarm(result.decision.resetAt);
+    return jsonResponse(result.decision);
+  }
+  async alarm() {
+    // 闹钟在最早一次命中过期时触发：只丢弃已出窗口的命中，仍在窗口内的保留并按下一次过期重新设闹钟；全部过期后才清空存储。
+    const windowMs = (await this.state.storage.get("windowMs")) || 60000;
+    const now = Date.now();
+    const hits = ((await this.state.storage.get("hits")) || []).filter((ts) => now - ts < windowMs);
+    if (!hits.length) {
+      await this.state.storage.deleteAll();
+      return;
+    }
+    await this.state.storage.put("hits", hits);
+    await this.state.storage.setAlarm(hits[0] + windowMs);
+  }
+}
+
+export class PortalMetrics {
+  // 全部计数器放在同一个实例（idFromName("metrics")）里；每个序列一个 series:<完整 Prometheus 序列名> 存储键，值是累计数。
+  constructor(state) {
+    this.state = state;
+  }
+  async fetch(request) {
+    if (request.method === "POST") {
+      // 只读写本批涉及的序列，不重写全部计数器；storage.get/put 一次最多 128 个键。
+      const { increments } = await request.json();
+      const entries = Object.entries(increments || {}).map(([key, value]) => [`series:${key}`, Number(value) || 0]).filter(([, value]) => value);
+      for (let i = 0; i < entries.length; i += 128) {
+        const batch = entries.slice(i, i + 128);
+        const current = await this.state.storage.get(batch.map(([key]) => key));
+        await this.state.storage.put(Object.fromEntries(batch.map(([key, value]) => [key, (current.get(key) || 0) + value])));
+      }
+      return jsonResponse({ ok: true });
+    }
+    const stored = await this.state.storage.list({ prefix: "series:" });
+    return jsonResponse({ ok: true, series: Object.fromEntries(Array.from(stored, ([key, value]) => [key.slice("series:".length), value])) });
+  }
+}
+
+function recordMetric(name, labels, config, value = 1) {
+  // 计数器先累加在 isolate 内存；绑定 METRICS 时同时把增量攒成一批，借 waitUntil 写入 Durable Object，不阻塞当前请求。
+  // 每个 isolate 至多每 15 秒发送一批，扫描流量不会变成每个请求一次 Durable Object 写入；/metrics 抓取时会立即补发剩余增量。
+  const key = formatMetricSeries(name, labels);
+  if (!globalThis.portalMetrics) globalThis.portalMetrics = new Map();
+  globalThis.portalMetrics.set(key, (globalThis.portalMetrics.get(key) || 0) + value);
+  if (!config.metricsStore) return;
+  if (!globalThis.portalMetricsPending) globalThis.portalMetricsPending = new Map();
+  globalThis.portalMetricsPending.set(key, (globalThis.portalMetricsPending.get(key) || 0) + value);
+  if (config.waitUntil && !globalThis.portalMetricsFlushing && Date.now() - (globalThis.portalMetricsFlushedAt || 0) >= 15000) {
+    globalThis.portalMetricsFlushedAt = Date.now();
+    globalThis.portalMetricsFlushing = flushMetrics(config).finally(() => { globalThis.portalMetricsFlushing = null; });
+    config.waitUntil(globalThis.portalMetricsFlushing);
+  }
+}
+function formatMetricSeries(name, labels = {}) {
+  const pairs = Object.entries(labels).map(([label, value]) => `${label}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return pairs.length ? `${name}{${pairs.join(",")}}` : name;
+}
+async function flushMetrics(config) {
+  // 发送失败时把增量放回待发送队列，下一次记录或抓取时重试，计数会迟到但不会丢。若 Durable Object 已写入而响应丢失，这一批会被重复计入；计数器只用于趋势和告警，接受这点误差。
+  const pending = globalThis.portalMetricsPending;
+  if (!config.metricsStore || !pending?.size) return;
+  globalThis.portalMetricsPending = new Map();
+  try {
+    const stub = config.metricsStore.get(config.metricsStore.idFromName("metrics"));
+    const resp = await stub.fetch("https://metrics/add", { method: "POST", body: JSON.stringify({ increments: Object.fromEntries(pending) }) });
+    if (resp.ok) return;
+  } catch (_) {}
+  for (const [key, value] of pending) globalThis.portalMetricsPending.set(key, (globalThis.portalMetricsPending.get(key) || 0) + value);
+}
+async function loadMetricCounters(config) {
+  // 绑定 METRICS 时以 Durable Object 的汇总为准；读取失败或未绑定时只能给出当前 isolate 的计数。
+  if (config.metricsStore) {
+    if (globalThis.portalMetricsFlushing) await globalThis.portalMetricsFlushing;
+    await flushMetrics(config);
+    try {
+      const stub = config.metricsStore.get(config.metricsStore.idFromName("metrics"));
+      const resp = await stub.fetch("https://metrics/snapshot");
+      if (resp.ok) return { series: (await resp.json()).series || {}, scope: "global" };
+    } catch (_) {}
+  }
+  return { series: Object.fromEntries(globalThis.portalMetrics || []), scope: "isolate" };
+}
+function recordRedirectMetric(url, response, config) {
+  // 只有拥有自己 SRV 记录的主机名才作为标签；模板跳转可以被任意单层子域名命中，统一记为 fallback，其余（404 等）记为 unknown，避免扫描流量撑爆标签基数。
+  const host = url.hostname.toLowerCase();
+  const hostname = getManagedSrvRecords(config).some((r) => r.hostname === host) ? host : response.status === 404 ? "unknown" : "fallback";
+  recordMetric("natmap_redirects_total", { hostname, status: response.status }, config);
+  return response;
+}
+async function handleMetrics(request, config) {
+  // Prometheus 文本格式；抓取方用带 metrics 操作的 API 令牌（Authorization: Bearer），或 admin 会话。
+  const auth = await authenticateApiRequest(request, config);
+  if (!auth.ok) return textResponse("Unauthorized", 401);
+  if (!hasPortalPermission(auth.user, "metrics")) return forbiddenResponse("metrics", false);
+  const { series, scope } = await loadMetricCounters(config);
+  const cache = globalThis.srvRecordsCache || {};
+  const now = Math.floor(Date.now() / 1000);
+  const gauges = {
+    natmap_srv_cache_age_seconds: cache.fetchedAt ? Math.max(0, now - cache.fetchedAt) : -1,
+    natmap_srv_fetch_duration_seconds: (cache.fetchDurationMs || 0) / 1000,
+    natmap_srv_records: (cache.data || []).length,
+    natmap_srv_source_records: cache.sourceCount || 0,
+    natmap_srv_duplicate_records: cache.duplicateCount || 0,
+    natmap_srv_stale_records: cache.staleCount || 0,
+    natmap_srv_last_fetch_failed: cache.lastError ? 1 : 0,
+    [formatMetricSeries("natmap_metrics_info", { scope, backend: config.srvBackend, tier: cache.tier || "memory" })]: 1,
+  };
+  const help = {
+    natmap_srv_cache_age_seconds: ["gauge", "Seconds since the SRV cache was last refreshed (-1 before the first fetch)."],
+    natmap_srv_fetch_duration_seconds: ["gauge", "Duration of the last SRV fetch in this isolate."],
+    natmap_srv_records: ["gauge", "SRV records served after deduplication and age filtering."],
+    natmap_srv_source_records: ["gauge", "SRV records returned by the backend (sourceCount)."],
+    natmap_srv_duplicate_records: ["gauge", "SRV records folded as duplicates (duplicateCount)."],
+    natmap_srv_stale_records: ["gauge", "SRV records dropped by SRV_MAX_AGE_SECONDS (staleCount)."],
+    natmap_srv_last_fetch_failed: ["gauge", "1 when the last SRV fetch reported an error."],
+    natmap_metrics_info: ["gauge", "Counter scope (global via the METRICS Durable Object, or isolate), SRV backend and cache tier."],
+    natmap_cloudflare_api_errors_total: ["counter", "Failed Cloudflare API SRV fetches by zone and error kind."],
+    natmap_redirects_total: ["counter", "Responses on managed hostnames by hostname and status code."],
+    natmap_rate_limit_rejections_total: ["counter", "Requests rejected by rate limiting, by operation."],
+    natmap_refresh_queue_writes_total: ["counter", "Refresh requests written to the TXT queue."],
+    natmap_refresh_queue_failures_total: ["counter", "Refresh requests that could not be written to the TXT queue."],
+  };
+  const byName = new Map();
+  for (const [key, value] of [...Object.entries(gauges), ...Object.entries(series).sort(([a], [b]) => a.localeCompare(b))]) {
+    const name = key.split("{")[0];
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(`${key} ${value}`);
+  }
+  for (const name of Object.keys(help)) if (name.endsWith("_total") && !byName.has(name)) byName.set(name, [`${name} 0`]);
+  const body = Array.from(byName, ([name, lines]) => [...(help[name] ? [`# HELP ${name} ${help[name][1]}`, `# TYPE ${name} ${help[name][0]}`] : []), ...lines].join("\n")).join("\n");
+  return new Response(`${body}\n`, { headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Cache-Control": "no-store" } });
 }
 
 async function ensureSrvRecordsCache(config, options = {}) {
-  // 读取并规范化 SRV 记录；force=true 时绕过 TTL，用于用户刷新或前端自动轮询。
+  // 两级缓存：isolate 内存 + 共享层（PORTAL_KV 或 Cache API）。过期数据先直接返回，再用 waitUntil 在后台刷新；force=true 时同步拉取，用于用户刷新和定时同步。
   initSrvCacheIfEmpty();
+  if (!options.force) await loadSharedSrvCache(config);
   const now = Math.floor(Date.now() / 1000);
   if (!options.force && now - globalThis.srvRecordsCache.fetchedAt <= config.cacheTtl) return;
-  const records = await fetchAllSrvRecords(config);
-  if (!records) {
-    globalThis.srvRecordsCache.lastError = "Cloudflare API request failed";
+  if (!options.force && globalThis.srvRecordsCache.fetchedAt && config.waitUntil) {
+    if (!globalThis.srvRecordsRefreshing) {
+      globalThis.srvRecordsRefreshing = refreshSrvRecordsCache(config).finally(() => { globalThis.srvRecordsRefreshing = null; });
+      config.waitUntil(globalThis.srvRecordsRefreshing);
+    }
+    return;
+  }
+  await refreshSrvRecordsCache(config);
+}
+async function refreshSrvRecordsCache(config) {
+  // 拉取失败时内存和共享层都保留上一次成功的快照（last-known-good），只更新 lastError。
+  const now = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  if (config.srvBackend === "doh") await refreshDohSrvCache(config, now);
+  else await refreshCloudflareSrvCache(config, now);
+  globalThis.srvRecordsCache.fetchDurationMs = Date.now() - startedAt;
+  if (globalThis.srvRecordsCache.fetchedAt === now) await writeSharedSrvCache(config);
+}
+async function loadSharedSrvCache(config) {
+  // 新 isolate 的内存层为空，或共享层已被其他 isolate 刷新得更新时，采用共享层的快照。
+  if (!config.srvSharedCache) return;
+  const cache = globalThis.srvRecordsCache;
+  if (cache.fetchedAt && Math.floor(Date.now() / 1000) - cache.fetchedAt <= config.cacheTtl) return;
+  let shared = null;
+  try {
+    if (config.srvSharedCache === "kv") shared = await readStoreJson(config, "srv-cache", null);
+    else if (globalThis.caches?.default) shared = await (await caches.default.match(getSrvCacheKey(config)))?.json();
+  } catch (_) {
+    shared = null;
+  }
+  if (!shared?.fetchedAt || shared.fetchedAt <= cache.fetchedAt || !Array.isArray(shared.data)) return;
+  globalThis.srvRecordsCache = { ...shared, lastError: cache.lastError || shared.lastError || "", tier: config.srvSharedCache };
+}
+async function writeSharedSrvCache(config) {
+  if (!config.srvSharedCache) return;
+  const { tier: _tier, dohMisses: _dohMisses, ...snapshot } = globalThis.srvRecordsCache;
+  try {
+    if (config.srvSharedCache === "kv") await writeStoreJson(config, "srv-cache", snapshot);
+    // Cache API 条目只在当前数据中心有效；保留 7 天作为 last-known-good，新鲜度由 fetchedAt 判断。
+    else if (globalThis.caches?.default) await caches.default.put(getSrvCacheKey(config), new Response(JSON.stringify(snapshot), { headers: { "Content-Type": "application/json", "Cache-Control": "max-age=604800" } }));
+  } catch (_) {
+    // 共享层写入失败不影响本 isolate 继续使用内存缓存。
+  }
+}
+function getSrvCacheKey(config) {
+  return new Request(`https://${config.portalDomain}/__portal/srv-cache`);
+}
+async function refreshCloudflareSrvCache(config, now) {
+  const { records, zoneErrors, errorKind } = await fetchAllSrvRecords(config);
+  const failedZones = Object.keys(zoneErrors);
+  const lastError = config.cfZones.length > 1 ? failedZones.map((name) => `${name}：${zoneErrors[name]}`).join("；") : zoneErrors[failedZones[0]] || "";
+  if (lastError) await notifyCloudflareError(lastError, config);
+  if (failedZones.length === config.cfZones.length) {
+    globalThis.srvRecordsCache.lastError = lastError;
+    globalThis.srvRecordsCache.lastErrorKind = errorKind;
+    globalThis.srvRecordsCache.zoneErrors = zoneErrors;
     return;
   }
-  const normalized = normalizeSrvRecords(records, config);
+  // 单个 zone 失败时沿用它上一次的记录，其他 zone 照常更新，不让一个账号的故障清空整个缓存。
+  const kept = (globalThis.srvRecordsCache.data || []).filter((r) => failedZones.includes(r.zone)).map((r) => r.raw);
+  const normalized = normalizeSrvRecords([...records, ...kept], config);
   globalThis.srvRecordsCache = {
     data: normalized.records,
     fetchedAt: now,
     sourceCount: records.length,
     duplicateCount: normalized.duplicateCount,
     staleCount: normalized.staleCount,
-    lastError: "",
+    lastError,
+    lastErrorKind: errorKind,
+    zoneErrors,
+    tier: "memory",
   };
 }
 
+async function syncSrvSnapshot(config) {
+  // 快照按 hostname|service|protocol 分组保存目标与端口；首次运行只建立基线，不产生变更。
+  const startedAt = Math.floor(Date.now() / 1000);
+  await ensureSrvRecordsCache(config, { force: true });
+  const cache = globalThis.srvRecordsCache;
+  // 全部失败时缓存没有刷新，跳过本轮；部分 zone 失败时只对比成功的 zone，失败 zone 的分组沿用上一轮快照，不误报删除。
+  if (cache.lastError && cache.fetchedAt < startedAt) return { ok: false, error: cache.lastError, changes: [] };
+  const now = Date.now();
+  const previous = await readStoreJson(config, "srv-snapshot", null);
+  const failed = cache.lastError ? (key) => isSnapshotGroupFailed(key, cache, config) : () => false;
+  const groups = Object.fromEntries(Object.entries(buildSrvSnapshotGroups(cache.data)).filter(([key]) => !failed(key)));
+  for (const [key, targets] of Object.entries(previous?.groups || {})) if (failed(key)) groups[key] = targets;
+  const changes = previous?.groups ? diffSrvSnapshots(previous.groups, groups, now) : [];
+  await writeStoreJson(config, "srv-snapshot", { syncedAt: now, groups });
+  await appendPortHistory(changes, cache.data, config);
+  const history = await readStoreJson(config, "srv-changes", []);
+  const log = [...changes, ...(Array.isArray(history) ? history : [])].slice(0, 50);
+  if (changes.length) await writeStoreJson(config, "srv-changes", log);
+  config.srvSync = { syncedAt: now, changes: log };
+  return { ok: true, syncedAt: now, changes, error: cache.lastError || "" };
+}
+function isSnapshotGroupFailed(key, cache, config) {
+  const [hostname, service, protocol] = key.split("|");
+  if (config.srvBackend === "doh") return (cache.failedNames || []).includes(`${service}.${protocol}.${hostname}`);
+  return Object.hasOwn(cache.zoneErrors || {}, findZoneForHostname(hostname, config)?.name);
+}
+function buildSrvSnapshotGroups(records) {
+  const groups = {};
+  for (const r of records) {
+    const key = `${r.hostname}|${r.service}|${r.protocol}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push({ target: r.target, port: r.port });
+  }
+  for (const targets of Object.values(groups)) targets.sort((a, b) => a.target.localeCompare(b.target) || a.port - b.port);
+  return groups;
+}
+function diffSrvSnapshots(before, after, at) {
+  const changes = [];
+  const describe = (key) => { const [hostname, service, protocol] = key.split("|"); return { key, hostname, service, protocol }; };
+  for (const [key, targets] of Object.entries(after)) {
+    const old = before[key];
+    if (!old) { changes.push({ type: "added", ...describe(key), before: null, after: targets, at }); continue; }
+    if (JSON.stringify(old) === JSON.stringify(targets)) continue;
+    const sameTargets = JSON.stringify(old.map((t) => t.target)) === JSON.stringify(targets.map((t) => t.target));
+    changes.push({ type: sameTargets ? "port_changed" : "target_changed", ...describe(key), before: old, after: targets, at });
+  }
+  for (const [key, targets] of Object.entries(before)) {
+    if (!after[key]) changes.push({ type: "removed", ...describe(key), before: targets, after: null, at });
+  }
+  return changes;
+}
+async function loadSrvSync(config) {
+  const [snapshot, changes] = await Promise.all([readStoreJson(config, "srv-snapshot", null), readStoreJson(config, "srv-changes", [])]);
+  config.srvSync = { syncedAt: snapshot?.syncedAt || 0, changes: Array.isArray(changes) ? changes : [] };
+  return config.srvSync;
+}
+function getVisibleSrvChanges(config, user, limit = 20) {
+  return (config.srvSync?.changes || []).filter((change) => isInUserScope(user, change.hostname)).slice(0, limit);
+}
+function describeSrvTargets(targets) {
+  return (targets || []).map((t) => `${t.target}:${t.port}`).join(", ") || "-";
+}
+function describeSrvChangeType(type) {
+  return { added: "新增", removed: "移除", port_changed: "端口变化", target_changed: "目标变化" }[type] || type;
+}
+
+async function appendPortHistory(changes, records, config) {
+  // 每个域名一条历史列表（新在前，最多 50 条）；modifiedOn 取 Cloudflare 记录的修改时间，trigger 尽量归因到门户刷新或 agent 重启。
+  const byHostname = new Map();
+  for (const change of changes) {
+    if (!byHostname.has(change.hostname)) byHostname.set(change.hostname, []);
+    const matching = records.filter((r) => r.hostname === change.hostname && r.service === change.service && r.protocol === change.protocol);
+    const modifiedOn = matching.reduce((latest, r) => Math.max(latest, r.modifiedAt || 0), 0);
+    byHostname.get(change.hostname).push({ at: change.at, type: change.type, service: change.service, protocol: change.protocol, before: change.before, after: change.after, modifiedOn, ...(await resolveChangeTrigger(change.hostname, change.at, config)) });
+  }
+  for (const [hostname, entries] of byHostname) {
+    const history = await loadPortHistory(hostname, config);
+    await writeStoreJson(config, `port-history:${hostname}`, [...entries, ...history].slice(0, 50));
+  }
+}
+async function resolveChangeTrigger(hostname, at, config) {
+  const windowMs = config.refreshJobTimeout * 1000;
+  const refresh = await readStoreJson(config, `refresh-last:${hostname}`, null);
+  if (refresh && at - refresh.queuedAt <= windowMs) return { trigger: "refresh", triggerDetail: `${refresh.requestedBy || ""} · 任务 ${refresh.id}` };
+  const report = findAgentReports(hostname, config).sort((a, b) => b.lastRestartAt - a.lastRestartAt)[0];
+  if (report?.lastRestartAt && at - report.lastRestartAt <= windowMs) return { trigger: "agent_restart", triggerDetail: report.section || "" };
+  return { trigger: "unknown", triggerDetail: "" };
+}
+async function loadPortHistory(hostname, config) {
+  const history = await readStoreJson(config, `port-history:${hostname}`, []);
+  return Array.isArray(history) ? history : [];
+}
+function describePortHistoryEntry(entry, withDetail = true) {
+  // triggerDetail 含操作者和任务 id，只在需要登录的门户和 API 里展示；公开的非 Web 信息页只显示触发类型。
+  const triggers = { refresh: "门户刷新", agent_restart: "agent 重启", unknown: "来源未知" };
+  const detail = withDetail && entry.triggerDetail ? `（${entry.triggerDetail}）` : "";
+  return { ...entry, typeLabel: describeSrvChangeType(entry.type), triggerLabel: `${triggers[entry.trigger] || entry.trigger}${detail}`, beforeLabel: describeSrvTargets(entry.before), afterLabel: describeSrvTargets(entry.after) };
+}
+function buildPortHistoryItemsHtml(history, withDetail = true) {
+  if (!history.length) return `<li class="text-xs text-zinc-500">暂无记录，端口变化由后台同步发现后写入。</li>`;
+  return history.map((entry) => describePortHistoryEntry(entry, withDetail)).map((h) => `<li class="border-l border-amber-300/20 pl-3"><div class="flex flex-wrap items-baseline gap-x-2 text-xs"><span class="time text-zinc-500" data-time="${new Date(h.at).toISOString()}">${escapeHtml(formatRecordTime(h.at))}</span><span class="font-semibold text-amber-200">${escapeHtml(h.typeLabel)}</span><span class="text-zinc-500">${escapeHtml(`${h.service}.${h.protocol}`)}</span></div><p class="mt-0.5 break-all font-mono text-xs text-zinc-300">${escapeHtml(h.beforeLabel)} → ${escapeHtml(h.afterLabel)}</p><p class="text-xs text-zinc-500">${escapeHtml(h.triggerLabel)}${h.modifiedOn ? ` · Cloudflare 修改于 ${escapeHtml(formatRecordTime(h.modifiedOn))}` : ""}</p></li>`).join("");
+}
+
+async function loadNotifyTargets(config) {
+  // Webhook 目标来源：NOTIFY_WEBHOOKS secret 优先，其次 PORTAL_KV 的 notify-webhooks 键。
+  if (config.notifyTargets) return config.notifyTargets;
+  let raw = [];
+  if (config.notifyWebhooksJson) {
+    try { raw = JSON.parse(config.notifyWebhooksJson); } catch (_) { raw = []; }
+  } else raw = await readStoreJson(config, "notify-webhooks", []);
+  config.notifyTargets = normalizeNotifyTargets(raw);
+  return config.notifyTargets;
+}
+function normalizeNotifyTargets(raw) {
+  return (Array.isArray(raw) ? raw : []).map((target, index) => ({
+    name: String(target?.name || `webhook-${index + 1}`),
+    type: ["json", "telegram", "slack", "serverchan", "bark"].includes(target?.type) ? target.type : "json",
+    url: String(target?.url || ""),
+    botToken: String(target?.botToken || ""),
+    chatId: String(target?.chatId || ""),
+    sendKey: String(target?.sendKey || ""),
+    headers: target?.headers && typeof target.headers === "object" ? target.headers : {},
+    events: (Array.isArray(target?.events) ? target.events : parseCsv(target?.events)).filter(Boolean),
+  })).filter((target) => target.url || (target.type === "telegram" && target.botToken && target.chatId) || (target.type === "serverchan" && target.sendKey));
+}
+async function notifyEvent(event, data, config) {
+  // 按目标的事件过滤投递；有 waitUntil 时在响应之后后台发送，不拖慢当前请求。
+  const targets = (await loadNotifyTargets(config)).filter((target) => !target.events.length || target.events.includes(event));
+  if (!targets.length) return [];
+  const message = { event, ...formatNotification(event, data), data, at: Date.now() };
+  const delivery = Promise.all(targets.map((target) => deliverWebhook(target, message, config)));
+  if (config.waitUntil) {
+    config.waitUntil(delivery);
+    return [];
+  }
+  return delivery;
+}
+function formatNotification(event, data) {
+  if (event === "port_changed") return { title: "SRV 端口变化", text: `${data.hostname} ${data.service}.${data.protocol}：${describeSrvTargets(data.before)} → ${describeSrvTargets(data.after)}` };
+  if (event === "resource_added") return { title: "SRV 资源新增", text: `${data.hostname} ${data.service}.${data.protocol}：${describeSrvTargets(data.after)}` };
+  if (event === "resource_removed") return { title: "SRV 资源消失", text: `${data.hostname} ${data.service}.${data.protocol}：${describeSrvTargets(data.before)} 已不在 DNS 中` };
+  if (event === "refresh_timed_out") return { title: "端口刷新超时", text: `${data.domain}：${data.detail || "未观察到 SRV 端口变化"}（任务 ${data.id}）` };
+  if (event === "cf_api_error") return { title: "Cloudflare API 异常", text: data.error || "Cloudflare API request failed" };
+  return { title: event, text: JSON.stringify(data) };
+}
+function buildWebhookRequest(target, message) {
+  // 内置模板覆盖常见聊天工具；url 可覆盖默认地址（自建 Bark、Telegram 反代等）。
+  const headers = { "Content-Type": "application/json", ...target.headers };
+  const line = `${message.title}\n${message.text}`;
+  if (target.type === "telegram") return { url: target.url || `https://api.telegram.org/bot${target.botToken}/sendMessage`, headers, body: JSON.stringify({ chat_id: target.chatId, text: line, disable_web_page_preview: true }) };
+  if (target.type === "slack") return { url: target.url, headers, body: JSON.stringify({ text: line }) };
+  if (target.type === "serverchan") return { url: target.url || `https://sctapi.ftqq.com/${target.sendKey}.send`, headers, body: JSON.stringify({ title: message.title, desp: message.text }) };
+  if (target.type === "bark") return { url: target.url, headers, body: JSON.stringify({ title: message.title, body: message.text, group: "natmap" }) };
+  return { url: target.url, headers, body: JSON.stringify({ event: message.event, title: message.title, text: message.text, data: message.data, at: message.at }) };
+}
+async function deliverWebhook(target, message, config) {
+  // 网络错误、429 和 5xx 按指数退避重试；其余 4xx 说明配置有误，重试无意义。
+  const request = buildWebhookRequest(target, message);
+  for (let attempt = 1; attempt <= config.notifyRetryLimit; attempt += 1) {
+    try {
+      const resp = await fetch(request.url, { method: "POST", headers: request.headers, body: request.body });
+      if (resp.ok) return { name: target.name, ok: true, attempts: attempt };
+      if (resp.status !== 429 && resp.status < 500) return { name: target.name, ok: false, attempts: attempt, status: resp.status };
+    } catch (_) {}
+    if (attempt < config.notifyRetryLimit) await new Promise((resolve) => setTimeout(resolve, config.notifyRetryBaseMs * 2 ** (attempt - 1)));
+  }
+  return { name: target.name, ok: false, attempts: config.notifyRetryLimit };
+}
+async function notifyCloudflareError(error, config) {
+  // 每个 isolate 都会独立发现 API 故障；用存储里的抑制标记把重复告警压到每小时一次。
+  if (await readStoreJson(config, "notify-cf-error", null)) return;
+  await writeStoreJson(config, "notify-cf-error", { error, at: Date.now() }, 3600);
+  await notifyEvent("cf_api_error", { error }, config);
+}
+
 async function fetchAllSrvRecords(config) {
-  const baseUrl = `https://api.cloudflare.com/client/v4/zones/${config.cfZoneId}/dns_records?type=SRV&per_page=100`;
+  // 各 zone 并行拉取，记录打上来源 zone 标记；失败的 zone 单独记入 zoneErrors，熔断中的 zone 不发请求。
+  const results = await Promise.all(config.cfZones.map(async (zone) => ({ zone, records: await fetchZoneSrvRecordsWithBreaker(zone, config) })));
+  const records = [];
+  const zoneErrors = {};
+  let errorKind = "";
+  for (const { zone, records: zoneRecords } of results) {
+    if (Array.isArray(zoneRecords)) records.push(...zoneRecords.map((record) => ({ ...record, portal_zone: zone.name })));
+    else {
+      zoneErrors[zone.name] = zoneRecords.message;
+      errorKind = errorKind || zoneRecords.kind;
+    }
+  }
+  return { records, zoneErrors, errorKind };
+}
+async function fetchZoneSrvRecordsWithBreaker(zone, config) {
+  // 每个 zone 一个熔断器：失败后按指数退避（429 时按 Retry-After）暂停请求；到期后只放行一次半开探测，成功即复位，失败继续加倍退避。
+  if (!globalThis.cloudflareApiBreakers) globalThis.cloudflareApiBreakers = new Map();
+  const breaker = globalThis.cloudflareApiBreakers.get(zone.zoneId);
+  const now = Date.now();
+  // 探测请求可能随 isolate 被中断而永远不返回，超过 30 秒仍标记为 probing 时视为已失效，允许下一次探测。
+  const probing = Boolean(breaker?.probing) && now - (breaker.probeStartedAt || 0) < 30000;
+  if (breaker && (now < breaker.openUntil || probing)) {
+    const wait = Math.max(1, Math.ceil((breaker.openUntil - now) / 1000));
+    return { kind: breaker.kind, message: `${breaker.message}；已暂停请求，${probing ? "正在重试" : `${wait} 秒后重试`}` };
+  }
+  if (breaker) {
+    breaker.probing = true;
+    breaker.probeStartedAt = now;
+  }
+  let result;
+  try {
+    result = await fetchZoneSrvRecords(zone);
+  } catch (_) {
+    result = classifyCloudflareFailure(null, null);
+  } finally {
+    // 只复位自己发起的探测；过期探测晚到时不要清掉新探测的标记。
+    if (breaker?.probeStartedAt === now) breaker.probing = false;
+  }
+  if (Array.isArray(result)) {
+    globalThis.cloudflareApiBreakers.delete(zone.zoneId);
+    return result;
+  }
+  recordMetric("natmap_cloudflare_api_errors_total", { zone: zone.name, kind: result.kind }, config);
+  const failures = (breaker?.failures || 0) + 1;
+  const backoff = result.retryAfter || Math.min(config.cfBackoffMax, config.cfBackoffBase * 2 ** (failures - 1));
+  globalThis.cloudflareApiBreakers.set(zone.zoneId, { failures, openUntil: Date.now() + backoff * 1000, kind: result.kind, message: result.message, probing: false });
+  return result;
+}
+async function fetchZoneSrvRecords(zone) {
+  const baseUrl = `https://api.cloudflare.com/client/v4/zones/${zone.zoneId}/dns_records?type=SRV&per_page=100`;
   const allRecords = [];
   let page = 1;
   while (true) {
-    const resp = await fetch(`${baseUrl}&page=${page}`, { method: "GET", headers: { Authorization: `Bearer ${config.cfApiToken}`, "Content-Type": "application/json" } });
-    if (!resp.ok) return null;
-    const json = await resp.json();
-    if (!json.success) return null;
+    const resp = await fetch(`${baseUrl}&page=${page}`, { method: "GET", headers: { Authorization: `Bearer ${zone.apiToken}`, "Content-Type": "application/json" } }).catch(() => null);
+    if (!resp) return classifyCloudflareFailure(null, null);
+    const json = await resp.json().catch(() => null);
+    if (!resp.ok || !json?.success) return classifyCloudflareFailure(resp, json);
     allRecords.push(...(json.result || []));
     const info = json.result_info || {};
     if (!info.total_pages || info.page >= info.total_pages) break;
@@ -186,9 +1004,96 @@ async function fetchAllSrvRecords(config) {
   }
   return allRecords;
 }
+function classifyCloudflareFailure(resp, json) {
+  // 把 HTTP 状态和 Cloudflare 错误码归成 auth/permission/rate_limit/network/server/api 几类，lastError 直接写给人看的原因。
+  if (!resp) return { kind: "network", message: "无法连接 Cloudflare API（网络错误）" };
+  const apiError = json?.errors?.[0];
+  const detail = apiError?.message ? `：${apiError.message}` : "";
+  if (resp.status === 429 || apiError?.code === 971) {
+    const retryAfter = parseRetryAfter(resp.headers.get("Retry-After"));
+    return { kind: "rate_limit", retryAfter, message: `Cloudflare API 限流（HTTP ${resp.status}）${retryAfter ? `，要求 ${retryAfter} 秒后重试` : ""}` };
+  }
+  if (resp.status === 401 || [1000, 6003, 6111, 9106, 9109].includes(apiError?.code)) return { kind: "auth", message: `Cloudflare API 认证失败（HTTP ${resp.status}），请检查 API 令牌是否有效或过期${detail}` };
+  if (resp.status === 403 || apiError?.code === 10000) return { kind: "permission", message: `Cloudflare API 权限不足（HTTP 403），令牌需要该 zone 的 DNS 读取权限${detail}` };
+  if (resp.status >= 500) return { kind: "server", message: `Cloudflare API 服务异常（HTTP ${resp.status}）` };
+  return { kind: "api", message: `Cloudflare API 请求失败（HTTP ${resp.status}）${detail}` };
+}
+function parseRetryAfter(value) {
+  // Retry-After 可以是秒数或 HTTP 日期。
+  if (!value) return 0;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+  const at = Date.parse(value);
+  return at ? Math.max(0, Math.ceil((at - Date.now()) / 1000)) : 0;
+}
+
+async function refreshDohSrvCache(config, now) {
+  // DoH 只能按名字查询，无法列举 zone；预先查询 DOH_SRV_NAMES 和泛域名模板，其余主机名在访问时按需查询。
+  const hosts = Array.from(new Set([...config.dohSrvNames, config.wildcardTemplateHostname].filter(Boolean)));
+  const results = await Promise.all(hosts.flatMap((host) => expandDohSrvNames(host, config)).map((name) => lookupDohSrv(name, config)));
+  const failedNames = results.filter((result) => result.error).map((result) => result.name);
+  const lastError = failedNames.length ? `DoH SRV lookup failed: ${failedNames.join(", ")}` : "";
+  if (failedNames.length && failedNames.length === results.length) {
+    globalThis.srvRecordsCache.lastError = lastError;
+    return;
+  }
+  // 单个名字查询失败时沿用上一次的结果，与多 zone 时的处理一致。
+  const kept = (globalThis.srvRecordsCache.data || []).filter((r) => failedNames.includes(r.originalName)).map((r) => r.raw);
+  const records = results.flatMap((result) => result.records);
+  const normalized = normalizeSrvRecords([...records, ...kept], config);
+  globalThis.srvRecordsCache = {
+    data: normalized.records,
+    fetchedAt: now,
+    sourceCount: records.length,
+    duplicateCount: normalized.duplicateCount,
+    staleCount: normalized.staleCount,
+    lastError,
+    zoneErrors: {},
+    failedNames,
+    dohMisses: {},
+    tier: "memory",
+  };
+}
+async function lookupDohHostname(hostname, config) {
+  // handleSrvRedirect 找不到记录时按需查询一次；查不到的主机名在缓存周期内不再重复查询，最多记 500 个，超出时丢弃最早的。
+  initSrvCacheIfEmpty();
+  const cache = globalThis.srvRecordsCache;
+  const now = Math.floor(Date.now() / 1000);
+  if (!cache.dohMisses) cache.dohMisses = {};
+  if (now - (cache.dohMisses[hostname] || 0) <= config.cacheTtl) return;
+  const results = await Promise.all(expandDohSrvNames(hostname, config).map((name) => lookupDohSrv(name, config)));
+  const records = results.flatMap((result) => result.records);
+  if (!records.length) {
+    delete cache.dohMisses[hostname];
+    cache.dohMisses[hostname] = now;
+    const misses = Object.keys(cache.dohMisses);
+    for (const key of misses.slice(0, Math.max(0, misses.length - 500))) delete cache.dohMisses[key];
+    return;
+  }
+  const normalized = normalizeSrvRecords([...cache.data.map((r) => r.raw), ...records], config);
+  cache.data = normalized.records;
+  cache.sourceCount += records.length;
+}
+function expandDohSrvNames(host, config) {
+  return host.startsWith("_") ? [host] : config.dohServices.map((service) => `${service}.${host}`);
+}
+async function lookupDohSrv(name, config) {
+  // DoH JSON 的 SRV 答案形如 "0 5 443 target.example.com."，转换成 Cloudflare API 的记录结构后复用同一套解析。
+  const url = new URL(config.dohResolverUrl);
+  url.searchParams.set("name", name);
+  url.searchParams.set("type", "SRV");
+  const resp = await fetch(url.toString(), { headers: { Accept: "application/dns-json" } }).catch(() => null);
+  if (!resp || !resp.ok) return { name, records: [], error: resp ? `HTTP ${resp.status}` : "network error" };
+  const json = await resp.json().catch(() => null);
+  if (!json || ![0, 3].includes(json.Status)) return { name, records: [], error: `DNS status ${json?.Status}` };
+  const records = (json.Answer || []).filter((answer) => answer.type === 33).map((answer, index) => {
+    const [priority, weight, port, target] = String(answer.data || "").trim().split(/\s+/);
+    return { id: `doh:${name}:${index}`, name, type: "SRV", ttl: answer.TTL, portal_zone: "doh", data: { priority: Number(priority), weight: Number(weight), port: Number(port), target } };
+  });
+  return { name, records, error: "" };
+}
 
 function normalizeSrvRecords(records, config) {
-  // 同一个 hostname/service/protocol 只保留最新记录，避免 DDNS 异常留下重复 SRV。
+  // 只折叠真正重复的 SRV（同一 hostname/service/protocol 且目标与端口都相同），保留最新一条；多目标集合原样保留供加权选择。
   const now = Date.now();
   const newestByName = new Map();
   let staleCount = 0;
@@ -200,7 +1105,7 @@ function normalizeSrvRecords(records, config) {
       const ageSeconds = Math.floor((now - parsed.updatedAt) / 1000);
       if (ageSeconds > config.srvMaxAgeSeconds) { staleCount++; return; }
     }
-    const key = `${parsed.hostname}|${parsed.service}|${parsed.protocol}`;
+    const key = `${parsed.hostname}|${parsed.service}|${parsed.protocol}|${parsed.target}|${parsed.port}`;
     const current = newestByName.get(key);
     if (!current || compareSrvFreshness(parsed, current) < 0) {
       if (current) duplicateCount++;
@@ -217,7 +1122,7 @@ function parseCloudflareSrvRecord(record, index) {
   if (!service || !protocol || !hostname || !target || !port) return null;
   const createdAt = Date.parse(record.created_on || "") || 0;
   const modifiedAt = Date.parse(record.modified_on || "") || 0;
-  return { id: record.id || "", originalName: record.name || "", service, protocol, hostname: hostname.toLowerCase(), port, priority: Number(record.data?.priority || 0), weight: Number(record.data?.weight || 0), target, createdAt, modifiedAt, updatedAt: Math.max(createdAt, modifiedAt), order: index, raw: record };
+  return { id: record.id || "", originalName: record.name || "", zone: record.portal_zone || "", service, protocol, hostname: hostname.toLowerCase(), port, priority: Number(record.data?.priority || 0), weight: Number(record.data?.weight || 0), target, createdAt, modifiedAt, updatedAt: Math.max(createdAt, modifiedAt), order: index, raw: record };
 }
 function parseSrvName(name) {
   const parts = String(name).toLowerCase().split(".");
@@ -231,6 +1136,13 @@ async function handlePortalPageWithAuth(request, config) {
   // 门户页兼容 GET 展示、表单 POST 更新跳转状态、表单 POST 触发端口刷新。
   const url = new URL(request.url);
   if (url.pathname.startsWith("/api/")) return handlePortalApi(request, config);
+  if (url.pathname === "/login") return handlePortalLogin(request, config);
+  if (url.pathname === "/logout") return handlePortalLogout(config);
+  if (url.pathname === "/admin/tokens") return handleTokenAdmin(request, config);
+  if (url.pathname === "/admin/audit") return handleAuditAdmin(request, config);
+  if (url.pathname === "/admin/usage") return handleUsageAdmin(request, config);
+  if (url.pathname === "/metrics") return handleMetrics(request, config);
+  let userName = "";
   let userPwd = "";
   let domainToUpdate = "";
   let newRedirectStatus = "";
@@ -238,65 +1150,219 @@ async function handlePortalPageWithAuth(request, config) {
   let notice = "";
   if (request.method === "POST") {
     const formData = await request.formData();
+    userName = String(formData.get("user") || "");
     userPwd = String(formData.get("pwd") || "");
-    domainToUpdate = String(formData.get("domain") || "");
+    domainToUpdate = String(formData.get("domain") || "").trim().toLowerCase();
     newRedirectStatus = String(formData.get("redirectStatus") || "");
     refreshDomain = String(formData.get("refreshDomain") || "").trim().toLowerCase();
-  } else userPwd = url.searchParams.get("pwd") || "";
-  if (userPwd !== config.portalPasswd) return buildPasswordForm(config);
+  }
+  const auth = await authenticatePortalRequest(request, config, { user: userName, pwd: userPwd });
+  if (!auth.ok) return buildPasswordForm(config);
   if (request.method === "GET") {
     notice = getPortalNotice(url.searchParams);
-    if (url.searchParams.get("force") === "1" && canForceFetchSrv(request)) await ensureSrvRecordsCache(config, { force: true });
+    if (url.searchParams.get("force") === "1" && (await canForceFetchSrv(request, config)).allowed) await ensureSrvRecordsCache(config, { force: true });
   }
   if (domainToUpdate && newRedirectStatus) {
-    const status = parseRedirectStatus(newRedirectStatus, 0);
-    if (status) {
-      globalThis.customRedirectModes[domainToUpdate] = status;
-      return redirectToPortal(url, userPwd, { saved: domainToUpdate });
+    const audit = { action: "redirect.update", domain: domainToUpdate, oldValue: formatRedirectMode(resolveRedirectStatus(domainToUpdate, config)), newValue: newRedirectStatus };
+    if (!hasPortalPermission(auth.user, "redirect")) {
+      await recordAuditEntries(request, auth.user, [{ ...audit, outcome: "denied", error: "missing permission redirect" }], config);
+      return forbiddenResponse("redirect", false);
+    }
+    // 与端口刷新一致：域名不受管或不在权限范围内按未找到处理，失败都带着提示跳回门户，不再落到 200 的门户页。
+    if (!matchesManagedDomain(domainToUpdate, config.domainList) || !isInUserScope(auth.user, domainToUpdate)) {
+      await recordAuditEntries(request, auth.user, [{ ...audit, outcome: "not_found", error: "未找到对应的受管资源" }], config);
+      return withPortalSession(redirectToPortal(url, { redirectError: `未找到 ${domainToUpdate} 对应的受管资源。` }), auth, config);
     }
+    const status = newRedirectStatus === "proxy" ? "proxy" : parseRedirectStatus(newRedirectStatus, 0);
+    if (!status) {
+      await recordAuditEntries(request, auth.user, [{ ...audit, outcome: "error", error: "invalid status" }], config);
+      return withPortalSession(redirectToPortal(url, { redirectError: `不支持的跳转方式：${newRedirectStatus}` }), auth, config);
+    }
+    await saveRedirectMode(domainToUpdate, status, config);
+    await recordAuditEntries(request, auth.user, [{ ...audit, outcome: "ok" }], config);
+    return withPortalSession(redirectToPortal(url, { saved: domainToUpdate }), auth, config);
   }
   if (refreshDomain) {
-    if (!canQueueRefresh(request, refreshDomain) || !canForceFetchSrv(request)) return redirectToPortal(url, userPwd, { refreshError: "操作太频繁，请稍后再试。" });
+    const audit = { action: "refresh.queue", domain: refreshDomain };
+    if (!hasPortalPermission(auth.user, "refresh")) {
+      await recordAuditEntries(request, auth.user, [{ ...audit, outcome: "denied", error: "missing permission refresh" }], config);
+      return forbiddenResponse("refresh", false);
+    }
+    if (!(await canQueueRefresh(request, refreshDomain, config)).allowed || !(await canForceFetchSrv(request, config)).allowed) {
+      await recordAuditEntries(request, auth.user, [{ ...audit, outcome: "rate_limited", error: "rate limited" }], config);
+      return withPortalSession(redirectToPortal(url, { refreshError: "操作太频繁，请稍后再试。" }), auth, config);
+    }
     await ensureSrvRecordsCache(config, { force: true });
-    const managedRecords = getManagedSrvRecords(config);
-    const exists = managedRecords.some((record) => record.hostname === refreshDomain);
-    if (!exists) return redirectToPortal(url, userPwd, { refreshError: `未找到 ${refreshDomain} 对应的受管资源。` });
-    const queued = await enqueueNatmapRefresh(refreshDomain, config);
-    return redirectToPortal(url, userPwd, queued.ok ? { refreshQueued: refreshDomain } : { refreshError: `端口刷新请求提交失败：${queued.error}` });
+    const record = getVisibleSrvRecords(config, auth.user).find((r) => r.hostname === refreshDomain);
+    if (!record) {
+      await recordAuditEntries(request, auth.user, [{ ...audit, outcome: "not_found", error: "未找到对应的受管资源" }], config);
+      return withPortalSession(redirectToPortal(url, { refreshError: `未找到 ${refreshDomain} 对应的受管资源。` }), auth, config);
+    }
+    const queued = await createRefreshJob(refreshDomain, record.port, describePortalActor(auth.user), config);
+    await recordAuditEntries(request, auth.user, [{ ...audit, oldValue: String(record.port), newValue: queued.ok ? queued.job.id : "", outcome: queued.ok ? "ok" : "error", error: queued.ok ? "" : queued.error }], config);
+    return withPortalSession(redirectToPortal(url, queued.ok ? { refreshQueued: refreshDomain, refreshJob: queued.job.id } : { refreshError: `端口刷新请求提交失败：${queued.error}` }), auth, config);
   }
-  const managedRecords = getManagedSrvRecords(config);
-  return buildPortalPageHTML(buildResources(managedRecords, config), config, userPwd, notice);
+  const managedRecords = getVisibleSrvRecords(config, auth.user);
+  return withPortalSession(buildPortalPageHTML(buildResources(managedRecords, config), config, notice, auth.user), auth, config);
 }
 async function handlePortalApi(request, config) {
-  // 前端异步接口：资源轮询只读，端口刷新写 TXT 队列，二者都必须带门户密码。
+  // 前端异步接口：资源轮询只读，端口刷新写 TXT 队列；认证后统一在响应头标明执行者，便于日志归属。
   const url = new URL(request.url);
+  let payload = {};
+  if (request.method === "POST") {
+    // 请求体在认证前解析；JSON 写错或编码不对时直接回 400，不让异常变成 500。
+    payload = await readRequestPayload(request).catch(() => null);
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) return jsonResponse({ ok: false, error: "invalid payload" }, 400);
+  }
+  const auth = await authenticateApiRequest(request, config, { user: String(payload.user || ""), pwd: String(payload.pwd || ""), token: url.pathname === "/api/subscription" ? url.searchParams.get("token") || "" : "" });
+  if (!auth.ok) return jsonResponse({ ok: false, error: "unauthorized" }, 401);
+  const audit = [];
+  const response = await routePortalApi(request, url, payload, auth, config, audit);
+  if (request.method === "POST") await recordApiAudit(request, url, payload, auth.user, response, audit, config);
+  response.headers.set("X-Portal-Actor", describePortalActor(auth.user));
+  return response;
+}
+async function routePortalApi(request, url, payload, auth, config, audit = []) {
   if (url.pathname === "/api/resources" && request.method === "GET") {
-    const pwd = url.searchParams.get("pwd") || "";
-    if (pwd !== config.portalPasswd) return jsonResponse({ ok: false, error: "unauthorized" }, 401);
+    if (!hasPortalPermission(auth.user, "read")) return forbiddenResponse("read");
     const force = url.searchParams.get("force") === "1";
-    if (force && !canForceFetchSrv(request)) return jsonResponse({ ok: false, error: "rate limited" }, 429);
+    if (force) {
+      const limit = await canForceFetchSrv(request, config);
+      if (!limit.allowed) return rateLimitedResponse(limit);
+    }
     await ensureSrvRecordsCache(config, { force });
-    const resources = buildResources(getManagedSrvRecords(config), config);
+    const resources = buildResources(getVisibleSrvRecords(config, auth.user), config);
     const cache = globalThis.srvRecordsCache || {};
-    return jsonResponse({ ok: true, resources, cache: { fetchedAt: cache.fetchedAt || 0, duplicateCount: cache.duplicateCount || 0, staleCount: cache.staleCount || 0, lastError: cache.lastError || "" } });
+    return jsonResponse({ ok: true, resources, cache: { fetchedAt: cache.fetchedAt || 0, duplicateCount: cache.duplicateCount || 0, staleCount: cache.staleCount || 0, lastError: cache.lastError || "", lastErrorKind: cache.lastError ? cache.lastErrorKind || "" : "", zoneErrors: cache.zoneErrors || {}, zoneMapError: config.cfZoneMapError, backend: config.srvBackend, tier: cache.tier || "memory", age: cache.fetchedAt ? Math.max(0, Math.floor(Date.now() / 1000) - cache.fetchedAt) : 0, stale: Boolean(cache.fetchedAt) && Math.floor(Date.now() / 1000) - cache.fetchedAt > config.cacheTtl }, agent: { lastSeenAt: config.agentState?.lastSeenAt || 0, agentVersion: config.agentState?.agentVersion || "", silentWarning: getAgentSilentWarning(config) }, sync: { syncedAt: config.srvSync?.syncedAt || 0, changes: getVisibleSrvChanges(config, auth.user) } });
   }
   if (url.pathname === "/api/refresh" && request.method === "POST") {
-    const payload = await readRequestPayload(request);
-    const pwd = String(payload.pwd || "");
-    if (pwd !== config.portalPasswd) return jsonResponse({ ok: false, error: "unauthorized" }, 401);
+    if (!hasPortalPermission(auth.user, "refresh")) return forbiddenResponse("refresh");
     const domain = String(payload.domain || payload.refreshDomain || "").trim().toLowerCase();
     if (!domain) return jsonResponse({ ok: false, error: "missing domain" }, 400);
-    if (!canQueueRefresh(request, domain)) return jsonResponse({ ok: false, error: "rate limited" }, 429);
-    if (!canForceFetchSrv(request)) return jsonResponse({ ok: false, error: "rate limited" }, 429);
+    const refreshLimit = await canQueueRefresh(request, domain, config);
+    if (!refreshLimit.allowed) return rateLimitedResponse(refreshLimit);
+    const forceLimit = await canForceFetchSrv(request, config);
+    if (!forceLimit.allowed) return rateLimitedResponse(forceLimit);
     await ensureSrvRecordsCache(config, { force: true });
-    const record = getManagedSrvRecords(config).find((r) => r.hostname === domain);
+    const record = getVisibleSrvRecords(config, auth.user).find((r) => r.hostname === domain);
     if (!record) return jsonResponse({ ok: false, error: "未找到对应的受管资源" }, 404);
-    const queued = await enqueueNatmapRefresh(domain, config);
+    const queued = await createRefreshJob(domain, record.port, describePortalActor(auth.user), config);
     if (!queued.ok) return jsonResponse({ ok: false, error: queued.error }, 502);
-    return jsonResponse({ ok: true, domain, oldPort: record.port, queuedAt: new Date().toISOString() });
+    audit.push({ action: "refresh.queue", domain, oldValue: String(record.port), newValue: queued.job.id });
+    return jsonResponse({ ok: true, id: queued.job.id, domain, oldPort: record.port, queuedAt: new Date(queued.job.queuedAt).toISOString(), job: queued.job });
+  }
+  if (url.pathname === "/api/refresh/bulk" && request.method === "POST") {
+    if (!hasPortalPermission(auth.user, "refresh")) return forbiddenResponse("refresh");
+    const domains = [...new Set((Array.isArray(payload.domains) ? payload.domains : parseCsv(payload.domains)).map(normalizeHostname).filter(Boolean))];
+    if (!domains.length || domains.length > 20) return jsonResponse({ ok: false, error: "domains must list 1-20 hostnames" }, 400);
+    const forceLimit = await canForceFetchSrv(request, config);
+    if (!forceLimit.allowed) return rateLimitedResponse(forceLimit);
+    await ensureSrvRecordsCache(config, { force: true });
+    const visible = getVisibleSrvRecords(config, auth.user);
+    const results = [];
+    const targets = [];
+    for (const domain of domains) {
+      const record = visible.find((r) => r.hostname === domain);
+      if (!record) { results.push({ domain, ok: false, error: "未找到对应的受管资源" }); continue; }
+      const limit = await canQueueRefresh(request, domain, config);
+      if (!limit.allowed) { results.push({ domain, ok: false, error: "rate limited", retryAfter: limit.retryAfter }); continue; }
+      targets.push({ domain, oldPort: record.port });
+    }
+    if (targets.length) {
+      const queued = await createRefreshJobs(targets, describePortalActor(auth.user), config);
+      if (!queued.ok) return jsonResponse({ ok: false, error: queued.error }, 502);
+      results.push(...queued.results);
+    }
+    for (const result of results) audit.push({ action: "refresh.queue", domain: result.domain, oldValue: String(result.job?.oldPort ?? ""), newValue: result.job?.id || "", outcome: result.ok ? "ok" : result.retryAfter ? "rate_limited" : "error", error: result.error || "" });
+    return jsonResponse({ ok: results.some((result) => result.ok), results: domains.map((domain) => results.find((result) => result.domain === domain)) });
+  }
+  if (url.pathname === "/api/subscription" && request.method === "GET") {
+    if (!hasPortalPermission(auth.user, "subscription")) return forbiddenResponse("subscription");
+    const format = url.searchParams.get("format") || "clash";
+    if (!["clash", "singbox", "v2ray"].includes(format)) return jsonResponse({ ok: false, error: "format must be clash, singbox, or v2ray" }, 400);
+    const { templates, error } = await loadSubscriptionTemplates(config);
+    // 模板写坏时返回错误而不是空订阅，客户端会保留上一次的节点，不会被清空。
+    if (error) return jsonResponse({ ok: false, error: "configuration error", detail: error }, 503);
+    await ensureSrvRecordsCache(config);
+    const nodes = buildSubscriptionNodes(getVisibleSrvRecords(config, auth.user), templates, config);
+    return buildSubscriptionResponse(nodes, format);
+  }
+  if (url.pathname === "/api/export" && request.method === "GET") {
+    if (!hasPortalPermission(auth.user, "read")) return forbiddenResponse("read");
+    const format = url.searchParams.get("format") || "csv";
+    const formats = getResourceExportFormats();
+    if (!formats[format]) return jsonResponse({ ok: false, error: `format must be one of ${Object.keys(formats).join(", ")}` }, 400);
+    await ensureSrvRecordsCache(config);
+    return buildResourceExportResponse(getVisibleSrvRecords(config, auth.user), format, url.searchParams.get("q") || "", config);
+  }
+  const historyMatch = url.pathname.match(/^\/api\/resources\/([^/]+)\/history$/);
+  if (historyMatch && request.method === "GET") {
+    if (!hasPortalPermission(auth.user, "read")) return forbiddenResponse("read");
+    const domain = normalizeHostname(decodeURIComponent(historyMatch[1]));
+    if (!matchesManagedDomain(domain, config.domainList) || !isInUserScope(auth.user, domain)) return jsonResponse({ ok: false, error: "not found" }, 404);
+    return jsonResponse({ ok: true, domain, history: (await loadPortHistory(domain, config)).map((entry) => describePortHistoryEntry(entry)) });
+  }
+  const jobMatch = url.pathname.match(/^\/api\/refresh\/([A-Za-z0-9-]+)(\/ack)?$/);
+  if (jobMatch && request.method === "GET" && !jobMatch[2]) {
+    if (!hasPortalPermission(auth.user, "refresh")) return forbiddenResponse("refresh");
+    const job = await loadRefreshJob(jobMatch[1], config);
+    if (!job || !isInUserScope(auth.user, job.domain)) return jsonResponse({ ok: false, error: "未找到对应的刷新任务" }, 404);
+    return jsonResponse({ ok: true, job: await syncRefreshJob(job, request, config) });
+  }
+  if (jobMatch && request.method === "POST" && jobMatch[2]) {
+    if (!hasPortalPermission(auth.user, "health")) return forbiddenResponse("health");
+    const job = await loadRefreshJob(jobMatch[1], config);
+    if (!job || !isInUserScope(auth.user, job.domain)) return jsonResponse({ ok: false, error: "未找到对应的刷新任务" }, 404);
+    const state = String(payload.state || "");
+    if (!["picked_up", "restarted", "failed"].includes(state)) return jsonResponse({ ok: false, error: "invalid state" }, 400);
+    audit.push({ action: "refresh.ack", domain: job.domain, oldValue: job.state, newValue: state });
+    if (isTerminalRefreshState(job.state)) return jsonResponse({ ok: false, error: "job already finished", job }, 409);
+    advanceRefreshJob(job, state, String(payload.detail || "").slice(0, 200), Number(payload.port) || 0);
+    await saveRefreshJob(job, config);
+    return jsonResponse({ ok: true, job });
+  }
+  if (url.pathname === "/api/agent/report" && request.method === "POST") {
+    if (!hasPortalPermission(auth.user, "health")) return forbiddenResponse("health");
+    const reports = (Array.isArray(payload.reports) ? payload.reports : []).filter((report) => isInUserScope(auth.user, normalizeHostname(report?.domain)));
+    const saved = await saveAgentReports({ ...payload, reports }, describePortalActor(auth.user), config);
+    audit.push({ action: "agent.report", domain: saved.map((report) => report.domain).join(","), newValue: `${saved.length} reports` });
+    return jsonResponse({ ok: true, received: saved.length });
+  }
+  if (url.pathname === "/api/health" && request.method === "POST") {
+    if (!hasPortalPermission(auth.user, "health")) return forbiddenResponse("health");
+    const reports = Array.isArray(payload.reports) ? payload.reports : [payload];
+    const visible = reports.filter((report) => isInUserScope(auth.user, normalizeHostname(report?.hostname || report?.domain)));
+    const saved = await saveHealthReports(visible, describePortalActor(auth.user), config);
+    if (!saved.length) return jsonResponse({ ok: false, error: "no valid health reports" }, 400);
+    audit.push({ action: "health.report", domain: saved.map((report) => report.hostname).join(","), newValue: saved.map((report) => (report.healthy ? "healthy" : "unhealthy")).join(",") });
+    return jsonResponse({ ok: true, saved });
   }
   return jsonResponse({ ok: false, error: "not found" }, 404);
 }
+async function handlePortalLogin(request, config) {
+  // 只在登录时校验一次 PORTAL_PASSWD，之后由签名会话 Cookie 认证，密码不再出现在 URL 里。
+  await loadPortalUsers(config);
+  if (request.method !== "POST") return buildPasswordForm(config);
+  const wantsJson = (request.headers.get("Content-Type") || "").includes("application/json");
+  const limit = await consumeRateLimit(`login:${clientKey(request)}`, config.rateLimits.login, config);
+  if (!limit.allowed) return wantsJson ? rateLimitedResponse(limit) : buildPasswordForm(config, "尝试次数过多，请稍后再试。", 429);
+  // 先计入限流再解析请求体，格式错误的请求同样消耗尝试次数，并以 400 返回而不是抛出异常。
+  const parsed = await readRequestPayload(request).catch(() => undefined);
+  if (parsed === undefined) return wantsJson ? jsonResponse({ ok: false, error: "invalid request body" }, 400) : buildPasswordForm(config, "请求格式错误。", 400);
+  const payload = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  if (config.portalUsersError) return wantsJson ? jsonResponse({ ok: false, error: "configuration error", detail: config.portalUsersError }, 503) : buildPasswordForm(config);
+  const user = await verifyPortalCredentials(String(payload.user || ""), String(payload.pwd || ""), config);
+  if (!user) return wantsJson ? jsonResponse({ ok: false, error: "unauthorized" }, 401) : buildPasswordForm(config, config.portalUsers.length ? "用户名或密码错误。" : "密码错误。", 401);
+  const session = await createPortalSession(config, user);
+  const response = wantsJson ? jsonResponse({ ok: true, user: user.name, role: user.role, expiresAt: new Date(session.payload.exp).toISOString() }) : redirectToPortal(new URL(request.url), {}, "/");
+  response.headers.append("Set-Cookie", session.cookie);
+  return response;
+}
+function handlePortalLogout(config) {
+  const response = redirectToPortal(new URL(`https://${config.portalDomain}/`), {}, "/");
+  response.headers.append("Set-Cookie", `portal_session=; Domain=${config.portalDomain}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`);
+  return response;
+}
 async function readRequestPayload(request) {
   const contentType = request.headers.get("Content-Type") || "";
   if (contentType.includes("application/json")) return request.json();
@@ -307,16 +1373,325 @@ function getPortalNotice(params) {
   if (params.get("saved")) return `${params.get("saved")} 的跳转方式已更新。`;
   if (params.get("refreshQueued")) return `${params.get("refreshQueued")} 的端口刷新请求已提交。页面会自动检查新端口。`;
   if (params.get("refreshError")) return params.get("refreshError");
+  if (params.get("redirectError")) return params.get("redirectError");
   return "";
 }
-function redirectToPortal(url, pwd, params = {}) {
-  const dest = new URL(url.origin + url.pathname);
-  dest.searchParams.set("pwd", pwd);
+function redirectToPortal(url, params = {}, pathname = url.pathname) {
+  const dest = new URL(url.origin + pathname);
   Object.entries(params).forEach(([key, value]) => {
     if (value) dest.searchParams.set(key, value);
   });
   return new Response(null, { status: 303, headers: { Location: dest.toString(), "Cache-Control": "no-store" } });
 }
+
+async function authenticatePortalRequest(request, config, credentials = {}) {
+  // 认证顺序：会话 Cookie → 表单/JSON 请求体密码 → 兼容开关打开时的 ?pwd= 查询参数。
+  await loadPortalUsers(config);
+  const session = await readPortalSession(request, config);
+  const sessionUser = session ? findPortalUser(session.u || "", config) : null;
+  if (sessionUser) return withSrvBackendLimits({ ok: true, via: "session", session, user: sessionUser }, config);
+  if (credentials.pwd) {
+    const user = await verifyPortalCredentials(credentials.user, credentials.pwd, config);
+    if (user) return withSrvBackendLimits({ ok: true, via: "password", user }, config);
+  }
+  const params = new URL(request.url).searchParams;
+  if (config.legacyPwdQuery && params.get("pwd")) {
+    const user = await verifyPortalCredentials(params.get("user") || "", params.get("pwd"), config);
+    if (user) return withSrvBackendLimits({ ok: true, via: "query", user }, config);
+  }
+  return { ok: false };
+}
+function withSrvBackendLimits(auth, config) {
+  // DoH 后端没有 Cloudflare 写权限，端口刷新要写 TXT 队列，因此收回 refresh 权限；跳转状态、健康和 agent 上报只写 KV，照常可用。
+  if (config.srvBackend === "doh") auth.user = { ...auth.user, refreshDisabled: true };
+  return auth;
+}
+async function authenticateApiRequest(request, config, credentials = {}) {
+  // 自动化脚本用 Authorization: Bearer 令牌；带了 Bearer 头就只按令牌认证，不再回退到密码。
+  const header = request.headers.get("Authorization") || "";
+  // 订阅客户端大多不能自定义请求头，订阅地址额外允许把令牌放在 ?token= 里。
+  if (!/^Bearer\s+/i.test(header) && credentials.token) {
+    const token = await verifyApiToken(credentials.token, config);
+    return token ? withSrvBackendLimits({ ok: true, via: "token", user: token }, config) : { ok: false };
+  }
+  if (!/^Bearer\s+/i.test(header)) return authenticatePortalRequest(request, config, credentials);
+  const token = await verifyApiToken(header.replace(/^Bearer\s+/i, "").trim(), config);
+  return token ? withSrvBackendLimits({ ok: true, via: "token", user: token }, config) : { ok: false };
+}
+async function withPortalSession(response, auth, config) {
+  // 用密码完成认证的页面请求顺带签发会话，后续轮询和表单不再需要携带密码。
+  if (auth.via === "session") return response;
+  const session = await createPortalSession(config, auth.user);
+  response.headers.append("Set-Cookie", session.cookie);
+  return response;
+}
+async function createPortalSession(config, user) {
+  const now = Date.now();
+  const payload = { v: 1, u: user.name, iat: now, exp: now + config.sessionTtl * 1000 };
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const signature = base64UrlEncode(await hmacSha256(config.sessionSecret, body));
+  return { payload, cookie: `portal_session=${body}.${signature}; Domain=${config.portalDomain}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${config.sessionTtl}` };
+}
+
+async function loadPortalUsers(config) {
+  // 账号来源：PORTAL_USERS secret 优先，其次 PORTAL_KV 的 portal-users 键；都为空时退回共享密码（视为 admin）。
+  // 配置了账号但解析失败或没有一个有效账号时失败关闭：拒绝全部登录，绝不退回共享密码。
+  if (config.portalUsers) return config.portalUsers;
+  let raw = null;
+  if (config.portalUsersJson) {
+    try { raw = JSON.parse(config.portalUsersJson); } catch (_) { raw = null; }
+  } else raw = await readStoreJson(config, "portal-users", []);
+  config.portalUsers = normalizePortalUsers(raw);
+  const configured = Array.isArray(raw) ? raw.length : raw && typeof raw === "object" ? Object.keys(raw).length : 0;
+  if (!raw || typeof raw !== "object") config.portalUsersError = "PORTAL_USERS 不是有效的 JSON 数组或对象，已拒绝全部登录。";
+  else if (configured && !config.portalUsers.length) config.portalUsersError = "PORTAL_USERS 中没有有效账号（需要 name 和 password 或 passwordSha256），已拒绝全部登录。";
+  return config.portalUsers;
+}
+function normalizePortalUsers(raw) {
+  const list = Array.isArray(raw) ? raw : Object.entries(raw || {}).map(([name, user]) => ({ ...user, name }));
+  return list.map((user) => ({
+    name: String(user?.name || "").trim().toLowerCase(),
+    role: ["viewer", "operator", "admin"].includes(user?.role) ? user.role : "viewer",
+    password: String(user?.password || ""),
+    passwordSha256: String(user?.passwordSha256 || "").toLowerCase(),
+    scopes: (Array.isArray(user?.scopes) ? user.scopes : parseCsv(user?.scopes)).map(normalizeHostname).filter(Boolean),
+  })).filter((user) => user.name && (user.password || user.passwordSha256));
+}
+function findPortalUser(name, config) {
+  if (config.portalUsersError) return null;
+  if (!config.portalUsers.length) return name ? null : { name: "", role: "admin", scopes: [] };
+  const user = config.portalUsers.find((item) => item.name === String(name || "").trim().toLowerCase());
+  return user ? { name: user.name, role: user.role, scopes: user.scopes } : null;
+}
+async function verifyPortalCredentials(name, pwd, config) {
+  await loadPortalUsers(config);
+  if (!pwd || config.portalUsersError) return null;
+  if (!config.portalUsers.length) return safeEqual(pwd, config.portalPasswd) ? { name: "", role: "admin", scopes: [] } : null;
+  const user = config.portalUsers.find((item) => item.name === String(name || "").trim().toLowerCase());
+  if (!user) return null;
+  const ok = user.passwordSha256 ? safeEqual(await sha256Hex(pwd), user.passwordSha256) : safeEqual(pwd, user.password);
+  return ok ? { name: user.name, role: user.role, scopes: user.scopes } : null;
+}
+function isInUserScope(user, hostname) {
+  // scopes 复用 DOMAINS 的通配符语法；未配置 scopes 的用户可见全部受管资源。
+  if (!user) return false;
+  if (!user.scopes?.length) return true;
+  return user.scopes.some((pattern) => wildcardToRegex(pattern).test(hostname));
+}
+async function resolveInfoPageUser(request, config) {
+  // 共享密码模式下非 Web 信息页保持公开；多用户模式下需要门户会话（Cookie 作用于 PORTAL_DOMAIN 及其子域名）。
+  await loadPortalUsers(config);
+  if (config.portalUsersError) return null;
+  if (!config.portalUsers.length) return { name: "", role: "admin", scopes: [] };
+  const auth = await authenticatePortalRequest(request, config);
+  return auth.ok ? auth.user : null;
+}
+async function loadApiTokens(config) {
+  // 令牌来源：PORTAL_API_TOKENS secret（只读）+ 管理页创建并存入存储层的 api-tokens；两处都只保存 SHA-256 哈希。
+  let fromSecret = [];
+  if (config.apiTokensJson) {
+    try { fromSecret = JSON.parse(config.apiTokensJson); } catch (_) { fromSecret = []; }
+  }
+  const fromStore = await readStoreJson(config, "api-tokens", []);
+  return [
+    ...normalizeApiTokens(fromSecret, "secret"),
+    ...normalizeApiTokens(fromStore, getStoreKind(config)),
+  ];
+}
+function normalizeApiTokens(raw, source) {
+  return (Array.isArray(raw) ? raw : []).map((token) => ({
+    id: String(token?.id || token?.name || ""),
+    name: String(token?.name || "").trim(),
+    sha256: String(token?.sha256 || "").toLowerCase(),
+    operations: (Array.isArray(token?.operations) ? token.operations : parseCsv(token?.operations)).filter((op) => ["read", "subscription", "refresh", "health", "metrics"].includes(op)),
+    scopes: (Array.isArray(token?.scopes) ? token.scopes : parseCsv(token?.scopes)).map(normalizeHostname).filter(Boolean),
+    expiresAt: Number(token?.expiresAt) || Date.parse(token?.expiresAt || "") || 0,
+    createdAt: Number(token?.createdAt) || 0,
+    createdBy: String(token?.createdBy || ""),
+    source,
+  })).filter((token) => token.name && /^[0-9a-f]{64}$/.test(token.sha256));
+}
+async function verifyApiToken(value, config) {
+  if (!value) return null;
+  const hash = await sha256Hex(value);
+  const token = (await loadApiTokens(config)).find((item) => safeEqual(item.sha256, hash));
+  if (!token || (token.expiresAt && token.expiresAt <= Date.now())) return null;
+  return { kind: "token", name: token.name, role: "", permissions: token.operations, scopes: token.scopes };
+}
+async function handleTokenAdmin(request, config) {
+  // 令牌管理页：仅 admin 会话可用；新令牌明文只在创建后的响应里显示一次。
+  const auth = await authenticatePortalRequest(request, config);
+  if (!auth.ok) return buildPasswordForm(config);
+  if (!hasPortalPermission(auth.user, "redirect")) {
+    if (request.method === "POST") await recordAuditEntries(request, auth.user, [{ action: "token.change", outcome: "denied", error: "missing permission admin" }], config);
+    return forbiddenResponse("admin", false);
+  }
+  const url = new URL(request.url);
+  let created = null;
+  if (request.method === "POST") {
+    const form = await request.formData();
+    const stored = await readStoreJson(config, "api-tokens", []);
+    if (form.get("action") === "revoke") {
+      const id = String(form.get("id") || "");
+      const revoked = stored.find((token) => token.id === id);
+      await writeStoreJson(config, "api-tokens", stored.filter((token) => token.id !== id));
+      await recordAuditEntries(request, auth.user, [{ action: "token.revoke", oldValue: revoked ? revoked.name : id, outcome: revoked ? "ok" : "not_found" }], config);
+      return redirectToPortal(url, { revoked: id });
+    }
+    const name = String(form.get("name") || "").trim();
+    const operations = form.getAll("operations").map(String).filter((op) => ["read", "subscription", "refresh", "health", "metrics"].includes(op));
+    if (!name || !operations.length) {
+      await recordAuditEntries(request, auth.user, [{ action: "token.create", newValue: name, outcome: "error", error: "name and operations are required" }], config);
+      return buildTokenAdminHTML(await loadApiTokens(config), config, null, "名称和至少一个操作是必填项。");
+    }
+    const expiresDays = parsePositiveInt(form.get("expiresDays"), 0);
+    const secret = `srvp_${base64UrlEncode(crypto.getRandomValues(new Uint8Array(24)))}`;
+    const token = { id: crypto.randomUUID(), name, sha256: await sha256Hex(secret), operations, scopes: parseCsv(form.get("scopes")), expiresAt: expiresDays ? Date.now() + expiresDays * 86400000 : 0, createdAt: Date.now(), createdBy: describePortalActor(auth.user) };
+    await writeStoreJson(config, "api-tokens", [...stored, token]);
+    await recordAuditEntries(request, auth.user, [{ action: "token.create", newValue: `${name} (${operations.join(",")}${token.scopes.length ? `; ${token.scopes.join(",")}` : ""})`, outcome: "ok" }], config);
+    created = { name, secret };
+  }
+  const notice = url.searchParams.get("revoked") ? "令牌已吊销。" : "";
+  return buildTokenAdminHTML(await loadApiTokens(config), config, created, notice);
+}
+async function handleAuditAdmin(request, config) {
+  // 审计日志页：仅 admin 会话可用；筛选条件同时作用于页面和 JSON Lines 导出。
+  const auth = await authenticatePortalRequest(request, config);
+  if (!auth.ok) return buildPasswordForm(config);
+  if (!hasPortalPermission(auth.user, "redirect")) return forbiddenResponse("admin", false);
+  const url = new URL(request.url);
+  const filters = Object.fromEntries(["action", "domain", "identity", "outcome"].map((key) => [key, String(url.searchParams.get(key) || "").trim()]));
+  const entries = filterAuditLog(await loadAuditLog(config), filters);
+  if (url.searchParams.get("format") === "jsonl") {
+    return new Response(entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""), { headers: { "Content-Type": "application/x-ndjson; charset=UTF-8", "Content-Disposition": 'attachment; filename="audit-log.jsonl"', "Cache-Control": "no-store" } });
+  }
+  return buildAuditAdminHTML(entries, filters, config);
+}
+async function loadAuditLog(config) {
+  // 每条审计一个 audit:<倒序时间> 键，列举即是新在前；条目内容放在 metadata 里，整页只需几次 list，不逐键 get。
+  const keys = await listStoreEntries(config, "audit:", config.auditLogLimit);
+  return keys.map((key) => key.metadata).filter((entry) => entry && typeof entry === "object");
+}
+async function pruneAuditLog(config) {
+  // 写入只追加不读旧值，超过 AUDIT_LOG_MAX_ENTRIES 的旧条目由定时任务删除；每轮最多删 300 个，留出单次调用的 KV 操作余量，积压的下一轮继续删。
+  const keys = await listStoreEntries(config, "audit:", config.auditLogLimit + 300);
+  for (const key of keys.slice(config.auditLogLimit)) await deleteStoreKey(config, key.name);
+}
+function fitAuditMetadata(entry) {
+  // KV metadata 序列化后不能超过 1024 字节；超长时逐级截短自由文本字段，完整内容仍保存在键值里。
+  const encoder = new TextEncoder();
+  for (const max of [200, 80, 24]) {
+    const fitted = { ...entry };
+    for (const field of ["domain", "oldValue", "newValue", "error", "identity", "clientKey"]) {
+      if (fitted[field].length > max) fitted[field] = `${fitted[field].slice(0, max)}…`;
+    }
+    if (encoder.encode(JSON.stringify(fitted)).length <= 1000) return fitted;
+  }
+  return { id: entry.id, at: entry.at, action: entry.action.slice(0, 40), domain: "", oldValue: "", newValue: "", clientKey: "", identity: "", outcome: entry.outcome, error: "" };
+}
+async function recordAuditEntries(request, user, entries, config) {
+  // 未认证的请求不记录，避免被刷掉真实操作。每条单独写一个键，并发请求之间不会互相覆盖。
+  if (!entries.length) return;
+  const at = Date.now();
+  if (!globalThis.auditLogSequence) globalThis.auditLogSequence = 0;
+  const fresh = entries.map((entry) => ({
+    id: crypto.randomUUID(),
+    at,
+    action: entry.action,
+    domain: entry.domain || "",
+    oldValue: String(entry.oldValue ?? ""),
+    newValue: String(entry.newValue ?? ""),
+    clientKey: clientKey(request),
+    identity: user ? describePortalActor(user) : "",
+    outcome: entry.outcome || "ok",
+    error: String(entry.error || "").slice(0, 200),
+  }));
+  // 键名里的时间取反，升序列举就是新在前；同一毫秒内用 isolate 内的序号区分，批内第一条排在最前。
+  for (const entry of fresh.slice().reverse()) {
+    globalThis.auditLogSequence = (globalThis.auditLogSequence + 1) % 1000;
+    await writeStoreJson(config, `audit:${String(Number.MAX_SAFE_INTEGER - (at * 1000 + globalThis.auditLogSequence)).padStart(16, "0")}:${entry.id}`, entry, 0, fitAuditMetadata(entry));
+  }
+}
+async function recordApiAudit(request, url, payload, user, response, entries, config) {
+  // 路由只登记自己知道旧值/新值的操作；被拒绝或中途失败的请求没有登记时，按路径和响应状态补一条。
+  const outcome = response.status === 401 || response.status === 403 ? "denied" : response.status === 404 ? "not_found" : response.status === 429 ? "rate_limited" : response.ok ? "ok" : "error";
+  // agent 和探测脚本每轮都会上报，成功的例行上报不进审计日志，免得把人工操作挤出上限；被拒绝或出错的仍然记录。
+  if (outcome === "ok" && ["/api/agent/report", "/api/health"].includes(url.pathname)) return;
+  const error = response.ok ? "" : String((await response.clone().json().catch(() => ({}))).error || "");
+  const actions = { "/api/refresh": "refresh.queue", "/api/refresh/bulk": "refresh.queue", "/api/agent/report": "agent.report", "/api/health": "health.report" };
+  const fallback = { action: actions[url.pathname] || (url.pathname.endsWith("/ack") ? "refresh.ack" : `POST ${url.pathname}`), domain: String(payload.domain || (Array.isArray(payload.domains) ? payload.domains.join(",") : payload.domains || "")) };
+  await recordAuditEntries(request, user, (entries.length ? entries : [fallback]).map((entry) => ({ outcome, error, ...entry })), config);
+}
+function filterAuditLog(entries, filters) {
+  const domain = filters.domain.toLowerCase();
+  const identity = filters.identity.toLowerCase();
+  return entries.filter((entry) => (!filters.action || entry.action === filters.action) && (!filters.outcome || entry.outcome === filters.outcome) && (!domain || entry.domain.toLowerCase().includes(domain)) && (!identity || entry.identity.toLowerCase().includes(identity)));
+}
+function hasPortalPermission(user, permission) {
+  // 角色逐级包含：viewer 只读/复制，operator 可刷新端口，admin 可修改跳转状态；API 令牌只看显式授权的操作。
+  if (user?.refreshDisabled && permission === "refresh") return false;
+  if (Array.isArray(user?.permissions)) return user.permissions.includes(permission);
+  const roleRanks = { viewer: 1, operator: 2, admin: 3 };
+  const permissionRanks = { read: 1, subscription: 1, refresh: 2, health: 2, redirect: 3, metrics: 3 };
+  return Boolean(user) && (roleRanks[user.role] || 0) >= (permissionRanks[permission] || Infinity);
+}
+function describePortalActor(user) {
+  if (user?.kind === "token") return `token:${user.name}`;
+  return user?.name ? `user:${user.name}` : "shared-password";
+}
+function forbiddenResponse(permission, asJson = true) {
+  if (asJson) return jsonResponse({ ok: false, error: "forbidden", missingPermission: permission }, 403);
+  return textResponse(`Forbidden: missing permission "${permission}".`, 403);
+}
+async function readPortalSession(request, config) {
+  const value = getCookie(request, "portal_session");
+  const [body, signature] = value.split(".");
+  if (!body || !signature) return null;
+  if (!safeEqual(signature, base64UrlEncode(await hmacSha256(config.sessionSecret, body)))) return null;
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+    return payload && payload.exp > Date.now() ? payload : null;
+  } catch (_) {
+    return null;
+  }
+}
+function getCookie(request, name) {
+  for (const part of (request.headers.get("Cookie") || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) return part.slice(index + 1).trim();
+  }
+  return "";
+}
+async function sha256Hex(value) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value)));
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+async function hmacSha256(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(message)));
+}
+function base64UrlEncode(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function base64UrlDecode(value) {
+  const binary = atob(String(value).replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(value.length / 4) * 4, "="));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+function safeEqual(a, b) {
+  // 定长比较，避免按字符提前返回泄露密码或签名的前缀信息。
+  const left = String(a);
+  const right = String(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < Math.max(left.length, right.length); i += 1) diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+  return diff === 0;
+}
+function getVisibleSrvRecords(config, user) {
+  // 按用户可见范围过滤；范围外的资源与不存在的资源表现一致，避免泄露其存在。
+  return getManagedSrvRecords(config).filter((record) => isInUserScope(user, record.hostname));
+}
 function getManagedSrvRecords(config) { return (globalThis.srvRecordsCache?.data || []).filter((r) => matchesManagedDomain(r.hostname, config.domainList)); }
 function matchesManagedDomain(hostname, domainList) { return domainList.some((pattern) => wildcardToRegex(pattern).test(hostname)); }
 function buildResources(records, config) {
@@ -332,7 +1707,10 @@ function buildResourceBase(record, config) {
   const redirect = web.isWeb ? web : vlessFallback;
   const target = resolvePrefixedTarget(record.hostname, redirect.canRedirect ? redirect.target : record.target, config);
   const link = redirect.canRedirect ? `${redirect.scheme}://${target}:${record.port}` : getLocalSchemeLink(record.service, record.protocol, target, record.port);
-  return { domain: record.hostname, service: record.service, protocol: record.protocol, target, port: record.port, link, isWeb: web.isWeb, isVlessFallback: vlessFallback.canRedirect, updatedAt: record.updatedAt, updatedIso: record.updatedAt ? new Date(record.updatedAt).toISOString() : "", updatedLabel: formatRecordTime(record.updatedAt), redirectStatus: globalThis.customRedirectModes[record.hostname] || config.defaultRedirectStatus, raw: config.debugMode ? record.raw : undefined };
+  const redirectStatus = resolveRedirectStatus(record.hostname, config);
+  const health = resolveHealthState(record.hostname, record.target, config, record.port);
+  const agent = resolveAgentReport(record, config);
+  return { domain: record.hostname, zone: record.zone || "", service: record.service, protocol: record.protocol, target, port: record.port, link, isWeb: web.isWeb, isVlessFallback: vlessFallback.canRedirect, updatedAt: record.updatedAt, updatedIso: record.updatedAt ? new Date(record.updatedAt).toISOString() : "", updatedLabel: formatRecordTime(record.updatedAt), redirectStatus: redirectStatus.status, redirectStatusSource: redirectStatus.source, deliveryMode: redirectStatus.proxy ? "proxy" : "redirect", health: health.state, healthReason: health.reason, healthUpdatedAt: health.updatedAt, agent, raw: config.debugMode ? record.raw : undefined };
 }
 function addAccessAuthFields(resource, fallbackAuthPort) {
   const authPort = isUdpProtocol(resource.protocol) ? fallbackAuthPort : resource.port;
@@ -363,6 +1741,182 @@ function resolvePrefixedTarget(hostname, target, config) {
   if (!targetPrefix || targetPrefix.includes(".") || targetPrefix === subdomain) return normalizedTarget;
   return `${subdomain}.${normalizedTarget}`;
 }
+async function loadSubscriptionTemplates(config) {
+  // 客户端参数来源：SUBSCRIPTION_TEMPLATES secret 优先，其次 PORTAL_KV 的 subscription-templates 键；UUID 和密码不应写进 [vars]。
+  // 返回 { templates, error }：内容不是 JSON 对象时给出 error，不再静默当作空模板。
+  let raw = {};
+  const source = config.subscriptionTemplatesJson ? "SUBSCRIPTION_TEMPLATES" : "PORTAL_KV 的 subscription-templates 键";
+  if (config.subscriptionTemplatesJson) {
+    try { raw = JSON.parse(config.subscriptionTemplatesJson); } catch (_) { raw = null; }
+  } else raw = await readStoreJson(config, "subscription-templates", {}).catch(() => null);
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { templates: {}, error: `${source} 不是有效的 JSON 对象` };
+  return { templates: raw, error: "" };
+}
+function buildSubscriptionNodes(records, templates, config) {
+  // 只导出 _vless_fb/_vless（TCP）和 _hy2（UDP）；模板按服务名取默认值，再用主机名条目覆盖。缺 uuid/password 的资源跳过，避免生成连不上的节点。
+  const nodes = [];
+  const names = new Map();
+  for (const record of records) {
+    const type = ["_vless_fb", "_vless"].includes(record.service) && !isUdpProtocol(record.protocol) ? "vless" : record.service === "_hy2" && isUdpProtocol(record.protocol) ? "hysteria2" : "";
+    if (!type || resolveHealthState(record.hostname, record.target, config, record.port).state === "unhealthy") continue;
+    const server = record.service === "_vless_fb" ? resolveVlessFallbackTarget(record.hostname, record.target, config) : resolvePrefixedTarget(record.hostname, record.target, config);
+    const fill = (value) => String(value ?? "").replace(/\{host\}/g, record.hostname).replace(/\{server\}/g, server).replace(/\{port\}/g, String(record.port));
+    const template = Object.fromEntries(Object.entries({ ...(templates[record.service] || {}), ...(templates[record.hostname] || {}) }).map(([key, value]) => [key, typeof value === "string" ? fill(value) : value]));
+    if (type === "vless" ? !template.uuid : !template.password) continue;
+    const baseName = template.name || record.hostname;
+    const count = (names.get(baseName) || 0) + 1;
+    names.set(baseName, count);
+    nodes.push({
+      name: count > 1 ? `${baseName}-${count}` : baseName,
+      type,
+      server,
+      port: record.port,
+      uuid: String(template.uuid || ""),
+      password: String(template.password || ""),
+      sni: String(template.sni || server),
+      security: type === "hysteria2" ? "tls" : String(template.security || "tls"),
+      flow: String(template.flow || ""),
+      network: String(template.network || "tcp"),
+      path: String(template.path || ""),
+      wsHost: String(template.host || ""),
+      fingerprint: String(template.fingerprint || ""),
+      publicKey: String(template.publicKey || ""),
+      shortId: String(template.shortId || ""),
+      alpn: Array.isArray(template.alpn) ? template.alpn.map(String) : [],
+      insecure: template.insecure === true,
+      obfs: String(template.obfs || ""),
+      obfsPassword: String(template.obfsPassword || ""),
+    });
+  }
+  return nodes;
+}
+function buildSubscriptionResponse(nodes, format) {
+  const headers = { "Cache-Control": "no-store", "Profile-Update-Interval": "1" };
+  if (format === "singbox") return new Response(JSON.stringify(buildSingBoxConfig(nodes), null, 2), { headers: { ...headers, "Content-Type": "application/json; charset=UTF-8", "Content-Disposition": 'inline; filename="natmap-sing-box.json"' } });
+  if (format === "v2ray") return new Response(encodeBase64Text(nodes.map(buildShareLink).join("\n")), { headers: { ...headers, "Content-Type": "text/plain; charset=UTF-8" } });
+  return new Response(buildClashConfig(nodes), { headers: { ...headers, "Content-Type": "text/yaml; charset=UTF-8", "Content-Disposition": 'inline; filename="natmap-clash.yaml"' } });
+}
+function buildClashConfig(nodes) {
+  // Clash/Mihomo YAML；字符串一律用 JSON 双引号写出，它同时是合法的 YAML 标量，免去转义规则。
+  const q = (value) => JSON.stringify(String(value));
+  const proxies = nodes.map((node) => {
+    const lines = [`  - name: ${q(node.name)}`, `    type: ${node.type}`, `    server: ${q(node.server)}`, `    port: ${node.port}`];
+    if (node.type === "hysteria2") {
+      lines.push(`    password: ${q(node.password)}`, `    sni: ${q(node.sni)}`);
+      if (node.obfs) lines.push(`    obfs: ${q(node.obfs)}`, `    obfs-password: ${q(node.obfsPassword)}`);
+    } else {
+      lines.push(`    uuid: ${q(node.uuid)}`, `    network: ${q(node.network)}`, "    udp: true");
+      if (node.security !== "none") lines.push("    tls: true", `    servername: ${q(node.sni)}`);
+      if (node.flow) lines.push(`    flow: ${q(node.flow)}`);
+      if (node.fingerprint) lines.push(`    client-fingerprint: ${q(node.fingerprint)}`);
+      if (node.security === "reality") lines.push("    reality-opts:", `      public-key: ${q(node.publicKey)}`, `      short-id: ${q(node.shortId)}`);
+      if (node.network === "ws") lines.push("    ws-opts:", `      path: ${q(node.path || "/")}`, ...(node.wsHost ? ["      headers:", `        Host: ${q(node.wsHost)}`] : []));
+    }
+    if (node.alpn.length) lines.push(`    alpn: [${node.alpn.map(q).join(", ")}]`);
+    if (node.insecure) lines.push("    skip-cert-verify: true");
+    return lines.join("\n");
+  });
+  return [`proxies:${nodes.length ? "" : " []"}`, ...proxies, "proxy-groups:", "  - name: \"PROXY\"", "    type: select", `    proxies: [${[...nodes.map((node) => q(node.name)), q("DIRECT")].join(", ")}]`, "rules:", "  - MATCH,PROXY", ""].join("\n");
+}
+function buildSingBoxConfig(nodes) {
+  const outbounds = nodes.map((node) => {
+    const tls = { enabled: node.security !== "none", server_name: node.sni, ...(node.insecure ? { insecure: true } : {}), ...(node.alpn.length ? { alpn: node.alpn } : {}) };
+    if (node.fingerprint) tls.utls = { enabled: true, fingerprint: node.fingerprint };
+    if (node.security === "reality") tls.reality = { enabled: true, public_key: node.publicKey, short_id: node.shortId };
+    if (node.type === "hysteria2") return { type: "hysteria2", tag: node.name, server: node.server, server_port: node.port, password: node.password, ...(node.obfs ? { obfs: { type: node.obfs, password: node.obfsPassword } } : {}), tls };
+    return { type: "vless", tag: node.name, server: node.server, server_port: node.port, uuid: node.uuid, ...(node.flow ? { flow: node.flow } : {}), tls, ...(node.network === "ws" ? { transport: { type: "ws", path: node.path || "/", ...(node.wsHost ? { headers: { Host: node.wsHost } } : {}) } } : {}) };
+  });
+  return { outbounds: [{ type: "selector", tag: "proxy", outbounds: [...nodes.map((node) => node.name), "direct"] }, ...outbounds, { type: "direct", tag: "direct" }], route: { final: "proxy" } };
+}
+function buildShareLink(node) {
+  // v2rayN/NekoBox 风格分享链接，参数名与各客户端的 vless:// 和 hysteria2:// 约定一致。
+  const params = new URLSearchParams();
+  const set = (key, value) => { if (value) params.set(key, value); };
+  if (node.type === "hysteria2") {
+    set("sni", node.sni);
+    set("obfs", node.obfs);
+    set("obfs-password", node.obfsPassword);
+    if (node.insecure) params.set("insecure", "1");
+    return `hysteria2://${encodeURIComponent(node.password)}@${node.server}:${node.port}?${params}#${encodeURIComponent(node.name)}`;
+  }
+  params.set("encryption", "none");
+  params.set("security", node.security);
+  params.set("type", node.network);
+  set("sni", node.security !== "none" ? node.sni : "");
+  set("flow", node.flow);
+  set("fp", node.fingerprint);
+  set("pbk", node.publicKey);
+  set("sid", node.shortId);
+  set("path", node.path);
+  set("host", node.wsHost);
+  set("alpn", node.alpn.join(","));
+  if (node.insecure) params.set("allowInsecure", "1");
+  return `vless://${encodeURIComponent(node.uuid)}@${node.server}:${node.port}?${params}#${encodeURIComponent(node.name)}`;
+}
+function encodeBase64Text(text) {
+  let binary = "";
+  new TextEncoder().encode(text).forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+function getResourceExportFormats() {
+  return {
+    ssh_config: { label: "OpenSSH config", fileName: "natmap-ssh_config", contentType: "text/plain" },
+    winscp: { label: "WinSCP 站点", fileName: "natmap-winscp.ini", contentType: "text/plain" },
+    filezilla: { label: "FileZilla 站点", fileName: "natmap-filezilla.xml", contentType: "application/xml" },
+    csv: { label: "CSV", fileName: "natmap-resources.csv", contentType: "text/csv" },
+    jsonl: { label: "JSON Lines", fileName: "natmap-resources.jsonl", contentType: "application/x-ndjson" },
+    dnsmasq: { label: "dnsmasq srv-host", fileName: "natmap-dnsmasq.conf", contentType: "text/plain" },
+  };
+}
+function buildResourceExportResponse(records, format, query, config) {
+  // buildResources 与 records 一一对应，dnsmasq 需要原始 SRV 目标和 priority/weight，其余格式用门户展示的资源字段。
+  const q = query.trim().toLowerCase();
+  const resources = buildResources(records, config);
+  const pairs = records.map((record, index) => ({ record, resource: resources[index] })).filter(({ resource }) => !q || buildResourceSearchText(resource).includes(q));
+  const meta = getResourceExportFormats()[format];
+  const builders = { ssh_config: buildSshConfigExport, winscp: buildWinScpExport, filezilla: buildFileZillaExport, csv: buildCsvExport, jsonl: buildJsonLinesExport, dnsmasq: buildDnsmasqExport };
+  return new Response(builders[format](pairs), { headers: { "Content-Type": `${meta.contentType}; charset=UTF-8`, "Content-Disposition": `attachment; filename="${meta.fileName}"`, "Cache-Control": "no-store" } });
+}
+function uniqueExportResources(pairs, predicate) {
+  // 多目标资源只导出优先的一条；同一域名在 ssh_config 和站点列表里重复没有意义。
+  const seen = new Set();
+  return pairs.map(({ resource }) => resource).filter((r) => predicate(r) && !seen.has(r.domain) && seen.add(r.domain));
+}
+function buildSshConfigExport(pairs) {
+  const blocks = uniqueExportResources(pairs, (r) => r.service.includes("_ssh")).map((r) => `Host ${r.domain}\n  HostName ${r.target}\n  Port ${r.port}\n`);
+  return [`# NATMap SRV Portal export ${new Date().toISOString()}`, "", ...blocks].join("\n");
+}
+function buildWinScpExport(pairs) {
+  // WinSCP.ini 会话段；FSProtocol 2 为 SFTP，5 为 FTP。会话名按 WinSCP 的规则做百分号编码。
+  const sections = uniqueExportResources(pairs, (r) => r.service.includes("_sftp") || r.service.includes("_ftp")).map((r) => [`[Sessions\\${encodeURIComponent(r.domain)}]`, `HostName=${r.target}`, `PortNumber=${r.port}`, `FSProtocol=${r.service.includes("_sftp") ? 2 : 5}`, ""].join("\r\n"));
+  return sections.join("\r\n");
+}
+function buildFileZillaExport(pairs) {
+  // FileZilla sitemanager.xml，Protocol 0 为 FTP，1 为 SFTP；可在站点管理器里直接导入。
+  const servers = uniqueExportResources(pairs, (r) => r.service.includes("_sftp") || r.service.includes("_ftp")).map((r) => `    <Server>\n      <Host>${escapeHtml(r.target)}</Host>\n      <Port>${r.port}</Port>\n      <Protocol>${r.service.includes("_sftp") ? 1 : 0}</Protocol>\n      <Type>0</Type>\n      <Logontype>2</Logontype>\n      <Name>${escapeHtml(r.domain)}</Name>\n    </Server>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<FileZilla3>\n  <Servers>\n${servers.join("\n")}${servers.length ? "\n" : ""}  </Servers>\n</FileZilla3>\n`;
+}
+function buildCsvExport(pairs) {
+  // 列取所有资源里出现过的标量字段；agent 等对象字段写成 JSON 字符串，raw 只在调试时存在，不导出。
+  const rows = pairs.map(({ resource }) => resource);
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))].filter((key) => key !== "raw" && key !== "rdpFileUrl");
+  const cell = (value) => {
+    const text = value === undefined || value === null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map((r) => columns.map((key) => cell(r[key])).join(","))].join("\r\n") + "\r\n";
+}
+function buildJsonLinesExport(pairs) {
+  return pairs.map(({ resource }) => JSON.stringify({ ...resource, raw: undefined, rdpFileUrl: undefined })).join("\n") + (pairs.length ? "\n" : "");
+}
+function buildDnsmasqExport(pairs) {
+  // srv-host=<_service._proto.name>,<target>,<port>,<priority>,<weight>，可供内网 dnsmasq 在外网 DNS 不可用时兜底。
+  return pairs.map(({ record }) => `srv-host=${record.service}.${record.protocol}.${record.hostname},${record.target},${record.port},${record.priority},${record.weight}`).join("\n") + (pairs.length ? "\n" : "");
+}
+function buildExportMenu() {
+  const links = Object.entries(getResourceExportFormats()).map(([format, meta]) => `<a class="block rounded-lg px-3 py-2 text-sm text-zinc-200 transition hover:bg-amber-300/10 hover:text-amber-100" href="/api/export?format=${format}" data-export="${format}" download="${meta.fileName}">${escapeHtml(meta.label)}</a>`).join("");
+  return `<details class="export-menu relative shrink-0"><summary class="flex h-11 cursor-pointer select-none list-none items-center rounded-xl border border-amber-300/25 bg-amber-300/10 px-4 text-sm font-semibold text-amber-100 transition hover:bg-amber-300/20" title="按当前搜索结果导出">导出</summary><div class="absolute right-0 z-10 mt-2 w-48 rounded-xl border border-amber-300/20 bg-zinc-950 p-1 shadow-2xl shadow-black/60 ring-1 ring-white/5">${links}</div></details>`;
+}
 function addRdpDownloadFields(resource) {
   const content = [
     `full address:s:${resource.target}:${resource.port}`,
@@ -384,30 +1938,85 @@ function getPageHead(title, config = {}) {
   return `<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title>${tailwind}</head>`;
 }
 
-function buildPasswordForm(config = {}) {
+function buildPasswordForm(config = {}, error = "", status = 200) {
+  if (config.portalUsersError) {
+    error = `配置错误：${config.portalUsersError}`;
+    status = 503;
+  }
   const debugMsg = config.debugMode ? `<p class="mt-3 text-sm text-amber-200/60">DEBUG: password missing or incorrect.</p>` : "";
-  return htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead("访问受限", config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="grid min-h-screen place-items-center bg-[radial-gradient(circle_at_top,rgba(251,191,36,0.16),transparent_34%)] px-4 py-8"><section class="w-full max-w-sm rounded-2xl border border-amber-300/20 bg-zinc-950/85 p-6 shadow-2xl shadow-black/70 ring-1 ring-amber-100/5 backdrop-blur"><div class="mb-5 inline-flex h-10 min-w-14 items-center justify-center rounded-xl border border-amber-300/25 bg-amber-300/10 px-3 text-sm font-black text-amber-300">SRV</div><h1 class="text-2xl font-bold tracking-tight text-zinc-50">访问受限</h1><form method="POST" class="mt-6 grid gap-3"><input class="h-11 rounded-xl border border-amber-300/20 bg-black/35 px-3 text-sm text-zinc-100 outline-none transition placeholder:text-zinc-600 focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10" type="password" name="pwd" placeholder="输入密码" required autocomplete="current-password"><button type="submit" class="h-11 rounded-xl bg-amber-300 px-4 text-sm font-semibold text-zinc-950 transition hover:bg-amber-200 focus:outline-none focus:ring-4 focus:ring-amber-300/20">提交</button></form>${debugMsg}</section></main></body></html>`);
+  const errorMsg = error ? `<p class="mt-3 text-sm font-medium text-amber-200">${escapeHtml(error)}</p>` : "";
+  const userInput = config.portalUsers?.length ? `<input class="h-11 rounded-xl border border-amber-300/20 bg-black/35 px-3 text-sm text-zinc-100 outline-none transition placeholder:text-zinc-600 focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10" type="text" name="user" placeholder="用户名" required autocomplete="username">` : "";
+  return htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead("访问受限", config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="grid min-h-screen place-items-center bg-[radial-gradient(circle_at_top,rgba(251,191,36,0.16),transparent_34%)] px-4 py-8"><section class="w-full max-w-sm rounded-2xl border border-amber-300/20 bg-zinc-950/85 p-6 shadow-2xl shadow-black/70 ring-1 ring-amber-100/5 backdrop-blur"><div class="mb-5 inline-flex h-10 min-w-14 items-center justify-center rounded-xl border border-amber-300/25 bg-amber-300/10 px-3 text-sm font-black text-amber-300">SRV</div><h1 class="text-2xl font-bold tracking-tight text-zinc-50">访问受限</h1><form method="POST" action="/login" class="mt-6 grid gap-3">${userInput}<input class="h-11 rounded-xl border border-amber-300/20 bg-black/35 px-3 text-sm text-zinc-100 outline-none transition placeholder:text-zinc-600 focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10" type="password" name="pwd" placeholder="输入密码" required autocomplete="current-password"><button type="submit" class="h-11 rounded-xl bg-amber-300 px-4 text-sm font-semibold text-zinc-950 transition hover:bg-amber-200 focus:outline-none focus:ring-4 focus:ring-amber-300/20">提交</button></form>${errorMsg}${debugMsg}</section></main></body></html>`, status);
 }
-function buildPortalPageHTML(resources, config, userPwd, notice = "") {
+function buildPortalPageHTML(resources, config, notice = "", user = null) {
   const cache = globalThis.srvRecordsCache || {};
   const warnings = [];
-  if (!config.cfApiToken || !config.cfZoneId) warnings.push("缺少 Cloudflare API 配置，无法自动扫描 SRV。");
+  if (config.srvBackend === "doh") warnings.push(`DoH 模式：SRV 通过 ${new URL(config.dohResolverUrl).hostname} 查询，门户只列出 DOH_SRV_NAMES 中的名字；端口刷新需要写 Cloudflare TXT 队列，不可用，跳转状态、健康和 agent 上报照常保存。`);
+  if (config.cfZoneMapError) warnings.push(config.cfZoneMapError);
   if (cache.lastError) warnings.push(cache.lastError);
-  const rows = resources.map((r) => buildResourceRow(r, userPwd)).join("");
-  const cards = resources.map((r) => buildResourceCard(r, userPwd)).join("");
+  const agentWarning = getAgentSilentWarning(config);
+  if (agentWarning) warnings.push(agentWarning);
+  const rows = resources.map((r) => buildResourceRow(r, user)).join("");
+  const cards = resources.map((r) => buildResourceCard(r, user)).join("");
+  const roleLabels = { viewer: "只读", operator: "操作员", admin: "管理员" };
+  const identity = user?.name ? `${user.name} · ${roleLabels[user.role] || user.role}` : roleLabels[user?.role] || "";
   const debug = config.debugMode ? buildDebugBlock(resources, config) : "";
+  const changesHtml = buildSrvChangesHtml(getVisibleSrvChanges(config, user, 8), config);
   const emptyState = resources.length ? "" : `<section class="rounded-2xl border border-dashed border-amber-300/25 bg-zinc-900/60 px-5 py-10 text-center text-sm text-zinc-400">未找到匹配的 SRV 记录。</section>`;
   const warningHtml = warnings.map((w) => `<section class="rounded-2xl border border-amber-300/25 bg-amber-300/10 px-4 py-3 text-sm text-amber-100">${escapeHtml(w)}</section>`).join("");
   const noticeHtml = notice ? `<section class="rounded-2xl border border-amber-300/30 bg-amber-300/10 px-4 py-3 text-sm font-medium text-amber-100">${escapeHtml(notice)}</section>` : "";
-  return htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead("资源门户", config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="mx-auto flex w-full max-w-7xl flex-col gap-5 bg-[radial-gradient(circle_at_top_left,rgba(251,191,36,0.12),transparent_32%)] px-4 py-5 sm:px-6 lg:px-8"><header class="flex flex-col gap-5 rounded-3xl border border-amber-300/20 bg-zinc-950/80 p-5 shadow-2xl shadow-black/50 ring-1 ring-amber-100/5 backdrop-blur sm:flex-row sm:items-end sm:justify-between"><div class="min-w-0"><p class="text-xs font-semibold uppercase tracking-wider text-amber-300">NATMap SRV Portal</p><h1 class="mt-1 text-2xl font-bold tracking-tight text-zinc-50 sm:text-3xl">资源门户</h1></div><div class="grid grid-cols-3 gap-2 text-center sm:min-w-80"><span class="rounded-2xl border border-amber-300/20 bg-black/30 px-3 py-2"><strong class="block text-lg font-bold text-amber-200">${resources.length}</strong><span class="text-xs text-zinc-500">可用</span></span><span class="rounded-2xl border border-amber-300/20 bg-black/30 px-3 py-2"><strong class="block text-lg font-bold text-amber-200">${cache.duplicateCount || 0}</strong><span class="text-xs text-zinc-500">折叠</span></span><span class="rounded-2xl border border-amber-300/20 bg-black/30 px-3 py-2"><strong class="block text-lg font-bold text-amber-200">${formatCacheTime(cache.fetchedAt)}</strong><span class="text-xs text-zinc-500">更新</span></span></div></header>${noticeHtml}${warningHtml}${emptyState}<section class="rounded-2xl border border-amber-300/15 bg-zinc-950/70 p-4 shadow-lg shadow-black/30 ring-1 ring-white/5"><label class="flex w-full flex-col gap-2 md:max-w-2xl"><span class="text-xs font-semibold text-zinc-500">搜索</span><input id="resourceSearch" class="h-11 rounded-xl border border-amber-300/20 bg-black/35 px-3 text-sm text-zinc-100 outline-none transition placeholder:text-zinc-600 focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10" type="search" placeholder="输入域名、服务、端口或目标" autocomplete="off"></label></section><section class="hidden overflow-hidden rounded-2xl border border-amber-300/15 bg-zinc-950/75 shadow-2xl shadow-black/40 ring-1 ring-white/5 xl:block"><div class="overflow-x-auto"><table class="w-full min-w-[1120px] table-fixed border-collapse"><colgroup><col class="w-[17%]"><col class="w-[10%]"><col class="w-[14%]"><col class="w-[10%]"><col class="w-[12%]"><col class="w-[16%]"><col class="w-[11%]"><col class="w-[10%]"></colgroup><thead class="bg-black/45 text-xs font-semibold uppercase tracking-wide text-zinc-500"><tr><th class="px-4 py-3 text-left">域名</th><th class="px-4 py-3 text-left">服务</th><th class="px-4 py-3 text-left">目标</th><th class="px-4 py-3 text-left">端口</th><th class="px-4 py-3 text-left">记录时间</th><th class="px-4 py-3 text-left">链接</th><th class="px-4 py-3 text-left">跳转</th><th class="px-4 py-3 text-left">刷新</th></tr></thead><tbody class="divide-y divide-amber-300/10 text-sm">${rows}</tbody></table></div></section><section class="grid gap-3 md:grid-cols-2 xl:hidden">${cards}</section>${debug}<script>${getPortalScript()}</script><script>${getRdpScript()}</script></main></body></html>`);
+  return htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead("资源门户", config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="mx-auto flex w-full max-w-7xl flex-col gap-5 bg-[radial-gradient(circle_at_top_left,rgba(251,191,36,0.12),transparent_32%)] px-4 py-5 sm:px-6 lg:px-8"><header class="flex flex-col gap-5 rounded-3xl border border-amber-300/20 bg-zinc-950/80 p-5 shadow-2xl shadow-black/50 ring-1 ring-amber-100/5 backdrop-blur sm:flex-row sm:items-end sm:justify-between"><div class="min-w-0"><p class="text-xs font-semibold uppercase tracking-wider text-amber-300">NATMap SRV Portal</p><h1 class="mt-1 text-2xl font-bold tracking-tight text-zinc-50 sm:text-3xl">资源门户</h1><a class="mt-2 inline-block text-xs font-semibold text-zinc-500 underline decoration-zinc-700 underline-offset-4 transition hover:text-amber-200" href="/logout">${identity ? `${escapeHtml(identity)} · ` : ""}退出登录</a>${hasPortalPermission(user, "redirect") ? `<a class="ml-3 mt-2 inline-block text-xs font-semibold text-zinc-500 underline decoration-zinc-700 underline-offset-4 transition hover:text-amber-200" href="/admin/tokens">API 令牌</a><a class="ml-3 mt-2 inline-block text-xs font-semibold text-zinc-500 underline decoration-zinc-700 underline-offset-4 transition hover:text-amber-200" href="/admin/audit">审计日志</a><a class="ml-3 mt-2 inline-block text-xs font-semibold text-zinc-500 underline decoration-zinc-700 underline-offset-4 transition hover:text-amber-200" href="/admin/usage">访问统计</a>` : ""}</div><div class="grid grid-cols-3 gap-2 text-center sm:min-w-80"><span class="rounded-2xl border border-amber-300/20 bg-black/30 px-3 py-2"><strong class="block text-lg font-bold text-amber-200">${resources.length}</strong><span class="text-xs text-zinc-500">可用</span></span><span class="rounded-2xl border border-amber-300/20 bg-black/30 px-3 py-2"><strong class="block text-lg font-bold text-amber-200">${cache.duplicateCount || 0}</strong><span class="text-xs text-zinc-500">折叠</span></span><span class="rounded-2xl border border-amber-300/20 bg-black/30 px-3 py-2"><strong class="block text-lg font-bold text-amber-200">${formatCacheTime(cache.fetchedAt)}</strong><span class="text-xs text-zinc-500" title="SRV 缓存层与数据年龄；过期数据会在后台刷新">更新 · ${describeCacheTier(cache, config)}</span></span></div></header>${noticeHtml}${warningHtml}${changesHtml}${emptyState}<section class="flex flex-col gap-3 rounded-2xl border border-amber-300/15 bg-zinc-950/70 p-4 shadow-lg shadow-black/30 ring-1 ring-white/5 md:flex-row md:items-end md:justify-between"><label class="flex w-full flex-col gap-2 md:max-w-2xl"><span class="text-xs font-semibold text-zinc-500">搜索</span><input id="resourceSearch" class="h-11 rounded-xl border border-amber-300/20 bg-black/35 px-3 text-sm text-zinc-100 outline-none transition placeholder:text-zinc-600 focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10" type="search" placeholder="输入域名、服务、端口或目标" autocomplete="off"></label>${buildExportMenu()}</section>${buildBulkRefreshBar(user)}<section class="hidden overflow-hidden rounded-2xl border border-amber-300/15 bg-zinc-950/75 shadow-2xl shadow-black/40 ring-1 ring-white/5 xl:block"><div class="overflow-x-auto"><table class="w-full min-w-[1120px] table-fixed border-collapse"><colgroup><col class="w-[17%]"><col class="w-[10%]"><col class="w-[14%]"><col class="w-[10%]"><col class="w-[12%]"><col class="w-[16%]"><col class="w-[11%]"><col class="w-[10%]"></colgroup><thead class="bg-black/45 text-xs font-semibold uppercase tracking-wide text-zinc-500"><tr><th class="px-4 py-3 text-left">域名</th><th class="px-4 py-3 text-left">服务</th><th class="px-4 py-3 text-left">目标</th><th class="px-4 py-3 text-left">端口</th><th class="px-4 py-3 text-left">记录时间</th><th class="px-4 py-3 text-left">链接</th><th class="px-4 py-3 text-left">跳转</th><th class="px-4 py-3 text-left">刷新</th></tr></thead><tbody class="divide-y divide-amber-300/10 text-sm">${rows}</tbody></table></div></section><section class="grid gap-3 md:grid-cols-2 xl:hidden">${cards}</section>${debug}<script>${getPortalScript()}</script><script>${getRdpScript()}</script></main></body></html>`);
+}
+function buildAdminPage(title, eyebrow, body, config) {
+  // 管理类页面共用外壳，保持与门户一致的黑金 Tailwind 风格。
+  return htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead(title, config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="mx-auto flex w-full max-w-5xl flex-col gap-5 px-4 py-5 sm:px-6 lg:px-8"><header class="flex items-end justify-between gap-4 rounded-3xl border border-amber-300/20 bg-zinc-950/80 p-5 shadow-2xl shadow-black/50 ring-1 ring-amber-100/5"><div class="min-w-0"><p class="text-xs font-semibold uppercase tracking-wider text-amber-300">${escapeHtml(eyebrow)}</p><h1 class="mt-1 text-2xl font-bold tracking-tight text-zinc-50">${escapeHtml(title)}</h1></div><a class="text-xs font-semibold text-zinc-500 underline decoration-zinc-700 underline-offset-4 transition hover:text-amber-200" href="/">返回门户</a></header>${body}</main></body></html>`);
+}
+function buildTokenAdminHTML(tokens, config, created, notice = "") {
+  const warning = config.kv ? "" : `<section class="rounded-2xl border border-amber-300/25 bg-amber-300/10 px-4 py-3 text-sm text-amber-100">未绑定 PORTAL_KV，这里创建的令牌只保存在当前 isolate 内存中。</section>`;
+  const noticeHtml = notice ? `<section class="rounded-2xl border border-amber-300/30 bg-amber-300/10 px-4 py-3 text-sm font-medium text-amber-100">${escapeHtml(notice)}</section>` : "";
+  const createdHtml = created ? `<section class="rounded-2xl border border-amber-300/30 bg-amber-300/10 p-4 text-sm text-amber-100"><p class="font-semibold">令牌 ${escapeHtml(created.name)} 已创建，明文只显示这一次：</p><div class="mt-3 flex items-center gap-2"><code class="min-w-0 flex-1 break-all rounded-lg border border-amber-300/15 bg-black/40 px-2 py-1 font-mono text-amber-200">${escapeHtml(created.secret)}</code>${buildCopyButton(created.secret, "复制", "复制令牌")}</div></section>` : "";
+  const rows = tokens.map((token) => `<tr class="bg-zinc-900/70"><td class="px-4 py-3 font-semibold text-zinc-50">${escapeHtml(token.name)}</td><td class="px-4 py-3 text-zinc-300">${escapeHtml(token.operations.join(", "))}</td><td class="px-4 py-3 text-zinc-300">${escapeHtml(token.scopes.join(", ") || "全部")}</td><td class="px-4 py-3 text-zinc-400"><span class="time" data-time="${token.expiresAt ? new Date(token.expiresAt).toISOString() : ""}">${token.expiresAt ? escapeHtml(formatRecordTime(token.expiresAt)) : "永不过期"}</span></td><td class="px-4 py-3 text-right">${token.source === "secret" ? `<span class="text-xs text-zinc-500">secret</span>` : `<form method="POST"><input type="hidden" name="action" value="revoke"><input type="hidden" name="id" value="${escapeAttribute(token.id)}"><button class="h-8 rounded-xl border border-amber-300/25 bg-black/35 px-2 text-xs font-semibold text-amber-200 transition hover:bg-amber-300/10" type="submit">吊销</button></form>`}</td></tr>`).join("");
+  const table = `<section class="overflow-x-auto rounded-2xl border border-amber-300/15 bg-zinc-950/75 ring-1 ring-white/5"><table class="w-full min-w-[640px] border-collapse text-sm"><thead class="bg-black/45 text-xs font-semibold uppercase tracking-wide text-zinc-500"><tr><th class="px-4 py-3 text-left">名称</th><th class="px-4 py-3 text-left">操作</th><th class="px-4 py-3 text-left">范围</th><th class="px-4 py-3 text-left">过期</th><th class="px-4 py-3"></th></tr></thead><tbody class="divide-y divide-amber-300/10">${rows || `<tr><td class="px-4 py-6 text-center text-zinc-500" colspan="5">暂无令牌。</td></tr>`}</tbody></table></section>`;
+  const inputClass = "h-10 rounded-xl border border-amber-300/20 bg-black/35 px-3 text-sm text-zinc-100 outline-none transition placeholder:text-zinc-600 focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10";
+  const form = `<form method="POST" class="grid gap-3 rounded-2xl border border-amber-300/15 bg-zinc-950/70 p-4 ring-1 ring-white/5 sm:grid-cols-2"><input type="hidden" name="action" value="create"><input class="${inputClass}" name="name" placeholder="名称，例如 ci-refresh" required><input class="${inputClass}" name="scopes" placeholder="域名范围（可选），例如 *.s.example.com"><input class="${inputClass}" name="expiresDays" type="number" min="0" placeholder="有效天数，0 表示永不过期"><div class="flex flex-wrap items-center gap-4 text-sm text-zinc-300"><label class="flex items-center gap-2"><input type="checkbox" name="operations" value="read" checked>读取资源</label><label class="flex items-center gap-2"><input type="checkbox" name="operations" value="subscription">订阅导出</label><label class="flex items-center gap-2"><input type="checkbox" name="operations" value="refresh">刷新端口</label><label class="flex items-center gap-2"><input type="checkbox" name="operations" value="health">健康与 agent 上报</label><label class="flex items-center gap-2"><input type="checkbox" name="operations" value="metrics">Prometheus 指标</label></div><button class="h-10 rounded-xl bg-amber-300 px-4 text-sm font-semibold text-zinc-950 transition hover:bg-amber-200 sm:col-span-2" type="submit">创建令牌</button></form>`;
+  return buildAdminPage("API 令牌", "API Tokens", `${warning}${noticeHtml}${createdHtml}${form}${table}<script>${getCopyScript()}</script>`, config);
 }
-function buildResourceRow(r, userPwd) {
-  const search = `${r.domain} ${r.service} ${r.protocol} ${r.target} ${r.port}`.toLowerCase();
-  return `<tr class="bg-zinc-900/70 transition hover:bg-zinc-800/80" data-search="${escapeAttribute(search)}" data-domain="${escapeAttribute(r.domain)}" data-port="${r.port}"><td class="px-4 py-3 align-middle">${buildPortalDomainHtml(r)}</td><td class="px-4 py-3 align-middle"><div class="flex items-center gap-2"><span class="inline-flex h-7 items-center rounded-full border border-amber-300/25 bg-amber-300/10 px-2.5 text-xs font-semibold text-amber-200">${escapeHtml(r.service.replace(/^_/, ""))}</span><span class="text-xs text-zinc-500">${escapeHtml(r.protocol)}</span></div></td><td class="px-4 py-3 align-middle"><span class="block truncate text-zinc-300" title="${escapeAttribute(r.target)}">${escapeHtml(r.target)}</span></td><td class="px-4 py-3 align-middle">${buildPortCopyHtml(r)}</td><td class="px-4 py-3 align-middle"><span class="time text-sm text-zinc-500" data-time="${escapeAttribute(r.updatedIso)}">${escapeHtml(r.updatedLabel)}</span></td><td class="px-4 py-3 align-middle">${buildLinkHtml(r)}</td><td class="px-4 py-3 align-middle">${buildRedirectForm(r, userPwd)}</td><td class="px-4 py-3 align-middle">${buildRefreshForm(r, userPwd)}</td></tr>`;
+function buildAuditAdminHTML(entries, filters, config) {
+  const warning = config.kv ? "" : `<section class="rounded-2xl border border-amber-300/25 bg-amber-300/10 px-4 py-3 text-sm text-amber-100">未绑定 PORTAL_KV，审计日志只保存在当前 isolate 内存中。</section>`;
+  const inputClass = "h-10 rounded-xl border border-amber-300/20 bg-black/35 px-3 text-sm text-zinc-100 outline-none transition placeholder:text-zinc-600 focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10";
+  const select = (name, options) => `<select class="${inputClass}" name="${name}"><option value="">${name === "action" ? "全部操作" : "全部结果"}</option>${options.map((option) => `<option value="${option}"${filters[name] === option ? " selected" : ""}>${option}</option>`).join("")}</select>`;
+  const exportQuery = new URLSearchParams({ ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)), format: "jsonl" }).toString();
+  const form = `<form method="GET" class="grid gap-3 rounded-2xl border border-amber-300/15 bg-zinc-950/70 p-4 ring-1 ring-white/5 sm:grid-cols-5">${select("action", ["redirect.update", "refresh.queue", "refresh.ack", "agent.report", "health.report", "token.create", "token.revoke", "token.change"])}<input class="${inputClass}" name="domain" value="${escapeAttribute(filters.domain)}" placeholder="域名包含"><input class="${inputClass}" name="identity" value="${escapeAttribute(filters.identity)}" placeholder="执行者包含">${select("outcome", ["ok", "denied", "rate_limited", "not_found", "error"])}<div class="flex gap-2"><button class="h-10 flex-1 rounded-xl bg-amber-300 px-4 text-sm font-semibold text-zinc-950 transition hover:bg-amber-200" type="submit">筛选</button><a class="inline-flex h-10 items-center rounded-xl border border-amber-300/25 bg-black/35 px-3 text-sm font-semibold text-amber-200 transition hover:bg-amber-300/10" href="/admin/audit?${escapeAttribute(exportQuery)}">导出 JSONL</a></div></form>`;
+  const rows = entries.slice(0, 200).map((entry) => `<tr class="bg-zinc-900/70 align-top"><td class="whitespace-nowrap px-4 py-3 text-zinc-400"><span class="time" data-time="${new Date(entry.at).toISOString()}">${escapeHtml(formatRecordTime(entry.at))}</span></td><td class="px-4 py-3 font-semibold text-zinc-50">${escapeHtml(entry.action)}</td><td class="break-all px-4 py-3 text-zinc-300">${escapeHtml(entry.domain || "-")}</td><td class="break-all px-4 py-3 font-mono text-xs text-zinc-300">${escapeHtml(entry.oldValue || "-")} → ${escapeHtml(entry.newValue || "-")}</td><td class="px-4 py-3 text-zinc-300">${escapeHtml(entry.identity || "-")}<span class="block text-xs text-zinc-500">${escapeHtml(entry.clientKey)}</span></td><td class="px-4 py-3"><span class="${entry.outcome === "ok" ? "text-emerald-200" : "text-red-200"}">${escapeHtml(entry.outcome)}</span>${entry.error ? `<span class="block break-all text-xs text-zinc-500">${escapeHtml(entry.error)}</span>` : ""}</td></tr>`).join("");
+  const more = entries.length > 200 ? `<p class="text-xs text-zinc-500">仅显示最近 200 条，共 ${entries.length} 条匹配；完整结果请导出。</p>` : "";
+  const table = `<section class="overflow-x-auto rounded-2xl border border-amber-300/15 bg-zinc-950/75 ring-1 ring-white/5"><table class="w-full min-w-[900px] border-collapse text-sm"><thead class="bg-black/45 text-xs font-semibold uppercase tracking-wide text-zinc-500"><tr><th class="px-4 py-3 text-left">时间</th><th class="px-4 py-3 text-left">操作</th><th class="px-4 py-3 text-left">域名</th><th class="px-4 py-3 text-left">旧值 → 新值</th><th class="px-4 py-3 text-left">执行者</th><th class="px-4 py-3 text-left">结果</th></tr></thead><tbody class="divide-y divide-amber-300/10">${rows || `<tr><td class="px-4 py-6 text-center text-zinc-500" colspan="6">暂无匹配的审计记录。</td></tr>`}</tbody></table></section>`;
+  return buildAdminPage("审计日志", "Audit Log", `${warning}${form}${more}${table}`, config);
 }
-function buildResourceCard(r, userPwd) {
-  const search = `${r.domain} ${r.service} ${r.protocol} ${r.target} ${r.port}`.toLowerCase();
-  return `<article class="rounded-2xl border border-amber-300/15 bg-zinc-950/75 p-4 shadow-lg shadow-black/30 ring-1 ring-white/5" data-search="${escapeAttribute(search)}" data-domain="${escapeAttribute(r.domain)}" data-port="${r.port}"><div class="flex items-start justify-between gap-3"><div class="min-w-0"><h2 class="truncate text-base font-bold text-zinc-50">${buildPortalDomainHtml(r)}</h2><div class="mt-1 flex min-w-0 items-center gap-2"><p class="min-w-0 flex-1 break-all text-sm text-zinc-500">${escapeHtml(r.target)}:${r.port}</p>${buildCopyButton(r.port, "端口", "复制端口")}</div></div><span class="shrink-0 rounded-full border border-amber-300/25 bg-amber-300/10 px-2.5 py-1 text-xs font-semibold text-amber-200">${escapeHtml(r.service.replace(/^_/, ""))}</span></div><dl class="mt-4 grid gap-2 text-sm"><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-2"><dt class="text-zinc-500">协议</dt><dd class="min-w-0 text-zinc-300">${escapeHtml(r.protocol)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-2"><dt class="text-zinc-500">记录</dt><dd class="min-w-0 text-zinc-300"><span class="time" data-time="${escapeAttribute(r.updatedIso)}">${escapeHtml(r.updatedLabel)}</span></dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-2"><dt class="text-zinc-500">链接</dt><dd class="min-w-0">${buildLinkHtml(r)}</dd></div></dl><div class="mt-4 grid grid-cols-[minmax(0,1fr)_6rem] gap-2">${buildRedirectForm(r, userPwd)}${buildRefreshForm(r, userPwd)}</div></article>`;
+function buildResourceSearchText(r) {
+  // 门户搜索框和 /api/export?q= 共用同一份匹配文本，保证导出结果与页面上看到的一致。
+  return `${r.domain} ${r.service} ${r.protocol} ${r.target} ${r.port}`.toLowerCase();
+}
+function buildResourceRow(r, user) {
+  const search = buildResourceSearchText(r);
+  return `<tr class="bg-zinc-900/70 transition hover:bg-zinc-800/80" data-search="${escapeAttribute(search)}" data-domain="${escapeAttribute(r.domain)}" data-port="${r.port}"><td class="px-4 py-3 align-middle"><div class="flex min-w-0 items-center gap-2">${buildRefreshSelect(r, user)}<div class="min-w-0">${buildPortalDomainHtml(r)}</div></div></td><td class="px-4 py-3 align-middle"><div class="flex items-center gap-2"><span class="inline-flex h-7 items-center rounded-full border border-amber-300/25 bg-amber-300/10 px-2.5 text-xs font-semibold text-amber-200">${escapeHtml(r.service.replace(/^_/, ""))}</span><span class="text-xs text-zinc-500">${escapeHtml(r.protocol)}</span></div></td><td class="px-4 py-3 align-middle"><span class="block truncate text-zinc-300" title="${escapeAttribute(r.target)}">${escapeHtml(r.target)}</span></td><td class="px-4 py-3 align-middle"><div class="flex items-center gap-2">${buildPortCopyHtml(r)}${buildHealthBadge(r)}</div>${buildAgentReportHtml(r)}</td><td class="px-4 py-3 align-middle"><span class="time text-sm text-zinc-500" data-time="${escapeAttribute(r.updatedIso)}">${escapeHtml(r.updatedLabel)}</span></td><td class="px-4 py-3 align-middle">${buildLinkHtml(r)}</td><td class="px-4 py-3 align-middle">${buildRedirectForm(r, user)}</td><td class="px-4 py-3 align-middle">${buildRefreshForm(r, user)}</td></tr>`;
+}
+function buildResourceCard(r, user) {
+  const search = buildResourceSearchText(r);
+  return `<article class="rounded-2xl border border-amber-300/15 bg-zinc-950/75 p-4 shadow-lg shadow-black/30 ring-1 ring-white/5" data-search="${escapeAttribute(search)}" data-domain="${escapeAttribute(r.domain)}" data-port="${r.port}"><div class="flex items-start justify-between gap-3"><div class="min-w-0"><div class="flex min-w-0 items-center gap-2">${buildRefreshSelect(r, user)}<h2 class="min-w-0 truncate text-base font-bold text-zinc-50">${buildPortalDomainHtml(r)}</h2></div><div class="mt-1 flex min-w-0 items-center gap-2"><p class="min-w-0 flex-1 break-all text-sm text-zinc-500">${escapeHtml(r.target)}:${r.port}</p>${buildCopyButton(r.port, "端口", "复制端口")}</div>${buildAgentReportHtml(r)}</div><div class="flex shrink-0 flex-col items-end gap-1"><span class="rounded-full border border-amber-300/25 bg-amber-300/10 px-2.5 py-1 text-xs font-semibold text-amber-200">${escapeHtml(r.service.replace(/^_/, ""))}</span>${buildHealthBadge(r)}</div></div><dl class="mt-4 grid gap-2 text-sm"><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-2"><dt class="text-zinc-500">协议</dt><dd class="min-w-0 text-zinc-300">${escapeHtml(r.protocol)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-2"><dt class="text-zinc-500">记录</dt><dd class="min-w-0 text-zinc-300"><span class="time" data-time="${escapeAttribute(r.updatedIso)}">${escapeHtml(r.updatedLabel)}</span></dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-2"><dt class="text-zinc-500">链接</dt><dd class="min-w-0">${buildLinkHtml(r)}</dd></div></dl><div class="mt-4 grid grid-cols-[minmax(0,1fr)_6rem] gap-2">${buildRedirectForm(r, user)}${buildRefreshForm(r, user)}</div><details class="port-history mt-3 text-sm" data-domain="${escapeAttribute(r.domain)}"><summary class="cursor-pointer select-none text-xs font-semibold text-zinc-500 transition hover:text-amber-200">端口历史</summary><ol class="mt-2 grid gap-2" data-history-list><li class="text-xs text-zinc-500">加载中…</li></ol></details></article>`;
+}
+function buildAgentReportHtml(r) {
+  // agent 上报的运行时端口与 DNS 端口并列展示；不一致通常说明 DDNS 尚未追上 natmap 的新端口。
+  if (!r.agent) return "";
+  const restart = r.agent.lastRestartAt ? ` · 重启 <span class="time" data-time="${new Date(r.agent.lastRestartAt).toISOString()}">${escapeHtml(formatRecordTime(r.agent.lastRestartAt))}</span>` : "";
+  const title = `agent ${r.agent.agentVersion || ""} · ${r.agent.section || ""} · 失败 ${r.agent.consecutiveFailures} 次`;
+  const mismatch = r.agent.portMismatch ? `<span class="ml-1 font-semibold text-red-300">与 DNS 不一致</span>` : "";
+  return `<p class="mt-1 truncate text-xs text-zinc-500" title="${escapeAttribute(title)}">agent ${escapeHtml(r.agent.publicIp)}:<span class="${r.agent.portMismatch ? "font-semibold text-red-300" : "text-zinc-400"}">${r.agent.publicPort || "?"}</span>${mismatch}${restart}</p>`;
+}
+function buildHealthBadge(r) {
+  if (r.health === "unknown") return "";
+  const healthy = r.health === "healthy";
+  const title = `${healthy ? "健康" : "不可用"}${r.healthReason ? `：${r.healthReason}` : ""}`;
+  return `<span class="inline-flex h-6 shrink-0 items-center rounded-full border px-2 text-xs font-semibold ${healthy ? "border-emerald-300/25 bg-emerald-300/10 text-emerald-200" : "border-red-300/30 bg-red-400/10 text-red-200"}" title="${escapeAttribute(title)}">${healthy ? "健康" : "不可用"}</span>`;
 }
 function buildPortalDomainHtml(r) {
   if (!isNonWebInfoResource(r)) return `<span class="block truncate font-semibold text-zinc-50" title="${escapeAttribute(r.domain)}">${escapeHtml(r.domain)}</span>`;
@@ -435,14 +2044,26 @@ function buildRdpDownloadLink(r) {
   if (!r.rdpFileUrl) return "";
   return `<a class="inline-flex h-8 shrink-0 items-center justify-center rounded-xl border border-amber-300/25 bg-black/35 px-2 text-xs font-semibold text-amber-200 transition hover:bg-amber-300/10 hover:text-amber-100 focus:outline-none focus:ring-4 focus:ring-amber-300/10" href="${escapeAttribute(r.rdpFileUrl)}" download="${escapeAttribute(r.rdpFileName || "remote.rdp")}" data-rdp-action="download" data-rdp-target="${escapeAttribute(r.target)}" data-rdp-port="${r.port}" data-rdp-file="${escapeAttribute(r.rdpFileName || "remote.rdp")}" title="下载 RDP 配置文件" aria-label="下载 ${escapeAttribute(r.domain)} 的 RDP 配置文件">下载</a>`;
 }
-function buildRedirectForm(r, userPwd) {
-  const labels = { 301: "301 永久", 302: "302 临时", 307: "307 临时", 308: "308 永久" };
-  const current = Number(r.redirectStatus);
-  const options = [301, 302, 307, 308].map((code) => `<option value="${code}"${code === current ? " selected" : ""}>${labels[code]}</option>`).join("");
-  return `<form method="POST" class="redirect-form"><input type="hidden" name="pwd" value="${escapeAttribute(userPwd)}"><input type="hidden" name="domain" value="${escapeAttribute(r.domain)}"><select class="h-9 w-full min-w-0 rounded-xl border border-amber-300/25 bg-black/40 px-2 text-sm font-semibold text-amber-100 outline-none transition focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10" name="redirectStatus" data-current="${current}" aria-label="redirect status">${options}</select></form>`;
+function buildRedirectForm(r, user) {
+  // 反向代理只对 HTTP/HTTPS 资源开放；端口不能代理时服务端自动退回默认状态码跳转。
+  const labels = { 301: "301 永久", 302: "302 临时", 307: "307 临时", 308: "308 永久", proxy: "反向代理" };
+  const current = r.deliveryMode === "proxy" ? "proxy" : String(r.redirectStatus);
+  if (!hasPortalPermission(user, "redirect")) return `<span class="inline-flex h-9 w-full min-w-0 items-center rounded-xl border border-amber-300/10 bg-black/20 px-2 text-sm font-semibold text-zinc-400" title="需要 admin 角色才能修改">${escapeHtml(labels[current] || current)}</span>`;
+  const modes = r.isWeb || current === "proxy" ? ["301", "302", "307", "308", "proxy"] : ["301", "302", "307", "308"];
+  const options = modes.map((mode) => `<option value="${mode}"${mode === current ? " selected" : ""}>${labels[mode]}</option>`).join("");
+  return `<form method="POST" class="redirect-form"><input type="hidden" name="domain" value="${escapeAttribute(r.domain)}"><select class="h-9 w-full min-w-0 rounded-xl border border-amber-300/25 bg-black/40 px-2 text-sm font-semibold text-amber-100 outline-none transition focus:border-amber-300/70 focus:ring-4 focus:ring-amber-300/10" name="redirectStatus" data-current="${current}" aria-label="redirect status">${options}</select></form>`;
+}
+function buildRefreshSelect(r, user) {
+  if (!hasPortalPermission(user, "refresh")) return "";
+  return `<input type="checkbox" class="refresh-select h-4 w-4 shrink-0 accent-amber-300" value="${escapeAttribute(r.domain)}" title="选择后可批量刷新" aria-label="选择 ${escapeAttribute(r.domain)} 批量刷新">`;
 }
-function buildRefreshForm(r, userPwd) {
-  return `<form method="POST" class="refresh-form"><input type="hidden" name="pwd" value="${escapeAttribute(userPwd)}"><input type="hidden" name="refreshDomain" value="${escapeAttribute(r.domain)}"><input type="hidden" name="currentPort" value="${r.port}"><button class="h-9 w-full rounded-xl border border-amber-300/30 bg-amber-300/10 px-2 text-xs font-semibold text-amber-200 transition hover:bg-amber-300/20 disabled:cursor-wait disabled:opacity-60" type="submit" title="请求 OpenWrt 为该资源重新打洞换端口" aria-label="刷新 ${escapeAttribute(r.domain)} 的端口">刷新</button></form>`;
+function buildBulkRefreshBar(user) {
+  if (!hasPortalPermission(user, "refresh")) return "";
+  return `<section class="bulk-refresh flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-amber-300/25 bg-amber-300/10 px-4 py-3 text-sm text-amber-100" hidden><span>已选 <strong data-count>0</strong> 个资源</span><div class="flex gap-2"><button type="button" class="h-9 rounded-xl border border-amber-300/20 bg-black/30 px-3 text-xs font-semibold text-zinc-300 transition hover:bg-white/10" data-clear>清除</button><button type="button" class="h-9 rounded-xl bg-amber-300 px-3 text-xs font-semibold text-zinc-950 transition hover:bg-amber-200 disabled:cursor-wait disabled:opacity-60" data-submit>批量刷新端口</button></div></section>`;
+}
+function buildRefreshForm(r, user) {
+  if (!hasPortalPermission(user, "refresh")) return `<span class="inline-flex h-9 w-full items-center justify-center rounded-xl border border-amber-300/10 bg-black/20 px-2 text-xs font-semibold text-zinc-600" title="需要 operator 角色才能刷新">—</span>`;
+  return `<form method="POST" class="refresh-form"><input type="hidden" name="refreshDomain" value="${escapeAttribute(r.domain)}"><input type="hidden" name="currentPort" value="${r.port}"><button class="h-9 w-full rounded-xl border border-amber-300/30 bg-amber-300/10 px-2 text-xs font-semibold text-amber-200 transition hover:bg-amber-300/20 disabled:cursor-wait disabled:opacity-60" type="submit" title="请求 OpenWrt 为该资源重新打洞换端口" aria-label="刷新 ${escapeAttribute(r.domain)} 的端口">刷新</button></form>`;
 }
 function getCopyScript() {
   return `(() => {
@@ -653,20 +2274,19 @@ function getPortalScript() {
         if (ok) shown += 1;
       }
       empty.hidden = shown !== 0;
+      document.querySelectorAll('[data-export]').forEach((link) => {
+        link.href = '/api/export?format=' + link.dataset.export + (q ? '&q=' + encodeURIComponent(q) : '');
+      });
     });
   }
 
-  const getPwd = () => {
-    const hidden = document.querySelector('input[name="pwd"]');
-    return hidden ? hidden.value : new URLSearchParams(location.search).get('pwd') || '';
-  };
+  const reloadPortal = () => location.replace(location.pathname + '?force=1');
   const resourceSignature = (resources) => resources.map((r) => r.domain + ':' + r.port).sort().join('|');
   let pageSignature = resourceSignature(Array.from(document.querySelectorAll('[data-domain]')).map((el) => ({ domain: el.dataset.domain, port: el.dataset.port, updatedIso: '' })));
   let activeRefresh = null;
 
   const buildApiUrl = (path, extra = {}) => {
     const url = new URL(path, location.origin);
-    url.searchParams.set('pwd', getPwd());
     Object.entries(extra).forEach(([key, value]) => url.searchParams.set(key, value));
     return url;
   };
@@ -755,26 +2375,41 @@ function getPortalScript() {
     if (!resp.ok || !json.ok) throw new Error(json.error || '资源列表刷新失败');
     return json.resources || [];
   };
-  const pollForPortChange = async (domain, oldPort) => {
-    const started = Date.now();
+  const refreshStateLabels = {
+    queued: ['已排队', '等待 OpenWrt 下一轮轮询 TXT 队列。'],
+    picked_up: ['OpenWrt 已接单', '正在重启对应的 natmap 实例。'],
+    restarted: ['natmap 已重启', '等待 DDNS 把新端口写入 SRV。'],
+    port_changed: ['端口已更新', '页面正在更新。'],
+    timed_out: ['等待超时', 'OpenWrt 可能仍在处理，稍后刷新页面查看。'],
+    failed: ['刷新失败', 'OpenWrt 未能完成刷新。']
+  };
+  const pollRefreshJobs = (jobs) => {
+    const finalStates = ['port_changed', 'timed_out', 'failed'];
     const tick = async () => {
       try {
-        const resources = await pollResources();
-        const current = resources.find((r) => r.domain === domain);
-        if (current && String(current.port) !== String(oldPort)) {
-          showRefreshCard('端口已更新', domain + ' 已切换到 ' + current.port + '，页面正在更新。', true);
-          window.setTimeout(() => location.replace(location.pathname + '?pwd=' + encodeURIComponent(getPwd()) + '&force=1'), 700);
-          return;
+        const latest = await Promise.all(jobs.map(async ({ id }) => {
+          const resp = await fetch(buildApiUrl('/api/refresh/' + encodeURIComponent(id), { t: Date.now() }), { cache: 'no-store' });
+          const json = await resp.json();
+          if (!resp.ok || !json.ok) throw new Error(json.error || '任务状态查询失败');
+          return json.job;
+        }));
+        const allDone = latest.every((job) => finalStates.includes(job.state));
+        if (latest.length === 1) {
+          const job = latest[0];
+          const [title, fallback] = refreshStateLabels[job.state] || [job.state, ''];
+          const portNote = job.newPort ? '新端口 ' + job.newPort + '。' : '';
+          showRefreshCard(title, job.domain + '：' + (job.detail || fallback) + portNote, allDone);
+        } else {
+          const counts = {};
+          latest.forEach((job) => { counts[job.state] = (counts[job.state] || 0) + 1; });
+          const summary = Object.entries(counts).map(([state, count]) => (refreshStateLabels[state] || [state])[0] + ' ' + count).join('，');
+          showRefreshCard(allDone ? '批量刷新已结束' : '批量刷新进行中', latest.length + ' 个资源：' + summary + '。', allDone);
         }
-        const elapsed = Math.floor((Date.now() - started) / 1000);
-        const left = Math.max(0, 45 - elapsed);
-        if (elapsed >= 45) {
-          showRefreshCard('已提交刷新请求', 'OpenWrt 可能仍在处理，页面会继续自动检查新数据。', true);
-          activeRefresh = null;
+        if (allDone && latest.some((job) => job.state === 'port_changed')) {
+          window.setTimeout(reloadPortal, 700);
           return;
         }
-        showRefreshCard('等待 OpenWrt 换端口', domain + ' 正在轮询新 SRV 记录，约 ' + left + ' 秒内完成。');
-        activeRefresh = window.setTimeout(tick, 3000);
+        activeRefresh = allDone ? null : window.setTimeout(tick, 3000);
       } catch (err) {
         showRefreshCard('检查失败', err.message || '请稍后再查看。', true);
         activeRefresh = null;
@@ -782,12 +2417,50 @@ function getPortalScript() {
     };
     activeRefresh = window.setTimeout(tick, 2500);
   };
-  const queuedFromUrl = new URLSearchParams(location.search).get('refreshQueued');
-  if (queuedFromUrl) {
-    const current = items.find((el) => el.dataset.domain === queuedFromUrl);
-    const oldPort = current ? current.dataset.port : '';
-    showRefreshCard('等待 OpenWrt 换端口', queuedFromUrl + ' 的端口刷新请求已提交，正在检查新 SRV 记录。');
-    pollForPortChange(queuedFromUrl, oldPort);
+  document.querySelectorAll('details.port-history[data-domain]').forEach((details) => {
+    details.addEventListener('toggle', async () => {
+      if (!details.open || details.dataset.loaded) return;
+      details.dataset.loaded = '1';
+      const list = details.querySelector('[data-history-list]');
+      try {
+        const resp = await fetch(buildApiUrl('/api/resources/' + encodeURIComponent(details.dataset.domain) + '/history', { t: Date.now() }), { cache: 'no-store' });
+        const json = await resp.json();
+        if (!resp.ok || !json.ok) throw new Error(json.error || '历史查询失败');
+        list.textContent = '';
+        if (!json.history.length) {
+          const empty = document.createElement('li');
+          empty.className = 'text-xs text-zinc-500';
+          empty.textContent = '暂无记录，端口变化由后台同步发现后写入。';
+          list.appendChild(empty);
+        }
+        json.history.forEach((entry) => {
+          const item = document.createElement('li');
+          item.className = 'border-l border-amber-300/20 pl-3';
+          const head = document.createElement('p');
+          head.className = 'text-xs text-zinc-500';
+          head.textContent = new Date(entry.at).toLocaleString() + ' · ' + entry.typeLabel + ' · ' + entry.service + '.' + entry.protocol;
+          const change = document.createElement('p');
+          change.className = 'break-all font-mono text-xs text-zinc-300';
+          change.textContent = entry.beforeLabel + ' → ' + entry.afterLabel;
+          const source = document.createElement('p');
+          source.className = 'text-xs text-zinc-500';
+          source.textContent = entry.triggerLabel + (entry.modifiedOn ? ' · Cloudflare 修改于 ' + new Date(entry.modifiedOn).toLocaleString() : '');
+          item.append(head, change, source);
+          list.appendChild(item);
+        });
+      } catch (err) {
+        delete details.dataset.loaded;
+        list.innerHTML = '<li class="text-xs text-red-300"></li>';
+        list.firstChild.textContent = err.message || '历史查询失败';
+      }
+    });
+  });
+  const queuedParams = new URLSearchParams(location.search);
+  const queuedFromUrl = queuedParams.get('refreshQueued');
+  const jobFromUrl = queuedParams.get('refreshJob');
+  if (queuedFromUrl && jobFromUrl) {
+    showRefreshCard('已排队', queuedFromUrl + ' 的端口刷新请求已提交，正在跟踪任务状态。');
+    pollRefreshJobs([{ id: jobFromUrl, domain: queuedFromUrl }]);
   }
 
   const redirectConfirm = (() => {
@@ -856,12 +2529,13 @@ function getPortalScript() {
         const resp = await fetch('/api/refresh', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ pwd: getPwd(), domain, currentPort }),
+          body: JSON.stringify({ domain, currentPort }),
           cache: 'no-store'
         });
         const json = await resp.json();
         if (!resp.ok || !json.ok) throw new Error(json.error || '提交失败');
-        pollForPortChange(domain, currentPort);
+        showRefreshCard('已排队', domain + ' 当前端口 ' + currentPort + '，等待 OpenWrt 下一轮轮询。');
+        pollRefreshJobs([{ id: json.id, domain }]);
       } catch (err) {
         showRefreshCard('提交失败', err.message || '请稍后重试。', true);
       } finally {
@@ -869,44 +2543,223 @@ function getPortalScript() {
       }
     });
   });
+  const bulkBar = document.querySelector('.bulk-refresh');
+  const selectedDomains = () => Array.from(new Set(Array.from(document.querySelectorAll('.refresh-select:checked')).map((box) => box.value)));
+  const syncBulkBar = () => {
+    if (!bulkBar) return;
+    const domains = selectedDomains();
+    bulkBar.hidden = domains.length === 0;
+    bulkBar.querySelector('[data-count]').textContent = String(domains.length);
+  };
+  document.querySelectorAll('.refresh-select').forEach((box) => {
+    box.addEventListener('change', () => {
+      document.querySelectorAll('.refresh-select').forEach((other) => { if (other.value === box.value) other.checked = box.checked; });
+      syncBulkBar();
+    });
+  });
+  if (bulkBar) {
+    bulkBar.querySelector('[data-clear]').addEventListener('click', () => {
+      document.querySelectorAll('.refresh-select').forEach((box) => { box.checked = false; });
+      syncBulkBar();
+    });
+    bulkBar.querySelector('[data-submit]').addEventListener('click', async (event) => {
+      const button = event.currentTarget;
+      const domains = selectedDomains();
+      if (!domains.length) return;
+      if (activeRefresh) window.clearTimeout(activeRefresh);
+      button.disabled = true;
+      showRefreshCard('正在提交批量刷新', domains.length + ' 个资源，等待 OpenWrt 下一轮轮询。');
+      try {
+        const resp = await fetch('/api/refresh/bulk', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ domains }),
+          cache: 'no-store'
+        });
+        const json = await resp.json();
+        const queued = (json.results || []).filter((result) => result.ok).map((result) => ({ id: result.job.id, domain: result.domain }));
+        if (!queued.length) throw new Error(json.error || ((json.results || [])[0] || {}).error || '提交失败');
+        const skipped = (json.results || []).filter((result) => !result.ok).map((result) => result.domain);
+        showRefreshCard('已排队', queued.length + ' 个资源已提交' + (skipped.length ? '，跳过 ' + skipped.join(', ') : '') + '。');
+        pollRefreshJobs(queued);
+      } catch (err) {
+        showRefreshCard('提交失败', err.message || '请稍后重试。', true);
+      } finally {
+        window.setTimeout(() => { button.disabled = false; }, 1200);
+      }
+    });
+  }
   window.setInterval(async () => {
     if (document.hidden || activeRefresh) return;
     try {
       const resources = await pollResources();
       const nextSignature = resourceSignature(resources);
-      if (nextSignature && pageSignature && nextSignature !== pageSignature) location.replace(location.pathname + '?pwd=' + encodeURIComponent(getPwd()) + '&force=1');
+      if (nextSignature && pageSignature && nextSignature !== pageSignature) reloadPortal();
     } catch (_) {}
   }, 60000);
 })();`;
 }
+function buildSrvChangesHtml(changes, config) {
+  // 后台同步记录的最近 SRV 变化；没有 Cron 或没有变化时不占位置。
+  if (!changes.length) return "";
+  const items = changes.map((c) => `<li class="flex flex-wrap items-baseline gap-x-3 gap-y-1"><span class="text-xs text-zinc-500">${escapeHtml(formatRecordTime(c.at))}</span><span class="rounded-md border border-amber-300/20 px-1.5 text-xs text-amber-200">${escapeHtml(describeSrvChangeType(c.type))}</span><span class="font-medium text-zinc-200">${escapeHtml(c.hostname)}</span><span class="text-xs text-zinc-500">${escapeHtml(`${c.service}.${c.protocol}`)}</span><span class="font-mono text-xs text-zinc-400">${escapeHtml(describeSrvTargets(c.before))} → ${escapeHtml(describeSrvTargets(c.after))}</span></li>`).join("");
+  const syncedAt = config.srvSync?.syncedAt ? `后台同步 ${formatCacheTime(Math.floor(config.srvSync.syncedAt / 1000))} 前` : "";
+  return `<section class="srv-changes rounded-2xl border border-amber-300/15 bg-zinc-950/70 px-4 py-3 text-sm ring-1 ring-white/5"><div class="mb-2 flex items-baseline justify-between gap-3"><h2 class="text-xs font-semibold text-zinc-500">最近 SRV 变更</h2><span class="text-xs text-zinc-600">${syncedAt}</span></div><ul class="grid gap-1.5">${items}</ul></section>`;
+}
 function buildDebugBlock(resources, config) {
-  const safeConfig = { ...config, cfApiToken: config.cfApiToken ? "***" : "", portalPasswd: config.portalPasswd ? "***" : "" };
+  const safeConfig = { ...config, cfApiToken: config.cfApiToken ? "***" : "", cfZones: config.cfZones.map((zone) => ({ name: zone.name, zoneId: zone.zoneId, patterns: zone.patterns, apiToken: "***" })), portalPasswd: config.portalPasswd ? "***" : "", sessionSecret: "***", portalUsersJson: config.portalUsersJson ? "***" : "", apiTokensJson: config.apiTokensJson ? "***" : "", refreshQueueSecret: config.refreshQueueSecret ? "***" : "", notifyWebhooksJson: config.notifyWebhooksJson ? "***" : "", subscriptionTemplatesJson: config.subscriptionTemplatesJson ? "***" : "", notifyTargets: (config.notifyTargets || []).map((t) => ({ name: t.name, type: t.type, events: t.events })), waitUntil: Boolean(config.waitUntil), portalUsers: (config.portalUsers || []).map((u) => ({ name: u.name, role: u.role })), kv: getStoreKind(config), rateLimiter: config.rateLimiter ? "durable-object" : "memory" };
   return `<section class="rounded-2xl border border-amber-300/15 bg-zinc-900/90 p-4 shadow-lg shadow-black/20"><h2 class="text-sm font-semibold text-amber-200">DEBUG</h2><pre class="mt-3 max-h-96 overflow-auto rounded-xl border border-amber-300/10 bg-black/60 p-4 text-xs leading-5 text-zinc-300">${escapeHtml(JSON.stringify({ config: safeConfig, resources }, null, 2))}</pre></section>`;
 }
 
-async function enqueueNatmapRefresh(domain, config) {
-  // 写入单条 TXT 队列记录；OpenWrt 侧轮询 DNS TXT 后执行对应 natmap section 的随机端口刷新。
-  if (!config.cfApiToken || !config.cfZoneId) return { ok: false, error: "缺少 Cloudflare API 配置" };
-  const content = `${domain}|${Date.now()}|${crypto.randomUUID()}`;
-  const apiBase = `https://api.cloudflare.com/client/v4/zones/${config.cfZoneId}/dns_records`;
-  const headers = { Authorization: `Bearer ${config.cfApiToken}`, "Content-Type": "application/json" };
+async function enqueueNatmapRefresh(domains, config) {
+  const queued = await writeNatmapRefreshQueue(domains, config);
+  const written = queued.ok ? queued.entries.filter((entry) => entry.ok).length : 0;
+  if (written) recordMetric("natmap_refresh_queue_writes_total", {}, config, written);
+  if (domains.length - written) recordMetric("natmap_refresh_queue_failures_total", {}, config, domains.length - written);
+  return queued;
+}
+async function writeNatmapRefreshQueue(domains, config) {
+  // 队列是同名下的多条 TXT，每条一个 <domain>|<ms>|<nonce>[|v2|<action>|<hmac>]；写入前只清理已过期、验签失败或 agent 已回执的条目，并发刷新互不覆盖。
+  if (!config.cfZones.length) return { ok: false, error: "缺少 Cloudflare API 配置" };
+  const zone = findZoneForHostname(config.refreshQueueName, config);
+  if (!zone) return { ok: false, error: `没有 zone 负责 ${config.refreshQueueName}，请在 CF_ZONE_MAP 对应 zone 的 patterns 里加上这个名字` };
+  const apiBase = `https://api.cloudflare.com/client/v4/zones/${zone.zoneId}/dns_records`;
+  const headers = { Authorization: `Bearer ${zone.apiToken}`, "Content-Type": "application/json" };
   const listUrl = `${apiBase}?type=TXT&name=${encodeURIComponent(config.refreshQueueName)}&per_page=100`;
   const listResp = await fetch(listUrl, { headers });
   if (!listResp.ok) return { ok: false, error: `Cloudflare TXT 查询失败 ${listResp.status}` };
   const listJson = await listResp.json();
   if (!listJson.success) return { ok: false, error: "Cloudflare TXT 查询失败" };
-  const existingRecords = listJson.result || [];
-  for (const record of existingRecords) {
+  for (const record of listJson.result || []) {
+    if (!(await isRefreshQueueEntryDone(record.content, config))) continue;
     const deleteResp = await fetch(`${apiBase}/${record.id}`, { method: "DELETE", headers });
     if (!deleteResp.ok) return { ok: false, error: `Cloudflare TXT 清理失败 ${deleteResp.status}` };
     const deleteJson = await deleteResp.json();
     if (!deleteJson.success) return { ok: false, error: "Cloudflare TXT 清理失败" };
   }
-  const body = JSON.stringify({ type: "TXT", name: config.refreshQueueName, content, ttl: 60, proxied: false });
-  const saveResp = await fetch(apiBase, { method: "POST", headers, body });
-  if (!saveResp.ok) return { ok: false, error: `Cloudflare TXT 写入失败 ${saveResp.status}` };
-  const saveJson = await saveResp.json();
-  return saveJson.success ? { ok: true } : { ok: false, error: "Cloudflare TXT 写入失败" };
+  const entries = [];
+  for (const domain of domains) {
+    const queuedAt = Date.now();
+    const nonce = crypto.randomUUID();
+    const content = await buildRefreshQueueEntry(domain, queuedAt, nonce, "refresh", config);
+    const body = JSON.stringify({ type: "TXT", name: config.refreshQueueName, content, ttl: 60, proxied: false });
+    const saveResp = await fetch(apiBase, { method: "POST", headers, body });
+    const saveJson = saveResp.ok ? await saveResp.json() : null;
+    entries.push(saveJson?.success ? { domain, ok: true, id: nonce, queuedAt } : { domain, ok: false, error: saveResp.ok ? "Cloudflare TXT 写入失败" : `Cloudflare TXT 写入失败 ${saveResp.status}` });
+  }
+  return { ok: true, entries };
+}
+async function isRefreshQueueEntryDone(content, config) {
+  return !(await verifyRefreshQueueEntry(content, config)).ok;
+}
+async function buildRefreshQueueEntry(domain, queuedAt, nonce, action, config) {
+  // 前三段保持 v1 的 <domain>|<ms>|<nonce>，旧 agent 只读前三段照常工作；配置了密钥时追加 v2 版本号、动作和签名。
+  const base = `${domain}|${queuedAt}|${nonce}`;
+  if (!config.refreshQueueSecret) return base;
+  return `${base}|v2|${action}|${await signRefreshQueueEntry(domain, queuedAt, nonce, action, config.refreshQueueSecret)}`;
+}
+async function signRefreshQueueEntry(domain, queuedAt, nonce, action, secret) {
+  const digest = await hmacSha256(secret, `v2|${domain}|${queuedAt}|${nonce}|${action}`);
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+async function verifyRefreshQueueEntry(content, config) {
+  // 返回 { ok, reason, entry }；reason 为 malformed / unsigned / tampered / expired / future / replayed。
+  const now = Date.now();
+  const [domain, ts, nonce, version, action, signature] = String(content || "").replace(/^"|"$/g, "").split("|");
+  const queuedAt = Number(ts);
+  if (!domain || !nonce || !/^\d+$/.test(ts || "")) return { ok: false, reason: "malformed" };
+  const entry = { domain, queuedAt, nonce, version: version || "v1", action: action || "refresh" };
+  if (version && version !== "v2") return { ok: false, reason: "malformed", entry };
+  if (config.refreshQueueSecret) {
+    if (!version) return { ok: false, reason: "unsigned", entry };
+    const expected = await signRefreshQueueEntry(domain, ts, nonce, action || "", config.refreshQueueSecret);
+    if (!safeEqual(expected, signature || "")) return { ok: false, reason: "tampered", entry };
+  }
+  if (now - queuedAt > config.refreshQueueEntryTtl * 1000) return { ok: false, reason: "expired", entry };
+  // 时间戳明显超前同样拒绝，否则伪造的条目可以永远不过期。
+  if (queuedAt - now > 60000) return { ok: false, reason: "future", entry };
+  const job = await loadRefreshJob(nonce, config);
+  if (job && job.state !== "queued") return { ok: false, reason: "replayed", entry };
+  return { ok: true, reason: "", entry };
+}
+
+async function createRefreshJobs(targets, actor, config) {
+  // 每次刷新都是一个任务：TXT 队列里的 nonce 就是任务 id，agent 回执和门户轮询都按它定位。
+  const queued = await enqueueNatmapRefresh(targets.map((target) => target.domain), config);
+  if (!queued.ok) return queued;
+  const results = [];
+  for (const [index, entry] of queued.entries.entries()) {
+    if (!entry.ok) { results.push(entry); continue; }
+    const job = { id: entry.id, domain: entry.domain, oldPort: targets[index].oldPort, newPort: 0, state: "queued", detail: "", queuedAt: entry.queuedAt, updatedAt: entry.queuedAt, requestedBy: actor, history: [{ state: "queued", at: entry.queuedAt, detail: "" }] };
+    await saveRefreshJob(job, config);
+    await trackOpenRefreshJob(job.id, config);
+    await writeStoreJson(config, `refresh-last:${entry.domain}`, { id: job.id, requestedBy: actor, queuedAt: job.queuedAt }, 86400);
+    results.push({ domain: entry.domain, ok: true, job });
+  }
+  return { ok: true, results };
+}
+async function createRefreshJob(domain, oldPort, actor, config) {
+  const queued = await createRefreshJobs([{ domain, oldPort }], actor, config);
+  return queued.ok ? queued.results[0] : queued;
+}
+async function loadRefreshJob(id, config) {
+  return readStoreJson(config, `refresh-job:${id}`, null);
+}
+async function saveRefreshJob(job, config) {
+  await writeStoreJson(config, `refresh-job:${job.id}`, job, 86400);
+}
+function isTerminalRefreshState(state) {
+  return ["port_changed", "timed_out", "failed"].includes(state);
+}
+function advanceRefreshJob(job, state, detail = "", newPort = 0) {
+  const now = Date.now();
+  job.state = state;
+  job.detail = detail;
+  job.updatedAt = now;
+  if (newPort) job.newPort = newPort;
+  job.history.push({ state, at: now, detail });
+  return job;
+}
+async function syncRefreshJob(job, request, config) {
+  // 端口变化以 DNS SRV 为准：agent 回执 restarted 后还要等 DDNS 写入，旧版 agent 不回执时也能靠 SRV 判断完成。
+  if (isTerminalRefreshState(job.state)) return job;
+  if ((await canForceFetchSrv(request, config)).allowed) await ensureSrvRecordsCache(config, { force: true });
+  return settleRefreshJob(job, config);
+}
+async function settleRefreshJob(job, config) {
+  const records = getManagedSrvRecords(config).filter((r) => r.hostname === job.domain);
+  const changed = records.find((r) => r.port !== job.oldPort);
+  if (records.length && changed && !records.some((r) => r.port === job.oldPort)) advanceRefreshJob(job, "port_changed", "", changed.port);
+  else if (Date.now() - job.queuedAt > config.refreshJobTimeout * 1000) advanceRefreshJob(job, "timed_out", `${config.refreshJobTimeout} 秒内未观察到 SRV 端口变化`);
+  else return job;
+  await saveRefreshJob(job, config);
+  await notifyRefreshTimeout(job, config);
+  return job;
+}
+async function notifyRefreshTimeout(job, config) {
+  // 门户轮询和 Cron 巡检都可能把任务判为超时，notified 随任务持久化，保证同一任务只通知一次。
+  if (job.state !== "timed_out" || job.notified) return;
+  job.notified = true;
+  await saveRefreshJob(job, config);
+  await notifyEvent("refresh_timed_out", { id: job.id, domain: job.domain, oldPort: job.oldPort, detail: job.detail, requestedBy: job.requestedBy }, config);
+}
+async function trackOpenRefreshJob(id, config) {
+  const open = await readStoreJson(config, "refresh-open", []);
+  await writeStoreJson(config, "refresh-open", [...(Array.isArray(open) ? open : []).filter((item) => item !== id), id].slice(-200), 86400);
+}
+async function sweepRefreshJobs(config) {
+  // 没人轮询 GET /api/refresh/:id 时任务不会自己结束；Cron 巡检未结束的任务，超时的照常通知。
+  const open = await readStoreJson(config, "refresh-open", []);
+  if (!Array.isArray(open) || !open.length) return;
+  const remaining = [];
+  for (const id of open) {
+    const job = await loadRefreshJob(id, config);
+    if (!job) continue;
+    if (!isTerminalRefreshState(job.state)) await settleRefreshJob(job, config);
+    else await notifyRefreshTimeout(job, config);
+    if (!isTerminalRefreshState(job.state)) remaining.push(id);
+  }
+  await writeStoreJson(config, "refresh-open", remaining, 86400);
 }
 
 function handlePortalSubdomainFallback(hostname, config, records) {
@@ -932,6 +2785,7 @@ function handlePortalSubdomainFallback(hostname, config, records) {
     scheme,
     target: templateSrv.target.replace(targetPrefix, `${subdomain}.`),
     port: templateSrv.port,
+    templateTarget: templateSrv.target,
   };
 }
 
@@ -939,40 +2793,243 @@ async function handleSrvRedirect(request, config) {
   // 非门户域名入口：优先精确 SRV，找不到时尝试单层子域名的模板跳转。
   const url = new URL(request.url);
   const hostname = url.hostname.toLowerCase();
-  const managedRecords = getManagedSrvRecords(config);
-  const records = managedRecords.filter((r) => r.hostname === hostname).sort(compareSrvForRedirect);
+  let managedRecords = getManagedSrvRecords(config);
+  let records = managedRecords.filter((r) => r.hostname === hostname);
+  // 泛域名模板已能接住的单层子域名不再按需查 DoH，否则每个随机子域名都会放大成多次 DoH 查询；这类名字若有独立 SRV，需写进 DOH_SRV_NAMES。
+  if (!records.length && config.srvBackend === "doh" && matchesManagedDomain(hostname, config.domainList) && !handlePortalSubdomainFallback(hostname, config, managedRecords)) {
+    await lookupDohHostname(hostname, config);
+    managedRecords = getManagedSrvRecords(config);
+    records = managedRecords.filter((r) => r.hostname === hostname);
+  }
   if (!records.length) {
     const fallback = handlePortalSubdomainFallback(hostname, config, managedRecords);
     if (!fallback) return textResponse(`No SRV record found for ${hostname}.`, 404);
-    const status = globalThis.customRedirectModes[hostname] || config.defaultRedirectStatus;
-    return new Response(null, {
-      status,
-      headers: {
-        Location: `${fallback.scheme}://${fallback.target}:${fallback.port}${url.pathname}${url.search}`,
-        "Cache-Control": "no-store",
-      },
-    });
+    // 访问事件统一记在 *.<门户域名> 和模板目标下，随机子域名不会各自变成一行统计。
+    const fallbackEvent = { hostname: `*.${config.portalDomain}`, kind: "fallback", target: fallback.templateTarget, port: fallback.port };
+    // 模板跳转同样尊重健康上报：按请求的主机名和替换后的目标判断。
+    if (resolveHealthState(hostname, fallback.target, config, fallback.port).state === "unhealthy") return recordRedirectEvent(request, { ...fallbackEvent, kind: "unavailable" }, buildUnavailableResponse({ hostname, target: fallback.target, port: fallback.port }, config), config);
+    const response = await deliverWebTarget(request, { scheme: fallback.scheme, target: fallback.target, port: fallback.port, proxyable: true }, config);
+    return recordRedirectEvent(request, fallbackEvent, response, config);
+  }
+  const bestSrv = await selectSrvRecord(records.filter((r) => resolveHealthState(r.hostname, r.target, config, r.port).state !== "unhealthy"), request, config);
+  if (!bestSrv) {
+    const unavailable = records.sort(compareSrvForRedirect)[0];
+    return recordRedirectEvent(request, { hostname, kind: "unavailable", target: unavailable.target, port: unavailable.port }, buildUnavailableResponse(unavailable, config), config);
   }
-  const bestSrv = records[0];
   const web = getWebServiceRedirect(bestSrv, config);
   const vlessFallback = getVlessFallbackRedirect(bestSrv, config);
   const redirect = web.isWeb ? web : vlessFallback;
   if (!redirect.canRedirect) {
-    const resource = buildResources(managedRecords, config).find((r) => r.domain === bestSrv.hostname && r.service === bestSrv.service && r.protocol === bestSrv.protocol) || addAccessAuthFields(buildResourceBase(bestSrv, config), 0);
-    return buildNonWebResponse(resource, config);
+    const viewer = await resolveInfoPageUser(request, config);
+    // 范围外的访问同样记一条（状态 404），统计能反映这个映射仍有人在访问。
+    if (!isInUserScope(viewer, bestSrv.hostname)) return recordRedirectEvent(request, { hostname, kind: "info", target: bestSrv.target, port: bestSrv.port }, textResponse(`No SRV record found for ${hostname}.`, 404), config);
+    const resource = buildResources(managedRecords.filter((r) => isInUserScope(viewer, r.hostname)), config).find((r) => r.domain === bestSrv.hostname && r.service === bestSrv.service && r.protocol === bestSrv.protocol) || addAccessAuthFields(buildResourceBase(bestSrv, config), 0);
+    const response = buildNonWebResponse(resource, config, await loadPortHistory(bestSrv.hostname, config));
+    return recordRedirectEvent(request, { hostname, kind: "info", target: resource.target, port: resource.port }, response, config);
+  }
+  const response = await deliverWebTarget(request, { scheme: redirect.scheme, target: redirect.target, port: bestSrv.port, proxyable: web.isWeb }, config);
+  return recordRedirectEvent(request, { hostname, kind: "redirect", target: redirect.target, port: bestSrv.port }, response, config);
+}
+async function deliverWebTarget(request, destination, config) {
+  // 默认返回 30x 跳转；proxy 模式下由 Worker 请求目标并把响应流式回传，地址栏保持干净的域名。端口不可代理或上游连不上时退回跳转。
+  const url = new URL(request.url);
+  const resolved = resolveRedirectStatus(url.hostname.toLowerCase(), config);
+  const location = `${destination.scheme}://${destination.target}:${destination.port}${url.pathname}${url.search}`;
+  const redirect = () => new Response(null, { status: resolved.status, headers: { Location: location, "Cache-Control": "no-store" } });
+  if (!resolved.proxy || !destination.proxyable || !canProxyPort(destination.scheme, destination.port, config)) return redirect();
+  try {
+    return await proxyWebTarget(request, location);
+  } catch (_) {
+    return redirect();
+  }
+}
+function canProxyPort(scheme, port, config) {
+  // Workers 的出站 fetch 只能访问固定的一组端口，其他端口会被改写或拒绝，只能跳转。
+  if (config.proxyAllowedPorts.length) return config.proxyAllowedPorts.includes(port);
+  const ports = scheme === "https" ? [443, 2053, 2083, 2087, 2096, 8443] : [80, 8080, 8880, 2052, 2082, 2086, 2095];
+  return ports.includes(port);
+}
+async function proxyWebTarget(request, location) {
+  const url = new URL(request.url);
+  const headers = new Headers(request.headers);
+  headers.set("X-Forwarded-Host", url.host);
+  headers.set("X-Forwarded-Proto", url.protocol.replace(":", ""));
+  headers.set("X-Forwarded-For", clientKey(request));
+  // 门户会话 Cookie 对 PORTAL_DOMAIN 的所有子域名可见，绝不能交给上游服务，否则上游可以冒充已登录用户。
+  // Authorization 原样转发：浏览器只会把它发给发出过认证质询的站点本身，去掉反而会让使用 Basic/Bearer 认证的上游应用无法登录。
+  const cookie = (request.headers.get("Cookie") || "").split(";").map((part) => part.trim()).filter((part) => part && part.split("=")[0].trim() !== "portal_session").join("; ");
+  if (cookie) headers.set("Cookie", cookie);
+  else headers.delete("Cookie");
+  const upstream = await fetch(location, { method: request.method, headers, body: ["GET", "HEAD"].includes(request.method) ? undefined : request.body, redirect: "manual" });
+  // WebSocket 升级原样返回上游响应（携带 webSocket），由运行时完成握手并双向转发。
+  if ((request.headers.get("Upgrade") || "").toLowerCase() === "websocket") return upstream;
+  const responseHeaders = new Headers(upstream.headers);
+  const upstreamLocation = upstream.headers.get("Location");
+  if (upstreamLocation) responseHeaders.set("Location", rewriteProxyLocation(upstreamLocation, location, url));
+  const cookies = typeof upstream.headers.getSetCookie === "function" ? upstream.headers.getSetCookie() : [];
+  if (cookies.length) {
+    responseHeaders.delete("Set-Cookie");
+    // 去掉上游的 Domain 属性，让 Cookie 落在门户访问的干净域名上。
+    for (const cookie of cookies) responseHeaders.append("Set-Cookie", cookie.replace(/;\s*domain=[^;]*/gi, ""));
+  }
+  responseHeaders.set("X-Portal-Delivery", "proxy");
+  return new Response(upstream.body, { status: upstream.status, statusText: upstream.statusText, headers: responseHeaders });
+}
+function rewriteProxyLocation(value, location, url) {
+  // 上游跳回自身（绝对或相对地址）时改写成干净域名，跳去其他站点的保持不变。
+  const resolved = new URL(value, location);
+  if (resolved.hostname !== new URL(location).hostname) return value;
+  return `${url.origin}${resolved.pathname}${resolved.search}${resolved.hash}`;
+}
+async function recordRedirectEvent(request, event, response, config) {
+  // 每次跳转、模板跳转和信息页访问记一条事件；只记国家和 UA 类别，不记 IP 与完整 UA。写入失败不影响响应。
+  const row = {
+    at: Date.now(),
+    hostname: event.hostname,
+    kind: event.kind === "redirect" && response.headers.get("X-Portal-Delivery") === "proxy" ? "proxy" : event.kind,
+    target: event.target,
+    port: Number(event.port) || 0,
+    status: response.status,
+    country: String(request.cf?.country || ""),
+    uaClass: classifyUserAgent(request.headers.get("User-Agent")),
+  };
+  if (config.analyticsDataset) {
+    try {
+      config.analyticsDataset.writeDataPoint({ indexes: [row.hostname], blobs: [row.hostname, row.kind, row.target, row.country, row.uaClass], doubles: [row.port, row.status] });
+    } catch (_) {}
+    return response;
   }
-  const status = globalThis.customRedirectModes[hostname] || config.defaultRedirectStatus;
-  return new Response(null, { status, headers: { Location: `${redirect.scheme}://${redirect.target}:${bestSrv.port}${url.pathname}${url.search}`, "Cache-Control": "no-store" } });
+  if (!config.analyticsDb) return response;
+  const write = insertRedirectEvent(row, config).catch(() => {});
+  if (config.waitUntil) config.waitUntil(write);
+  else await write;
+  return response;
+}
+function classifyUserAgent(userAgent) {
+  const ua = String(userAgent || "").toLowerCase();
+  if (!ua) return "none";
+  if (/bot|crawl|spider|slurp|preview|monitor|curl|wget|python|go-http|okhttp|java\//.test(ua)) return "bot";
+  if (/mobile|android|iphone|ipad/.test(ua)) return "mobile";
+  if (/mozilla|opera/.test(ua)) return "desktop";
+  return "other";
+}
+async function ensureRedirectEventsTable(config) {
+  // D1 替代存储的表结构在首次写入或查询时创建，每个 isolate 只检查一次。
+  if (globalThis.redirectEventsTableReady) return;
+  await config.analyticsDb.prepare("CREATE TABLE IF NOT EXISTS redirect_events (at INTEGER NOT NULL, hostname TEXT NOT NULL, kind TEXT, target TEXT, port INTEGER, status INTEGER, country TEXT, ua_class TEXT)").run();
+  await config.analyticsDb.prepare("CREATE INDEX IF NOT EXISTS redirect_events_host_at ON redirect_events (hostname, at)").run();
+  globalThis.redirectEventsTableReady = true;
+}
+async function insertRedirectEvent(row, config) {
+  await ensureRedirectEventsTable(config);
+  await config.analyticsDb.prepare("INSERT INTO redirect_events (at, hostname, kind, target, port, status, country, ua_class) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8)").bind(row.at, row.hostname, row.kind, row.target, row.port, row.status, row.country, row.uaClass).run();
+}
+async function pruneRedirectEvents(config) {
+  // D1 没有自动过期，定时任务按 Analytics Engine 的 90 天保留期清理旧事件。
+  if (config.analyticsDataset || !config.analyticsDb) return;
+  try {
+    await ensureRedirectEventsTable(config);
+    await config.analyticsDb.prepare("DELETE FROM redirect_events WHERE at < ?1").bind(Date.now() - 90 * 86400000).run();
+  } catch (_) {}
+}
+async function loadRedirectUsage(config) {
+  // 返回 { source, usage: { hostname: { day, week, month, lastAt } }, error }；Analytics Engine 只能通过账号级 SQL API 读取，结果按采样率还原。
+  const now = Date.now();
+  if (config.analyticsDataset) {
+    if (!config.analyticsAccountId || !config.analyticsApiToken) return { source: "analytics_engine", usage: {}, error: "未配置 ANALYTICS_ACCOUNT_ID 或 ANALYTICS_API_TOKEN，无法读取 Analytics Engine" };
+    const windowSum = (days) => `SUM(IF(timestamp >= NOW() - INTERVAL '${days}' DAY, _sample_interval, 0))`;
+    const sql = `SELECT blob1 AS hostname, ${windowSum(1)} AS day, ${windowSum(7)} AS week, ${windowSum(30)} AS month, toUnixTimestamp(MAX(timestamp)) AS lastAt FROM ${config.analyticsDatasetName} WHERE timestamp >= NOW() - INTERVAL '90' DAY GROUP BY hostname FORMAT JSON`;
+    try {
+      const resp = await fetch(`https://api.cloudflare.com/client/v4/accounts/${config.analyticsAccountId}/analytics_engine/sql`, { method: "POST", headers: { Authorization: `Bearer ${config.analyticsApiToken}` }, body: sql });
+      if (!resp.ok) {
+        // 把 SQL API 返回的原因带出来，令牌权限不足和 SQL 写错一眼就能分清。
+        const text = await resp.text().catch(() => "");
+        let detail = text;
+        try { detail = JSON.parse(text)?.errors?.[0]?.message || text; } catch (_) {}
+        return { source: "analytics_engine", usage: {}, error: `Analytics Engine 查询失败（HTTP ${resp.status}）${detail ? `：${String(detail).slice(0, 200)}` : ""}` };
+      }
+      const rows = ((await resp.json()).data || []).map((row) => ({ ...row, lastAt: Number(row.lastAt) * 1000 }));
+      return { source: "analytics_engine", usage: indexRedirectUsage(rows), error: "" };
+    } catch (_) {
+      return { source: "analytics_engine", usage: {}, error: "无法连接 Analytics Engine SQL API" };
+    }
+  }
+  if (config.analyticsDb) {
+    try {
+      await ensureRedirectEventsTable(config);
+      const result = await config.analyticsDb.prepare("SELECT hostname, SUM(CASE WHEN at >= ?1 THEN 1 ELSE 0 END) AS day, SUM(CASE WHEN at >= ?2 THEN 1 ELSE 0 END) AS week, SUM(CASE WHEN at >= ?3 THEN 1 ELSE 0 END) AS month, MAX(at) AS lastAt FROM redirect_events GROUP BY hostname").bind(now - 86400000, now - 7 * 86400000, now - 30 * 86400000).all();
+      return { source: "d1", usage: indexRedirectUsage(result.results || []), error: "" };
+    } catch (err) {
+      return { source: "d1", usage: {}, error: `D1 查询失败：${err?.message || err}` };
+    }
+  }
+  return { source: "", usage: {}, error: "" };
+}
+function indexRedirectUsage(rows) {
+  return Object.fromEntries(rows.map((row) => [String(row.hostname), { day: Number(row.day) || 0, week: Number(row.week) || 0, month: Number(row.month) || 0, lastAt: Number(row.lastAt) || 0 }]));
+}
+async function handleUsageAdmin(request, config) {
+  // 访问统计页：仅 admin；列出每个资源最近 24 小时/7 天/30 天的访问次数和最后访问时间，找出可以下线的 natmap 映射。
+  const auth = await authenticatePortalRequest(request, config);
+  if (!auth.ok) return buildPasswordForm(config);
+  if (!hasPortalPermission(auth.user, "redirect")) return forbiddenResponse("admin", false);
+  const { source, usage, error } = await loadRedirectUsage(config);
+  const services = new Map();
+  for (const resource of buildResources(getManagedSrvRecords(config), config)) {
+    if (!services.has(resource.domain)) services.set(resource.domain, new Set());
+    services.get(resource.domain).add(resource.service);
+  }
+  // 模板跳转命中的主机名没有自己的 SRV 记录，也单独列出。
+  for (const hostname of Object.keys(usage)) if (!services.has(hostname)) services.set(hostname, new Set());
+  const empty = { day: 0, week: 0, month: 0, lastAt: 0 };
+  const rows = Array.from(services, ([domain, names]) => ({ domain, services: Array.from(names), templated: !names.size, ...(usage[domain] || empty) })).sort((a, b) => b.month - a.month || a.domain.localeCompare(b.domain));
+  if (new URL(request.url).searchParams.get("format") === "json") return jsonResponse({ ok: !error, source, error, resources: rows });
+  return buildUsageAdminHTML(rows, source, error, config);
+}
+function buildUsageAdminHTML(rows, source, error, config) {
+  const sourceLabels = { analytics_engine: "Analytics Engine", d1: "D1" };
+  const warning = !source ? `<section class="rounded-2xl border border-amber-300/25 bg-amber-300/10 px-4 py-3 text-sm text-amber-100">未绑定 REDIRECT_ANALYTICS 或 ANALYTICS_DB，访问事件没有被记录。</section>` : error ? `<section class="rounded-2xl border border-red-300/25 bg-red-500/10 px-4 py-3 text-sm text-red-100">${escapeHtml(error)}</section>` : "";
+  const count = (value) => `<td class="px-4 py-3 text-right font-mono ${value ? "text-zinc-100" : "text-zinc-600"}">${value}</td>`;
+  const body = rows.map((row) => `<tr class="bg-zinc-900/70"><td class="break-all px-4 py-3 font-semibold text-zinc-50">${escapeHtml(row.domain)}<span class="block text-xs font-normal text-zinc-500">${row.templated ? "模板跳转" : escapeHtml(row.services.join(", "))}</span></td>${count(row.day)}${count(row.week)}${count(row.month)}<td class="whitespace-nowrap px-4 py-3 text-zinc-400">${row.lastAt ? `<span class="time" data-time="${new Date(row.lastAt).toISOString()}">${escapeHtml(formatRecordTime(row.lastAt))}</span>` : `<span class="text-amber-200/80">${source ? "30 天内无访问" : "-"}</span>`}</td></tr>`).join("");
+  const note = source ? `<p class="text-xs text-zinc-500">数据来源：${sourceLabels[source]}。统计包含跳转、反向代理、模板跳转和非 Web 信息页访问。</p>` : "";
+  const table = `<section class="overflow-x-auto rounded-2xl border border-amber-300/15 bg-zinc-950/75 ring-1 ring-white/5"><table class="w-full min-w-[720px] border-collapse text-sm"><thead class="bg-black/45 text-xs font-semibold uppercase tracking-wide text-zinc-500"><tr><th class="px-4 py-3 text-left">域名</th><th class="px-4 py-3 text-right">24 小时</th><th class="px-4 py-3 text-right">7 天</th><th class="px-4 py-3 text-right">30 天</th><th class="px-4 py-3 text-left">最后访问</th></tr></thead><tbody class="divide-y divide-amber-300/10">${body || `<tr><td class="px-4 py-6 text-center text-zinc-500" colspan="5">暂无资源。</td></tr>`}</tbody></table></section>`;
+  return buildAdminPage("访问统计", "Usage", `${warning}${note}${table}`, config);
+}
+async function selectSrvRecord(records, request, config) {
+  // 调用方已剔除不健康目标；全部不可用时返回 null。RFC 2782：先取可跳转类型里最低 priority 的一组，再按 weight 比例随机；weight=0 排在最前，只在总和为 0 或抽中 0 时命中。
+  if (!records.length) return null;
+  const sorted = [...records].sort(compareSrvForRedirect);
+  const group = sorted.filter((r) => getSrvRedirectPriority(r) === getSrvRedirectPriority(sorted[0]) && r.priority === sorted[0].priority);
+  if (group.length === 1) return group[0];
+  const ordered = [...group.filter((r) => r.weight === 0), ...group.filter((r) => r.weight > 0)];
+  const totalWeight = ordered.reduce((sum, r) => sum + r.weight, 0);
+  const fraction = config.srvStickySelection ? await stickySelectionFraction(`${clientKey(request)}|${group[0].hostname}`) : crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32;
+  const pick = Math.floor(fraction * (totalWeight + 1));
+  let runningSum = 0;
+  return ordered.find((r) => (runningSum += r.weight) >= pick) || ordered[ordered.length - 1];
+}
+async function stickySelectionFraction(key) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key)));
+  return new DataView(digest.buffer).getUint32(0) / 2 ** 32;
 }
 function compareSrvForRedirect(a, b) {
   return getSrvRedirectPriority(a) - getSrvRedirectPriority(b) || a.priority - b.priority || b.weight - a.weight || compareSrvFreshness(a, b);
 }
-function buildNonWebResponse(resource, config = {}) {
+function buildNonWebResponse(resource, config = {}, history = []) {
   const localLink = resource.link || getLocalSchemeLink(resource.service, resource.protocol, resource.target, resource.port);
   const linkPart = localLink ? `<a class="break-all text-sm font-semibold text-amber-200 underline decoration-amber-300/50 underline-offset-4 hover:text-amber-100" href="${escapeAttribute(localLink)}" target="_blank" rel="noopener noreferrer">${escapeHtml(localLink)}</a>` : `<span class="break-all text-zinc-200">${escapeHtml(resource.hostPort)}</span>`;
   const authPart = resource.authUrl ? `<a class="inline-flex h-9 items-center justify-center rounded-xl border border-amber-300/25 bg-amber-300/10 px-3 text-sm font-semibold text-amber-100 transition hover:bg-amber-300/20" href="${escapeAttribute(resource.authUrl)}" target="_blank" rel="noopener noreferrer">认证</a>` : "";
   const debugInfo = config.debugMode && resource.raw ? `<section class="rounded-2xl border border-amber-300/15 bg-zinc-900/90 p-4 shadow-lg shadow-black/20"><h2 class="text-sm font-semibold text-amber-200">DEBUG</h2><pre class="mt-3 max-h-96 overflow-auto rounded-xl border border-amber-300/10 bg-black/60 p-4 text-xs leading-5 text-zinc-300">${escapeHtml(JSON.stringify(resource.raw, null, 2))}</pre></section>` : "";
-  return htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead("服务信息", config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="mx-auto flex min-h-screen w-full max-w-2xl flex-col justify-center gap-4 px-4 py-8"><section class="rounded-3xl border border-amber-300/20 bg-zinc-900/90 p-6 shadow-2xl shadow-black/50 ring-1 ring-white/5"><p class="text-xs font-semibold uppercase tracking-wider text-amber-300">Non-Web Service</p><button type="button" class="copy-button mt-2 block max-w-full break-all text-left text-2xl font-bold tracking-tight text-zinc-50 transition hover:text-amber-100 focus:outline-none focus:ring-4 focus:ring-amber-300/10" data-copy="${escapeAttribute(resource.domain)}" data-copy-label="复制域名" title="点击复制域名" aria-label="复制 ${escapeAttribute(resource.domain)}">${escapeHtml(resource.domain)}</button><dl class="mt-6 grid gap-3 text-sm"><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">服务</dt><dd class="font-medium text-zinc-100">${escapeHtml(resource.service)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">协议</dt><dd class="font-medium text-zinc-100">${escapeHtml(resource.protocol)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">目标</dt><dd class="break-all font-medium text-zinc-100">${escapeHtml(resource.target)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">端口</dt><dd><code class="rounded-lg border border-amber-300/15 bg-black/30 px-2 py-1 font-mono text-sm font-semibold text-amber-200">${resource.port}</code></dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">链接</dt><dd class="min-w-0">${linkPart}</dd></div></dl><div class="mt-6 flex flex-wrap gap-2">${buildCopyButton(resource.port, "端口", "复制端口")}${buildCopyButton(resource.hostPort, "Host", "复制 Host Port")}${localLink ? buildCopyButton(localLink, "URL", "复制完整 URL") : ""}${authPart}${buildRdpDownloadLink(resource)}</div></section>${debugInfo}<script>${getCopyScript()}</script><script>${getRdpScript()}</script></main></body></html>`);
+  return htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead("服务信息", config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="mx-auto flex min-h-screen w-full max-w-2xl flex-col justify-center gap-4 px-4 py-8"><section class="rounded-3xl border border-amber-300/20 bg-zinc-900/90 p-6 shadow-2xl shadow-black/50 ring-1 ring-white/5"><p class="text-xs font-semibold uppercase tracking-wider text-amber-300">Non-Web Service</p><button type="button" class="copy-button mt-2 block max-w-full break-all text-left text-2xl font-bold tracking-tight text-zinc-50 transition hover:text-amber-100 focus:outline-none focus:ring-4 focus:ring-amber-300/10" data-copy="${escapeAttribute(resource.domain)}" data-copy-label="复制域名" title="点击复制域名" aria-label="复制 ${escapeAttribute(resource.domain)}">${escapeHtml(resource.domain)}</button><dl class="mt-6 grid gap-3 text-sm"><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">服务</dt><dd class="font-medium text-zinc-100">${escapeHtml(resource.service)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">协议</dt><dd class="font-medium text-zinc-100">${escapeHtml(resource.protocol)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">目标</dt><dd class="break-all font-medium text-zinc-100">${escapeHtml(resource.target)}</dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">端口</dt><dd><code class="rounded-lg border border-amber-300/15 bg-black/30 px-2 py-1 font-mono text-sm font-semibold text-amber-200">${resource.port}</code></dd></div><div class="grid grid-cols-[4rem_minmax(0,1fr)] gap-3"><dt class="text-zinc-500">链接</dt><dd class="min-w-0">${linkPart}</dd></div></dl><div class="mt-6 flex flex-wrap gap-2">${buildCopyButton(resource.port, "端口", "复制端口")}${buildCopyButton(resource.hostPort, "Host", "复制 Host Port")}${localLink ? buildCopyButton(localLink, "URL", "复制完整 URL") : ""}${authPart}${buildRdpDownloadLink(resource)}</div><details class="port-history mt-6 text-sm"><summary class="cursor-pointer select-none text-xs font-semibold text-zinc-500 transition hover:text-amber-200">端口历史（${history.length}）</summary><ol class="mt-3 grid gap-2">${buildPortHistoryItemsHtml(history, false)}</ol></details></section>${debugInfo}<script>${getCopyScript()}</script><script>${getRdpScript()}</script></main></body></html>`);
+}
+
+function buildUnavailableResponse(record, config = {}) {
+  // 所有目标都被健康上报标记为不可用时的兜底页；不展示目标和端口，避免向未登录访客泄露内网映射。
+  const health = resolveHealthState(record.hostname, record.target, config, record.port);
+  const reasonPart = health.reason ? `<p class="mt-3 break-all text-sm text-zinc-400">${escapeHtml(health.reason)}</p>` : "";
+  const response = htmlResponse(`<!doctype html><html lang="zh-CN">${getPageHead("服务暂不可用", config)}<body class="min-h-screen bg-zinc-950 text-zinc-100 antialiased"><main class="mx-auto flex min-h-screen w-full max-w-2xl flex-col justify-center gap-4 px-4 py-8"><section class="rounded-3xl border border-amber-300/20 bg-zinc-900/90 p-6 shadow-2xl shadow-black/50 ring-1 ring-white/5"><p class="text-xs font-semibold uppercase tracking-wider text-amber-300">Service Temporarily Unavailable</p><h1 class="mt-2 break-all text-2xl font-bold tracking-tight text-zinc-50">${escapeHtml(record.hostname)}</h1><p class="mt-4 text-sm text-zinc-300">该服务的所有线路暂时不可用，OpenWrt 正在恢复，请稍后再试。</p>${reasonPart}${health.updatedAt ? `<p class="mt-3 text-xs text-zinc-500">最近检测：<span class="time" data-time="${new Date(health.updatedAt).toISOString()}">${escapeHtml(formatRecordTime(health.updatedAt))}</span></p>` : ""}</section></main></body></html>`, 503);
+  response.headers.set("Retry-After", "60");
+  return response;
 }
 
 function getWebServiceRedirect(record, config) {
@@ -1046,6 +3103,11 @@ function formatRecordTime(timestamp) {
   const d = new Date(timestamp), p = (v) => String(v).padStart(2, "0");
   return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}`;
 }
+function describeCacheTier(cache, config) {
+  const labels = { memory: "内存", kv: "KV", "cache-api": "Cache API" };
+  const stale = cache.fetchedAt && Math.floor(Date.now() / 1000) - cache.fetchedAt > config.cacheTtl;
+  return `${labels[cache.tier] || "内存"}${stale ? " · 过期" : ""}`;
+}
 function formatCacheTime(fetchedAt) {
   if (!fetchedAt) return "未缓存";
   const seconds = Math.max(0, Math.floor(Date.now() / 1000) - fetchedAt);